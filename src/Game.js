@@ -3,7 +3,27 @@ import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls';
 import * as CANNON from 'cannon-es';
 import { Player } from './components/Player';
 import { EnemyPlane } from './components/EnemyPlane';
+import { BossAircraft } from './components/BossAircraft';
+import { BossHealthBar } from './components/BossHealthBar';
 import { Bird } from './components/Bird';
+import { EnemyBulletPool } from './components/EnemyBulletPool';
+import { LandingGrader } from './components/LandingGrader';
+import { ControlsMenu } from './components/ControlsMenu';
+import { Pickup } from './components/Pickup';
+import { Terrain } from './components/Terrain';
+import { LevelEditor } from './components/LevelEditor';
+import { InputManager } from './input/InputManager';
+import { CONTROL_SUMMARY } from './input/ActionMap';
+import { UPGRADES, PICKUP_DROP_CHANCE } from './data/upgrades';
+import { SpatialHash } from './utils/SpatialHash';
+import { SeededRandom } from './utils/SeededRandom';
+import { WorldMap, WorldMapError, TREE_TYPES } from './utils/WorldMap';
+import { MAPS, DEFAULT_MAP, CUSTOM_MAP, loadCustomMap } from './data/maps';
+import { DIFFICULTIES, DEFAULT_DIFFICULTY } from './data/difficulty';
+import { ENEMY_TYPES, DEFAULT_ENEMY_TYPE } from './data/enemyTypes';
+import { BOSSES } from './data/bosses';
+import { FORMATIONS } from './data/formations';
+import { Formation, canFlyInFormation } from './ai/Formation';
 
 export class Game {
     constructor() {
@@ -24,18 +44,42 @@ export class Game {
         document.getElementById('game-container').appendChild(this.renderer.domElement);
         
         // Create HUD references
-        // this.healthElement = document.getElementById('health');
-        // this.fuelElement = document.getElementById('fuel');
+        this.healthElement = document.getElementById('health');
+        this.fuelElement = document.getElementById('fuel');
+        this.gunElement = document.getElementById('gun');
+        this.missileElement = document.getElementById('missiles');
+        this.upgradesElement = document.getElementById('upgrades');
+        this.flightModelElement = document.getElementById('flight-model');
+        this.stallElement = document.getElementById('stall-warning');
         // this.scoreElement = document.getElementById('score');
         
         // Timing
         this.clock = new THREE.Clock();
         this.debugMode = true;
         
+        // World seed from the URL, e.g. ?seed=1234, or a fresh one - the same seed always builds the same world.
+        // World generation and spawning draw from separate streams so flying differently never changes the map.
+        const seedParam = new URLSearchParams(window.location.search).get('seed');
+        this.seed = seedParam && seedParam.trim() ? seedParam.trim().slice(0, 32) : SeededRandom.createSeed();
+        this.worldRandom = new SeededRandom(this.seed); // Terrain, mountains, lakes, trees and clouds
+        this.spawnRandom = new SeededRandom(`${this.seed}:spawn`); // Enemies, birds and pickups
+        this.putSeedInUrl();
+        
+        // World map from the URL, e.g. ?map=highlands - radius, terrain, features, enemy waves and how to win
+        this.loadMap(new URLSearchParams(window.location.search).get('map') || DEFAULT_MAP);
+        this.editorMode = new URLSearchParams(window.location.search).get('editor') === '1'; // ?editor=1 opens the map editor
+        
+        // Difficulty from the URL, e.g. ?difficulty=hard - scales the enemy pilots, wave sizes and damage taken
+        this.loadDifficulty(new URLSearchParams(window.location.search).get('difficulty') || DEFAULT_DIFFICULTY);
+        
         // Camera parameters
         this.cameraHeight = 5;
         this.cameraDistance = 12;
         this.cameraSmoothness = 0.2;
+        this.cameraViews = ['Chase', 'Far chase', 'Cockpit']; // Cycled with the camera key
+        this.cameraView = 0;
+        this.cameraAimDirection = null; // Smoothed mouse-aim direction the chase camera looks along
+        this.cameraAimResponse = 4; // How quickly the camera swings round to follow the aim
         
         // Physics world
         this.world = new CANNON.World();
@@ -45,36 +89,50 @@ export class Game {
         
         // Game objects
         this.enemies = [];
-        this.enemyCount = 40; // Increased from 15 to 40 enemy planes
-        this.maxEnemies = 40; // Increased from 15 to 40 enemy planes
+        this.enemiesDestroyed = 0;
+        this.waveIndex = 0; // Current wave from the map
+        this.waveDelayTimer = 0; // Time since the last wave was cleared
+        this.wavesCleared = false;
+        this.respawnTimers = []; // Replacement planes on their way in a respawning wave - { time, type }
+        this.boss = null; // The map's boss while it's in the air
+        this.bossSpawned = false;
+        this.bossDefeated = false;
+        this.bossHealthBar = new BossHealthBar(this);
         this.birds = [];
         this.maxBirds = 20; // Reduced from 30 to 20
+        this.pickups = [];
+        this.maxPickups = 8;
         this.trees = [];
         this.mountains = [];
         this.lakes = [];
         this.effectsToUpdate = [];
+        
+        // Spatial grids so collision and proximity checks only look at what's nearby.
+        // Trees and lakes never move; enemies and birds are re-filed as they fly.
+        this.terrainGrid = new SpatialHash(50);
+        this.enemyGrid = new SpatialHash(50);
+        this.birdGrid = new SpatialHash(50);
         this.maxEffects = 30; // Reduced from 50 to 30 for better performance
         
         // Radar system
         this.radarActive = true;
         this.radarSize = 250; // Increased from 200 to match the new CSS size
-        this.radarRange = this.worldRadius; // Radar range matches world radius
         this.radarElement = null;
         this.radarContext = null;
         this.radarBlips = [];
         this.radarUpdateInterval = 0.1; // Update radar every 0.1 seconds
         this.radarTimer = 0;
         
-        // Runway dimensions - need to be defined before init
-        this.runwayWidth = 20;
-        this.runwayLength = 100;
+        // Runways from the map - filled in with their bounds by createRunway
+        this.runways = [];
         
-        // World boundary settings - increased by another 50% (now 338% of original)
-        this.worldRadius = 845; // Increased from 563 by another 50%
+        // World boundary settings, sized to the map
+        this.worldRadius = this.map.radius;
+        this.radarRange = this.worldRadius; // Radar range matches world radius
         this.worldWrapping = true; // Enable world wrapping instead of natural boundaries
-        this.boundaryWarningRadius = 675; // Increased from 450 by another 50%
-        this.boundaryPushRadius = 760; // Increased from 507 by another 50%
-        this.boundaryFogRadius = 593; // Increased from 395 by another 50%
+        this.boundaryWarningRadius = this.worldRadius * 0.8;
+        this.boundaryPushRadius = this.worldRadius * 0.9;
+        this.boundaryFogRadius = this.worldRadius * 0.7;
         this.boundaryWarningActive = false;
         this.boundaryWarningElement = null;
         this.boundaryWarningSound = null;
@@ -87,18 +145,23 @@ export class Game {
         this.gameOver = false;
         this.paused = false;
         
-        // Track key states
-        this.keysPressed = {};
+        // Keyboard, gamepad, touch and mouse-aim input - ?touch=1 or ?touch=0 overrides touch detection
+        const touchParam = new URLSearchParams(window.location.search).get('touch');
+        this.input = new InputManager({
+            touch: touchParam === null ? undefined : touchParam === '1',
+            mouseElement: this.renderer.domElement
+        });
+        
+        // Key remapping screen - the control lists on screen follow any change
+        this.controlsMenu = new ControlsMenu(this, this.input.actionMap);
+        this.input.actionMap.onChange(() => this.renderControlBindings());
+        this.pauseOverlay = null;
         
         // Bind methods
         this.onWindowResize = this.onWindowResize.bind(this);
-        this.handleKeyDown = this.handleKeyDown.bind(this);
-        this.handleKeyUp = this.handleKeyUp.bind(this);
         
         // Add event listeners
         window.addEventListener('resize', this.onWindowResize, false);
-        window.addEventListener('keydown', this.handleKeyDown, false);
-        window.addEventListener('keyup', this.handleKeyUp, false);
         
         // Initialize
         this.init();
@@ -148,6 +211,13 @@ export class Game {
                         window.focus();
                     });
                 }
+                
+                const controlsButton = document.getElementById('controls-button');
+                if (controlsButton) {
+                    controlsButton.addEventListener('click', () => this.controlsMenu.open());
+                }
+                
+                existingIntroScreen.insertBefore(this.createWorldPanel(), startButton);
             }
             
             // Set up basic environment
@@ -158,36 +228,47 @@ export class Game {
             this.createRunway();
             console.log("Runway created");
             
+            // Touchdown grading for landings on the runway
+            this.landingGrader = new LandingGrader(this);
+            
             // Create player first so we can position camera relative to it
             console.log("Creating player...");
-            this.player = new Player(this);
-            
-            // Position player at beginning of runway
-            this.player.position.set(0, 3, this.runwayLength / 2 - 10);
-            this.player.rotation.y = Math.PI;
+            // Pick the plane from the URL, e.g. ?aircraft=racer
+            const aircraft = new URLSearchParams(window.location.search).get('aircraft') || undefined;
+            this.player = new Player(this, aircraft);
             
+            // Position player on its wheels at beginning of runway
+            this.placePlayerOnRunway();
             if (this.player.mesh) {
-                this.player.mesh.position.copy(this.player.position);
-                this.player.mesh.rotation.copy(this.player.rotation);
                 console.log("Player created and positioned");
             } else {
                 console.error("Player mesh not created properly");
             }
             
-            // Add environmental elements
-            this.createMountains();
-            console.log("Mountains created");
-            
-            this.createTrees();
-            console.log("Trees created");
+            // Start in mouse-aim mode with ?mouse=1 - the first click on the game grabs the pointer
+            this.createAimReticle();
+            if (new URLSearchParams(window.location.search).get('mouse') === '1') {
+                this.input.mouseAim.setEnabled(true, this.player.getForwardDirection());
+            }
             
-            this.createLakes();
-            console.log("Lakes created");
+            // Add environmental elements
+            this.buildWorld();
             
             // Initialize physics
             this.initPhysics();
             console.log("Physics initialized");
             
+            // Create the shared pool for enemy gunfire
+            this.enemyBulletPool = new EnemyBulletPool(this);
+            
+            // The map editor has the world to itself - no enemies, HUD or intro
+            if (this.editorMode) {
+                this.editor = new LevelEditor(this, new OrbitControls(this.camera, this.renderer.domElement));
+                this.animate();
+                console.log("Map editor ready");
+                return;
+            }
+            
             // Create enemies
             this.createEnemies();
             console.log("Enemies created");
@@ -198,9 +279,11 @@ export class Game {
             
             // Set up window resize handler
             window.addEventListener('resize', this.onWindowResize.bind(this));
+            this.applyTouchLayout();
             
             // Position camera behind player
             this.updateCamera(0);
+            this.updateFlightModelDisplay();
             
             // Start animation loop
             console.log("Starting animation loop");
@@ -208,6 +291,7 @@ export class Game {
             
             // Show intro screen
             this.showIntroScreen();
+            this.renderControlBindings();
             
             console.log("Initialization complete");
         } catch (error) {
@@ -222,9 +306,6 @@ export class Game {
         // Set a brighter blue sky color as requested
         this.scene.background = new THREE.Color(0x4a9cff); // Bright blue sky
         
-        // Create a simple circular ground that exactly matches the boundary
-        this.createCircularGround();
-        
         // Create world boundary indicator
         this.createWorldBoundaryIndicator();
         
@@ -265,34 +346,6 @@ export class Game {
         // No fog as requested
     }
 
-    createCircularGround() {
-        // Create a circular ground that exactly matches the world boundary
-        const segments = 64; // High enough for a smooth circle
-        const groundGeometry = new THREE.CircleGeometry(this.worldRadius, segments);
-        
-        // Simple bright green material with no special effects
-        const groundMaterial = new THREE.MeshStandardMaterial({ 
-            color: 0x4caf50,  // Bright green
-            roughness: 0.8,
-            metalness: 0.1,
-            side: THREE.DoubleSide,
-            flatShading: false,
-            depthWrite: true
-        });
-        
-        // Create the ground mesh
-        const ground = new THREE.Mesh(groundGeometry, groundMaterial);
-        ground.rotation.x = -Math.PI / 2; // Rotate to be horizontal
-        ground.position.y = 0; // At exact y=0 level
-        ground.receiveShadow = true;
-        
-        // Add to scene
-        this.scene.add(ground);
-        
-        // Store ground for reference
-        this.ground = ground;
-    }
-
     createClouds() {
         // Create a set of clouds at different positions in the sky
         this.clouds = [];
@@ -311,28 +364,28 @@ export class Game {
             const cloud = new THREE.Group();
             
             // Random cloud size and position
-            const cloudSize = 20 + Math.random() * 30;
-            const cloudHeight = 100 + Math.random() * 150;
+            const cloudSize = 20 + this.worldRandom.next() * 30;
+            const cloudHeight = 100 + this.worldRandom.next() * 150;
             
             // Random position within a large area
-            const angle = Math.random() * Math.PI * 2;
-            const distance = 200 + Math.random() * 800;
+            const angle = this.worldRandom.next() * Math.PI * 2;
+            const distance = 200 + this.worldRandom.next() * 800;
             const x = Math.sin(angle) * distance;
             const z = Math.cos(angle) * distance;
             
             // Create 3-7 cloud puffs
-            const puffCount = 3 + Math.floor(Math.random() * 5);
+            const puffCount = 3 + Math.floor(this.worldRandom.next() * 5);
             
             for (let j = 0; j < puffCount; j++) {
                 // Create a cloud puff (sphere)
-                const puffSize = (0.5 + Math.random() * 0.5) * cloudSize;
+                const puffSize = (0.5 + this.worldRandom.next() * 0.5) * cloudSize;
                 const puffGeometry = new THREE.SphereGeometry(puffSize, 7, 7);
                 const puff = new THREE.Mesh(puffGeometry, cloudMaterial);
                 
                 // Position puffs relative to cloud center
-                const puffX = (Math.random() - 0.5) * cloudSize;
-                const puffY = (Math.random() - 0.5) * cloudSize * 0.3;
-                const puffZ = (Math.random() - 0.5) * cloudSize;
+                const puffX = (this.worldRandom.next() - 0.5) * cloudSize;
+                const puffY = (this.worldRandom.next() - 0.5) * cloudSize * 0.3;
+                const puffZ = (this.worldRandom.next() - 0.5) * cloudSize;
                 puff.position.set(puffX, puffY, puffZ);
                 
                 // Add puff to cloud
@@ -348,44 +401,56 @@ export class Game {
             // Store cloud for animation
             this.clouds.push({
                 mesh: cloud,
-                speed: 2 + Math.random() * 3, // Random speed
+                speed: 2 + this.worldRandom.next() * 3, // Random speed
                 direction: new THREE.Vector3(
-                    (Math.random() - 0.5) * 0.5,
+                    (this.worldRandom.next() - 0.5) * 0.5,
                     0,
-                    (Math.random() - 0.5) * 0.5
+                    (this.worldRandom.next() - 0.5) * 0.5
                 ).normalize()
             });
         }
     }
 
     createRunway() {
-        // Create a runway in the center of the scene
-        const runwayGeometry = new THREE.PlaneGeometry(this.runwayWidth, this.runwayLength);
+        // Create the map's runways - all run north-south, and the first is where the player starts
         const runwayMaterial = new THREE.MeshPhongMaterial({ 
             color: 0x222222,  // Darker asphalt color
             side: THREE.DoubleSide,
             shininess: 10     // Slight shine for asphalt
         });
         
-        this.runway = new THREE.Mesh(runwayGeometry, runwayMaterial);
-        this.runway.rotation.x = -Math.PI / 2;
-        this.runway.position.y = 0.1;  // Slightly above ground to prevent z-fighting
-        this.runway.receiveShadow = true;
-        this.scene.add(this.runway);
-        
-        // Add runway markings
-        this.addRunwayMarkings();
-        
-        // Store runway bounds for object placement logic
-        this.runwayBounds = {
-            minX: -this.runwayWidth/2 - 10, // Add 10-unit buffer
-            maxX: this.runwayWidth/2 + 10,
-            minZ: -this.runwayLength/2 - 10,
-            maxZ: this.runwayLength/2 + 10
-        };
+        this.runways = this.map.runways.map(({ x, z, width, length }) => {
+            const runwayGeometry = new THREE.PlaneGeometry(width, length);
+            const mesh = new THREE.Mesh(runwayGeometry, runwayMaterial);
+            mesh.rotation.x = -Math.PI / 2;
+            mesh.position.set(x, 0.1, z);  // Slightly above ground to prevent z-fighting
+            mesh.receiveShadow = true;
+            this.scene.add(mesh);
+            
+            const runway = {
+                x: x,
+                z: z,
+                width: width,
+                length: length,
+                mesh: mesh,
+                markings: [],
+                // Bounds for object placement logic
+                bounds: {
+                    minX: x - width/2 - 10, // Add 10-unit buffer
+                    maxX: x + width/2 + 10,
+                    minZ: z - length/2 - 10,
+                    maxZ: z + length/2 + 10
+                }
+            };
+            
+            // Add runway markings
+            this.addRunwayMarkings(runway);
+            return runway;
+        });
+        this.runway = this.runways[0]; // Home runway - the player starts here
     }
 
-    addRunwayMarkings() {
+    addRunwayMarkings(runway) {
         // Add white stripes along the runway
         const stripeWidth = 1;
         const stripeLength = 10;
@@ -396,52 +461,120 @@ export class Game {
         });
         
         // Center line
-        const centerLineGeometry = new THREE.PlaneGeometry(stripeWidth, this.runwayLength * 0.8);
+        const centerLineGeometry = new THREE.PlaneGeometry(stripeWidth, runway.length * 0.8);
         const centerLine = new THREE.Mesh(centerLineGeometry, stripeMaterial);
         centerLine.rotation.x = -Math.PI / 2;
-        centerLine.position.y = 0.2; // Increased from 0.05 to eliminate z-fighting
+        centerLine.position.set(runway.x, 0.2, runway.z); // Raised from 0.05 to eliminate z-fighting
         this.scene.add(centerLine);
+        runway.markings.push(centerLine);
         
         // Starting line 
-        const startLineGeometry = new THREE.PlaneGeometry(this.runwayWidth, stripeWidth);
+        const startLineGeometry = new THREE.PlaneGeometry(runway.width, stripeWidth);
         const startLine = new THREE.Mesh(startLineGeometry, stripeMaterial);
         startLine.rotation.x = -Math.PI / 2;
-        startLine.position.z = this.runwayLength/2 - 5; // Near the end
-        startLine.position.y = 0.2; // Increased from 0.05
+        startLine.position.set(runway.x, 0.2, runway.z + runway.length/2 - 5); // Near the end
         this.scene.add(startLine);
+        runway.markings.push(startLine);
         
         // End line
         const endLine = startLine.clone();
-        endLine.position.z = -this.runwayLength/2 + 5; // Near the beginning
+        endLine.position.z = runway.z - runway.length/2 + 5; // Near the beginning
         this.scene.add(endLine);
+        runway.markings.push(endLine);
     }
 
     isNearRunway(x, z, buffer) {
-        // Check if a point is near the runway (including buffer zone)
-        const halfWidth = this.runwayWidth / 2 + buffer;
-        const halfLength = this.runwayLength / 2 + buffer;
-        
-        // Check main runway
-        if (Math.abs(x) < halfWidth && Math.abs(z) < halfLength) {
-            return true;
-        }
-        
-        // Check apron area
-        if (Math.abs(x) < this.runwayWidth + buffer && 
-            z < -this.runwayLength / 2 + buffer && 
-            z > -this.runwayLength / 2 - 50 - buffer) {
-            return true;
+        // Check if a point is near any runway (including buffer zone)
+        for (const runway of this.runways) {
+            const dx = x - runway.x;
+            const dz = z - runway.z;
+            const halfWidth = runway.width / 2 + buffer;
+            const halfLength = runway.length / 2 + buffer;
+            
+            // Check main runway
+            if (Math.abs(dx) < halfWidth && Math.abs(dz) < halfLength) {
+                return true;
+            }
+            
+            // Check apron area
+            if (Math.abs(dx) < runway.width + buffer && 
+                dz < -runway.length / 2 + buffer && 
+                dz > -runway.length / 2 - 50 - buffer) {
+                return true;
+            }
         }
         
         return false;
     }
 
+    // Everything the map describes apart from the runways, which are laid first so the rest keeps clear of them
+    buildWorld() {
+        this.createMountains();
+        console.log("Mountains created");
+        
+        this.createLakes();
+        console.log("Lakes created");
+        
+        // The ground is shaped around the mountains and lakes, then the trees are planted on it
+        this.createTerrain();
+        console.log("Terrain created");
+        
+        this.createTrees();
+        console.log("Trees created");
+    }
+    
+    // Tear down the map-built world and build it again from this.map - the map editor's live preview
+    rebuildWorld() {
+        for (const runway of this.runways) {
+            for (const object of [runway.mesh, ...runway.markings]) {
+                this.scene.remove(object);
+                this.disposeObject(object);
+            }
+        }
+        for (const tree of this.trees) {
+            this.scene.remove(tree.mesh);
+            this.disposeObject(tree.mesh);
+        }
+        if (this.terrain) {
+            this.terrain.dispose();
+            this.terrain = null;
+        }
+        this.terrainGrid.clear();
+        
+        this.createRunway();
+        this.buildWorld();
+        this.placePlayerOnRunway();
+    }
+    
+    // Free the GPU copies of a mesh and everything under it
+    disposeObject(object) {
+        object.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+    }
+    
+    // On its wheels at the start of the home runway, ready to roll
+    placePlayerOnRunway() {
+        this.player.position.set(this.runway.x, this.player.groundClearance, this.runway.z + this.runway.length / 2 - 10);
+        this.player.setHeading(Math.PI);
+        
+        if (this.player.mesh) {
+            this.player.mesh.position.copy(this.player.position);
+            this.player.mesh.quaternion.copy(this.player.quaternion);
+        }
+    }
+    
     createMountains() {
-        // Create distant mountains for scenery
-        const mountainCount = 18; // Increased for larger arena
+        // The map's own mountains first, then as many more as it asks for scattered at random
+        const { count, radius: radiusRange, height: heightRange, distance: distanceRange, list } = this.map.mountains;
         this.mountains = [];
         
-        for (let i = 0; i < mountainCount; i++) {
+        for (const mountain of list) {
+            this.addMountain(mountain.x, mountain.z, mountain.radius, mountain.height);
+        }
+        
+        for (let i = 0; i < count; i++) {
             // Keep trying until we find a valid position
             let x, z, radius, height;
             let positionValid = false;
@@ -449,10 +582,10 @@ export class Game {
             
             while (!positionValid && attempts < 50) {
                 // Generate a position far from the runway but within world bounds
-                radius = 60 + Math.random() * 50; // Much larger mountains
-                height = 150 + Math.random() * 150; // Much taller mountains
-                const angle = Math.random() * Math.PI * 2;
-                const distance = 180 + Math.random() * 450; // Increased distance range for larger boundary
+                radius = this.randomInRange(this.worldRandom, radiusRange);
+                height = this.randomInRange(this.worldRandom, heightRange);
+                const angle = this.worldRandom.next() * Math.PI * 2;
+                const distance = this.randomInRange(this.worldRandom, distanceRange);
                 
                 x = Math.sin(angle) * distance;
                 z = Math.cos(angle) * distance;
@@ -464,28 +597,60 @@ export class Game {
             
             if (!positionValid) continue; // Skip if we couldn't find a valid position
             
-            // Create mountain with more realistic features - adjusted height
-            const mountain = this.createMountain(radius, height);
-            
-            // Position the mountain with its base at ground level
-            // For a cone, the origin is at the center of the base, so we need to move it up by half its height
-            mountain.position.set(x, height/2, z); // Fix: Position y at half height so base is at ground level
-            this.scene.add(mountain);
-            
-            // Store for collision detection
-            this.mountains.push({
-                position: new THREE.Vector3(x, 0, z), // Keep collision at ground level
-                radius: radius
-            });
+            this.addMountain(x, z, radius, height);
         }
     }
     
+    addMountain(x, z, radius, height) {
+        // Raised out of the terrain heightmap later - only the footprint and peak height are needed here
+        this.mountains.push({
+            kind: 'mountain',
+            position: new THREE.Vector3(x, 0, z),
+            radius: radius,
+            height: height
+        });
+    }
+    
+    // A random number between a [min, max] pair from one of the seeded streams
+    randomInRange(random, [min, max]) {
+        return min + random.next() * (max - min);
+    }
+    
     createTrees() {
-        // Create trees scattered around the terrain
-        const treeCount = 135; // Increased for larger area
+        // Trees the map places exactly, then its forests, then the rest scattered around the terrain
+        const { count, distance: distanceRange, list } = this.map.trees;
         this.trees = [];
         
-        for (let i = 0; i < treeCount; i++) {
+        for (const tree of list) {
+            this.plantTree(tree.x, tree.z, tree.type || this.getRandomTreeType());
+        }
+        
+        // Forests pack their trees closer together than the open countryside
+        for (const forest of this.map.forests) {
+            for (let i = 0; i < forest.count; i++) {
+                let x, z;
+                let positionValid = false;
+                let attempts = 0;
+                
+                while (!positionValid && attempts < 20) {
+                    // Even spread over the forest's circle
+                    const angle = this.worldRandom.next() * Math.PI * 2;
+                    const distance = Math.sqrt(this.worldRandom.next()) * forest.radius;
+                    
+                    x = forest.x + Math.sin(angle) * distance;
+                    z = forest.z + Math.cos(angle) * distance;
+                    
+                    positionValid = this.isPositionClear(x, z, 5, [...this.mountains, ...this.lakes, ...this.trees]);
+                    attempts++;
+                }
+                
+                if (!positionValid) continue;
+                
+                this.plantTree(x, z, this.getRandomTreeType(), 5);
+            }
+        }
+        
+        for (let i = 0; i < count; i++) {
             // Keep trying until we find a valid position
             let x, z;
             let positionValid = false;
@@ -493,52 +658,79 @@ export class Game {
             
             while (!positionValid && attempts < 50) {
                 // Generate a position within the world boundary
-                const angle = Math.random() * Math.PI * 2;
-                const distance = 90 + Math.random() * (this.worldRadius - 180); // Keep away from center and boundary
+                const angle = this.worldRandom.next() * Math.PI * 2;
+                const distance = this.randomInRange(this.worldRandom, distanceRange);
                 
                 x = Math.sin(angle) * distance;
                 z = Math.cos(angle) * distance;
                 
-                // Check if position is clear of runway, mountains and other trees
-                positionValid = this.isPositionClear(x, z, 10, [...this.mountains, ...this.trees]);
+                // Check if position is clear of runway, mountains, lakes and other trees
+                positionValid = this.isPositionClear(x, z, 10, [...this.mountains, ...this.lakes, ...this.trees]);
                 attempts++;
             }
             
             if (!positionValid) continue; // Skip if we couldn't find a valid position
             
-            // Create a random tree
-            const treeType = Math.floor(Math.random() * 3);
-            let tree;
-            
-            switch (treeType) {
-                case 0:
-                    tree = this.createPineTree();
-                    break;
-                case 1:
-                    tree = this.createOakTree();
-                    break;
-                default:
-                    tree = this.createBushTree();
-                    break;
-            }
-            
-            tree.position.set(x, 0, z);
-            this.scene.add(tree);
-            
-            // Store for collision detection
-            this.trees.push({
-                position: tree.position,
-                radius: 10 // Approximate tree radius
-            });
+            this.plantTree(x, z, this.getRandomTreeType());
         }
     }
     
+    getRandomTreeType() {
+        return TREE_TYPES[Math.floor(this.worldRandom.next() * TREE_TYPES.length)];
+    }
+    
+    // Stand a tree on the ground and file it for collisions. Spacing is how much room it keeps
+    // around itself when later trees are placed.
+    plantTree(x, z, type, spacing = 10) {
+        let tree;
+        
+        switch (type) {
+            case 'pine':
+                tree = this.createPineTree();
+                break;
+            case 'oak':
+                tree = this.createOakTree();
+                break;
+            default:
+                tree = this.createBushTree();
+                break;
+        }
+        
+        // Standing on the ground wherever it is
+        tree.position.set(x, this.terrain.getHeight(x, z), z);
+        this.scene.add(tree);
+        
+        // Collision size from the tree's own mesh - pines and oaks stand tall, bushes barely clear the ground
+        const bounds = new THREE.Box3().setFromObject(tree);
+        const collisionRadius = Math.max(
+            bounds.max.x - x, x - bounds.min.x,
+            bounds.max.z - z, z - bounds.min.z
+        );
+        
+        // Store for collision detection
+        const treeInfo = {
+            kind: 'tree',
+            type: type,
+            mesh: tree,
+            position: tree.position,
+            radius: spacing,
+            collisionRadius: collisionRadius,
+            height: bounds.max.y
+        };
+        this.trees.push(treeInfo);
+        this.terrainGrid.insert(treeInfo, x, z, collisionRadius);
+    }
+    
     createLakes() {
-        // Create small lakes scattered around the terrain
-        const lakeCount = 18; // Increased for larger area
+        // The map's own lakes first, then as many more as it asks for scattered around the terrain
+        const { count, radius: radiusRange, distance: distanceRange, list } = this.map.lakes;
         this.lakes = [];
         
-        for (let i = 0; i < lakeCount; i++) {
+        for (const lake of list) {
+            this.addLake(lake.x, lake.z, lake.radius);
+        }
+        
+        for (let i = 0; i < count; i++) {
             // Keep trying until we find a valid position
             let x, z, radius;
             let positionValid = false;
@@ -546,40 +738,51 @@ export class Game {
             
             while (!positionValid && attempts < 50) {
                 // Generate a position within the world boundary
-                radius = 30 + Math.random() * 40; // Larger lakes for expanded arena
-                const angle = Math.random() * Math.PI * 2;
-                const distance = 135 + Math.random() * (this.worldRadius - 270); // Keep away from center and boundary
+                radius = this.randomInRange(this.worldRandom, radiusRange);
+                const angle = this.worldRandom.next() * Math.PI * 2;
+                const distance = this.randomInRange(this.worldRandom, distanceRange);
                 
                 x = Math.sin(angle) * distance;
                 z = Math.cos(angle) * distance;
                 
-                // Check if position is clear of runway, mountains, trees and other lakes
-                positionValid = this.isPositionClear(x, z, radius, [...this.mountains, ...this.trees, ...this.lakes]);
+                // Check if position is clear of runway, mountains and other lakes
+                positionValid = this.isPositionClear(x, z, radius, [...this.mountains, ...this.lakes]);
                 attempts++;
             }
             
             if (!positionValid) continue; // Skip if we couldn't find a valid position
             
-            // Create lake with simplified geometry
-            const segments = 32; // Increased for smoother lakes
-            const lakeGeometry = new THREE.CircleGeometry(radius, segments);
-            const lakeMaterial = new THREE.MeshPhongMaterial({
-                color: 0x0077be,
-                shininess: 100,
-                specular: 0x111111
-            });
-            
-            const lake = new THREE.Mesh(lakeGeometry, lakeMaterial);
-            lake.rotation.x = -Math.PI / 2;
-            lake.position.set(x, 0.1, z); // Slightly above ground
-            this.scene.add(lake);
-            
-            // Store for collision detection
-            this.lakes.push({
-                position: lake.position,
-                radius: radius
-            });
+            this.addLake(x, z, radius);
+        }
+    }
+    
+    addLake(x, z, radius) {
+        // The terrain digs the basin and fills it with water
+        this.lakes.push({
+            kind: 'lake',
+            position: new THREE.Vector3(x, 0, z),
+            radius: radius
+        });
+    }
+    
+    createTerrain() {
+        // A map can pin its hills to a seed of its own, so they come out the same whatever the world seed
+        const { seed, ...shape } = this.map.terrain;
+        const random = seed === undefined ? this.worldRandom : new SeededRandom(seed);
+        this.terrain = new Terrain(this, {
+            ...shape,
+            mountains: this.mountains,
+            lakes: this.lakes,
+            random: () => random.next()
+        });
+        
+        // Lakes are filed by the full spread of their water so anything over it finds the surface
+        for (const lake of this.lakes) {
+            this.terrainGrid.insert(lake, lake.position.x, lake.position.z, lake.waterRadius);
         }
+        
+        // Relief map drawn under the radar blips
+        this.radarTerrainImage = this.terrain.createRadarImage(256);
     }
 
     initPhysics() {
@@ -605,22 +808,86 @@ export class Game {
         
         // Update renderer
         this.renderer.setSize(window.innerWidth, window.innerHeight);
+        
+        // Re-fit the touch controls for the new size or screen orientation
+        this.input.touch.layout();
+        this.applyTouchLayout();
+    }
+    
+    // Make room for the touch controls - radar moves to the top right and shrinks
+    applyTouchLayout() {
+        if (!this.input.touch.enabled) return;
+        
+        const controlsHelp = document.getElementById('controls-help');
+        if (controlsHelp) {
+            controlsHelp.style.display = 'none';
+        }
+        
+        const radarContainer = document.getElementById('radar-container');
+        if (radarContainer) {
+            const shortSide = Math.min(window.innerWidth, window.innerHeight);
+            const scale = Math.min(0.6, shortSide / 700);
+            radarContainer.style.top = '10px';
+            radarContainer.style.right = '10px';
+            radarContainer.style.bottom = 'auto';
+            radarContainer.style.left = 'auto';
+            radarContainer.style.transformOrigin = 'top right';
+            radarContainer.style.transform = `scale(${scale})`;
+        }
     }
 
     updateCamera(delta) {
         if (!this.player) return;
         
-        // Get player position and rotation
+        // Cockpit view sits just above the pig and looks straight out along the nose
+        if (this.cameraViews[this.cameraView] === 'Cockpit') {
+            const forward = this.player.getForwardDirection();
+            const playerUp = this.player.getUpDirection();
+            this.camera.position.copy(this.player.position).addScaledVector(playerUp, 1.6).addScaledVector(forward, 0.5);
+            this.camera.up.copy(playerUp);
+            this.camera.lookAt(this.camera.position.clone().addScaledVector(forward, 10));
+            return;
+        }
+        
+        // Far chase pulls the camera further back and up
+        const viewScale = this.cameraViews[this.cameraView] === 'Far chase' ? 2.2 : 1;
+        const cameraDistance = this.cameraDistance * viewScale;
+        const cameraHeight = this.cameraHeight * viewScale;
+        
+        // Get player position and attitude
         const playerPos = this.player.position;
-        const playerRot = this.player.rotation;
-        
-        // Calculate camera target position based on player position and rotation
-        // Position camera behind and above player
-        const cameraOffset = new THREE.Vector3(
-            -Math.sin(playerRot.y) * this.cameraDistance,
-            this.cameraHeight,
-            -Math.cos(playerRot.y) * this.cameraDistance
-        );
+        let cameraOffset;
+        let cameraUp;
+        let lookAhead = null;
+        
+        if (this.input.mouseAim.enabled) {
+            // Swing round behind the reticle so the view follows where the player is aiming
+            const aim = this.input.mouseAim.aimDirection;
+            if (!this.cameraAimDirection) {
+                this.cameraAimDirection = aim.clone();
+            } else {
+                this.cameraAimDirection.lerp(aim, 1 - Math.exp(-this.cameraAimResponse * delta)).normalize();
+            }
+            cameraOffset = this.cameraAimDirection.clone().multiplyScalar(-cameraDistance);
+            cameraOffset.y += cameraHeight;
+            cameraUp = new THREE.Vector3(0, 1, 0);
+            lookAhead = this.cameraAimDirection.clone().multiplyScalar(20);
+        } else if (this.player.flightPreset.cameraFollowsAttitude) {
+            // Ride along with the plane's full attitude so loops and inverted flight read correctly
+            const playerUp = this.player.getUpDirection();
+            cameraOffset = this.player.getForwardDirection().multiplyScalar(-cameraDistance)
+                .addScaledVector(playerUp, cameraHeight);
+            cameraUp = playerUp;
+        } else {
+            // Stay level behind the plane's heading
+            const heading = this.player.getHeading();
+            cameraOffset = new THREE.Vector3(
+                -Math.sin(heading) * cameraDistance,
+                cameraHeight,
+                -Math.cos(heading) * cameraDistance
+            );
+            cameraUp = new THREE.Vector3(0, 1, 0);
+        }
         
         // Add player position to get world space camera position
         const targetCameraPosition = new THREE.Vector3().copy(playerPos).add(cameraOffset);
@@ -641,9 +908,14 @@ export class Game {
             this.camera.position.lerp(targetCameraPosition, this.cameraSmoothness);
         }
         
+        // Roll the camera's up vector smoothly toward the plane's
+        this.camera.up.lerp(cameraUp, this.cameraSmoothness).normalize();
+        
         // Make camera look at player with slight height offset
-        const lookAtPosition = this.player.position.clone();
-        lookAtPosition.y += 2; // Look slightly above player
+        const lookAtPosition = this.player.position.clone().addScaledVector(cameraUp, 2); // Look slightly above player
+        if (lookAhead) {
+            lookAtPosition.add(lookAhead);
+        }
         this.camera.lookAt(lookAtPosition);
     }
 
@@ -651,14 +923,20 @@ export class Game {
         // Always update effects, even if game is over
         this.updateEffects(delta);
         
+        // Read input even while paused so the pause key can resume
+        if (this.player && !this.gameOver) {
+            this.input.update(this.player.controls);
+            this.handleInputActions(this.player.controls.actions);
+        }
+        
         // Don't update game state if paused or game over
         if (this.paused || this.gameOver) return;
         
-        // Check for victory condition - 100 animals rescued
-        if (this.rescuedBirds >= 100) {
-            console.log("Victory - 100 animals rescued!");
+        // Check for victory - the map decides what it takes
+        if (this.checkWinConditions()) {
+            console.log("Victory - win conditions met!");
             this.gameOver = true;
-            this.showVictoryScreen("Congratulations! You've rescued 100 animals!");
+            this.showVictoryScreen(this.getVictoryMessage());
             return;
         }
         
@@ -666,20 +944,48 @@ export class Game {
         if (this.player) {
             this.player.update(delta);
             
+            // Check for a crash on touchdown
+            if (this.player.crashReason) {
+                console.log("Game over - crashed on touchdown");
+                this.gameOver = true;
+                this.createExplosion(this.player.position.x, this.player.position.y, this.player.position.z, 2);
+                this.showGameOverScreen(this.player.crashReason);
+                return;
+            }
+            
             // Update camera to follow player
             this.updateCamera(delta);
+            this.updateAimReticle();
             
             // Check if player is out of bounds
             this.checkWorldBounds(this.player);
             
             // Check for collisions with terrain
             this.checkTerrainCollisions();
+            if (this.gameOver) return;
+            
+            // Check for mid-air collisions with enemy planes
+            this.checkMidAirCollisions();
+            
+            // Update player HUD
+            this.updateHealthDisplay();
+            this.updateFuelDisplay();
+            this.updateGunDisplay();
+            this.updateMissileDisplay();
+            this.updateUpgradeDisplay();
+            this.updateStallDisplay();
+            this.input.touch.showThrottle(this.player.throttle);
+            
+            // Check for game over conditions
+            if (this.player.isDestroyed) {
+                console.log("Game over - player health depleted");
+                this.gameOver = true;
+                this.createExplosion(this.player.position.x, this.player.position.y, this.player.position.z, 2);
+                this.playExplosionSound(this.player.position);
+                this.showGameOverScreen(this.player.getDestructionMessage());
+                return;
+            }
             
-            // Update player HUD - removing health and fuel updates
-            // this.healthElement.textContent = `Health: ${Math.round(this.player.health)}%`;
-            // this.fuelElement.textContent = `Fuel: ${Math.round(this.player.fuel)}%`;
-            
-            // Check for game over conditions - removing health check
             if (this.player.position.y < -50) {
                 console.log("Game over - player destroyed");
                 this.gameOver = true;
@@ -695,9 +1001,18 @@ export class Game {
         // Update enemies
         this.updateEnemies(delta);
         
+        // Player bullets against enemies and terrain
+        this.checkBulletHits(delta);
+        
+        // Update enemy bullets and check if they hit the player
+        this.updateEnemyBullets(delta);
+        
         // Update birds
         this.updateBirds(delta);
         
+        // Update pickups and collect any the player flies through
+        this.updatePickups(delta);
+        
         // Update clouds
         this.updateClouds(delta);
         
@@ -708,6 +1023,240 @@ export class Game {
         this.updateRadar(delta);
     }
 
+    // One-shot actions the game handles itself - the player handles the rest
+    handleInputActions(actions) {
+        for (const action of actions) {
+            switch (action) {
+                case 'pause':
+                    // Nothing to pause until the intro screen is dismissed
+                    if (this.gameStarted) {
+                        this.togglePause();
+                    }
+                    break;
+                case 'camera':
+                    if (!this.paused) {
+                        this.cameraView = (this.cameraView + 1) % this.cameraViews.length;
+                        console.log(`Camera view: ${this.cameraViews[this.cameraView]}`);
+                    }
+                    break;
+                case 'mouseAim':
+                    if (!this.paused) {
+                        this.toggleMouseAim();
+                    }
+                    break;
+                case 'mouseAimLost':
+                    // Esc releases the pointer in every browser - treat it as a pause
+                    if (this.gameStarted && !this.paused) {
+                        this.togglePause();
+                    }
+                    break;
+            }
+        }
+    }
+
+    togglePause() {
+        this.paused = !this.paused;
+        
+        if (this.paused) {
+            // Silence the warning tones and hand back the mouse while the game is frozen
+            this.player.setStallHorn(false);
+            this.player.missileLauncher.silence();
+            this.input.mouseAim.release();
+            this.showPauseOverlay();
+        } else {
+            this.hidePauseOverlay();
+            this.controlsMenu.close();
+        }
+    }
+
+    toggleMouseAim() {
+        const mouseAim = this.input.mouseAim;
+        mouseAim.setEnabled(!mouseAim.enabled, this.player.getForwardDirection());
+        
+        // The key press counts as a user gesture, so the pointer can be grabbed straight away
+        if (mouseAim.enabled) {
+            mouseAim.requestLock();
+        }
+        this.cameraAimDirection = null;
+        this.updateFlightModelDisplay();
+    }
+
+    endMouseAim() {
+        if (this.input.mouseAim.enabled) {
+            this.input.mouseAim.setEnabled(false);
+        }
+        this.updateAimReticle();
+    }
+
+    // Mouse-aim reticle, the nose marker showing where the guns point, and a hint to click
+    createAimReticle() {
+        const reticle = document.createElement('div');
+        reticle.id = 'aim-reticle';
+        reticle.style.position = 'absolute';
+        reticle.style.width = '28px';
+        reticle.style.height = '28px';
+        reticle.style.marginLeft = '-14px';
+        reticle.style.marginTop = '-14px';
+        reticle.style.border = '2px solid rgba(255, 255, 255, 0.9)';
+        reticle.style.borderRadius = '50%';
+        reticle.style.pointerEvents = 'none';
+        reticle.style.zIndex = '40';
+        reticle.style.display = 'none';
+        
+        const noseMarker = document.createElement('div');
+        noseMarker.id = 'nose-marker';
+        noseMarker.style.position = 'absolute';
+        noseMarker.style.width = '10px';
+        noseMarker.style.height = '10px';
+        noseMarker.style.marginLeft = '-5px';
+        noseMarker.style.marginTop = '-5px';
+        noseMarker.style.backgroundColor = 'rgba(255, 152, 0, 0.9)';
+        noseMarker.style.borderRadius = '50%';
+        noseMarker.style.pointerEvents = 'none';
+        noseMarker.style.zIndex = '40';
+        noseMarker.style.display = 'none';
+        
+        const hint = document.createElement('div');
+        hint.id = 'aim-hint';
+        hint.textContent = 'Click to steer with the mouse';
+        hint.style.position = 'absolute';
+        hint.style.top = '60%';
+        hint.style.left = '50%';
+        hint.style.transform = 'translateX(-50%)';
+        hint.style.color = 'white';
+        hint.style.fontFamily = 'Arial, sans-serif';
+        hint.style.fontSize = '20px';
+        hint.style.textShadow = '2px 2px 2px rgba(0, 0, 0, 0.5)';
+        hint.style.pointerEvents = 'none';
+        hint.style.zIndex = '40';
+        hint.style.display = 'none';
+        
+        document.body.appendChild(reticle);
+        document.body.appendChild(noseMarker);
+        document.body.appendChild(hint);
+        this.aimReticle = reticle;
+        this.noseMarker = noseMarker;
+        this.aimHint = hint;
+    }
+
+    // Place a HUD element over a point in the world, hiding it when the point is behind the camera
+    placeOnScreen(element, worldPosition) {
+        this.camera.updateMatrixWorld(); // The camera has moved since the last render
+        const projected = worldPosition.clone().project(this.camera);
+        if (projected.z > 1) {
+            element.style.display = 'none';
+            return;
+        }
+        element.style.display = 'block';
+        element.style.left = `${(projected.x + 1) / 2 * window.innerWidth}px`;
+        element.style.top = `${(1 - projected.y) / 2 * window.innerHeight}px`;
+    }
+
+    updateAimReticle() {
+        if (!this.aimReticle) return;
+        
+        const mouseAim = this.input.mouseAim;
+        if (!mouseAim.enabled || this.gameOver) {
+            this.aimReticle.style.display = 'none';
+            this.noseMarker.style.display = 'none';
+            this.aimHint.style.display = 'none';
+            return;
+        }
+        
+        // Both markers sit far out in front so they line up with where bullets end up
+        const markerDistance = 200;
+        this.placeOnScreen(this.aimReticle,
+            this.player.position.clone().addScaledVector(mouseAim.aimDirection, markerDistance));
+        this.placeOnScreen(this.noseMarker,
+            this.player.position.clone().addScaledVector(this.player.getForwardDirection(), markerDistance));
+        this.aimHint.style.display = mouseAim.locked ? 'none' : 'block';
+    }
+
+    showPauseOverlay() {
+        if (this.pauseOverlay) return;
+        
+        const pauseOverlay = document.createElement('div');
+        pauseOverlay.id = 'pause-overlay';
+        pauseOverlay.style.position = 'absolute';
+        pauseOverlay.style.top = '0';
+        pauseOverlay.style.left = '0';
+        pauseOverlay.style.width = '100%';
+        pauseOverlay.style.height = '100%';
+        pauseOverlay.style.backgroundColor = 'rgba(0, 0, 0, 0.6)';
+        pauseOverlay.style.display = 'flex';
+        pauseOverlay.style.flexDirection = 'column';
+        pauseOverlay.style.justifyContent = 'center';
+        pauseOverlay.style.alignItems = 'center';
+        pauseOverlay.style.color = 'white';
+        pauseOverlay.style.fontFamily = 'Arial, sans-serif';
+        pauseOverlay.style.zIndex = '1500'; // Above the radar, below the controls menu
+        
+        const title = document.createElement('h1');
+        title.textContent = 'PAUSED';
+        title.style.fontSize = '48px';
+        title.style.marginBottom = '10px';
+        pauseOverlay.appendChild(title);
+        
+        const hint = document.createElement('p');
+        hint.textContent = `Press ${this.input.actionMap.describe('pause')} to resume`;
+        hint.style.fontSize = '20px';
+        hint.style.marginBottom = '30px';
+        pauseOverlay.appendChild(hint);
+        
+        const buttons = document.createElement('div');
+        const addButton = (label, color, onClick) => {
+            const button = document.createElement('button');
+            button.textContent = label;
+            button.style.padding = '10px 20px';
+            button.style.margin = '0 10px';
+            button.style.fontSize = '20px';
+            button.style.backgroundColor = color;
+            button.style.color = 'white';
+            button.style.border = 'none';
+            button.style.borderRadius = '5px';
+            button.style.cursor = 'pointer';
+            button.addEventListener('click', onClick);
+            buttons.appendChild(button);
+        };
+        addButton('Resume', '#4CAF50', () => this.togglePause());
+        addButton('Controls', '#2196F3', () => this.controlsMenu.open());
+        pauseOverlay.appendChild(buttons);
+        
+        this.pauseOverlay = pauseOverlay;
+        this.pauseHint = hint;
+        document.body.appendChild(pauseOverlay);
+    }
+
+    hidePauseOverlay() {
+        if (!this.pauseOverlay) return;
+        
+        this.pauseOverlay.parentNode.removeChild(this.pauseOverlay);
+        this.pauseOverlay = null;
+        this.pauseHint = null;
+    }
+
+    // Fill every on-screen control list from the live key bindings
+    renderControlBindings() {
+        const actionMap = this.input.actionMap;
+        
+        document.querySelectorAll('.key-bindings').forEach(container => {
+            container.innerHTML = '';
+            for (const entry of CONTROL_SUMMARY) {
+                const line = document.createElement('p');
+                const keys = document.createElement('strong');
+                keys.textContent = actionMap.describeGroup(entry.actions);
+                line.appendChild(keys);
+                line.appendChild(document.createTextNode(`: ${entry.label}`));
+                container.appendChild(line);
+            }
+        });
+        
+        if (this.pauseHint) {
+            this.pauseHint.textContent = `Press ${actionMap.describe('pause')} to resume`;
+        }
+        this.updateFlightModelDisplay();
+    }
+
     updateClouds(delta) {
         // Skip if no clouds
         if (!this.clouds || this.clouds.length === 0) return;
@@ -742,6 +1291,13 @@ export class Game {
             // Calculate delta time
             const delta = Math.min(this.clock.getDelta(), 0.1);
             
+            // The map editor flies its own camera and nothing else moves
+            if (this.editor) {
+                this.editor.update(delta);
+                this.renderer.render(this.scene, this.camera);
+                return;
+            }
+            
             // If game is over, only update effects and render the scene
             if (this.gameOver) {
                 // Still update effects for explosions
@@ -776,19 +1332,13 @@ export class Game {
             // Check if enemy is near world boundary and enforce containment
             this.checkWorldBounds(enemy);
             
-            // Ensure enemy mesh position matches physics position
+            // Re-file it in the grid now it has moved (or wrapped to the far side)
+            this.enemyGrid.update(enemy, enemy.position.x, enemy.position.z);
+            
+            // Ensure enemy mesh position matches physics position - the enemy sets the mesh's
+            // rotation itself, the same one its hitboxes use
             if (enemy.mesh) {
                 enemy.mesh.position.copy(enemy.position);
-                
-                // Update rotation to match direction
-                if (enemy.velocity && enemy.velocity.length() > 0.1) {
-                    const direction = enemy.velocity.clone().normalize();
-                    enemy.mesh.lookAt(
-                        enemy.position.x + direction.x,
-                        enemy.position.y + direction.y,
-                        enemy.position.z + direction.z
-                    );
-                }
             }
             
             // Check if enemy is destroyed
@@ -796,28 +1346,215 @@ export class Game {
                 this.handleEnemyDestruction(enemy, i);
                 continue;
             }
-            
-            // Check if player bullets hit this enemy
-            this.checkBulletHits(enemy, i);
         }
         
-        // Ensure we have exactly the right number of enemies
-        // This is a safety check in case some enemies were lost due to errors
-        while (this.enemies.length < this.maxEnemies) {
-            this.createNewEnemy();
+        this.updateWaves(delta);
+        this.updateBoss();
+    }
+    
+    // The map's boss turns up once enough animals have been rescued, and only once
+    updateBoss() {
+        const boss = this.map.boss;
+        if (boss && !this.bossSpawned && this.rescuedBirds >= boss.rescuedBirds) {
+            this.spawnBoss(boss);
+        }
+        
+        if (this.boss) {
+            this.bossHealthBar.update(this.boss);
         }
     }
+    
+    spawnBoss({ type, zone: zoneName }) {
+        this.bossSpawned = true;
+        
+        // Sails in from the far side of its spawn zone
+        const zone = this.map.spawnZones.find(zone => zone.name === zoneName) || this.map.spawnZones[0];
+        const angle = this.spawnRandom.next() * Math.PI * 2;
+        const x = zone.x + Math.sin(angle) * zone.radius[1];
+        const z = zone.z + Math.cos(angle) * zone.radius[1];
+        const position = new THREE.Vector3(x, 0, z);
+        position.y = this.getGroundHeight(x, z) + BOSSES[type].altitude;
+        
+        this.boss = new BossAircraft(this, position, type);
+        this.addEnemy(this.boss);
+        this.boss.enterPhase(0);
+        this.bossHealthBar.show(this.boss);
+        console.log(`Boss incoming: ${this.boss.type.name}`);
+    }
+    
+    // Fighters scrambled to guard a boss, scaled like waves by the difficulty
+    spawnEscorts(boss, count) {
+        const escorts = Math.max(1, Math.round(count * this.difficulty.enemyCount));
+        for (let i = 0; i < escorts; i++) {
+            const angle = this.spawnRandom.next() * Math.PI * 2;
+            const position = boss.position.clone().add(new THREE.Vector3(Math.sin(angle) * 80, 0, Math.cos(angle) * 80));
+            
+            // Below the fighters' ceiling and clear of the ground
+            const ground = this.getGroundHeight(position.x, position.z);
+            position.y = Math.max(Math.min(position.y, 100), ground + 30);
+            
+            const escort = new EnemyPlane(this, position, boss.type.escort);
+            escort.escorting = boss;
+            this.addEnemy(escort);
+        }
+        console.log(`${escorts} escorts scrambled`);
+    }
+    
+    // Waves come one after another as each is shot down; the map's last wave may keep respawning
+    updateWaves(delta) {
+        const wave = this.map.waves[this.waveIndex];
+        
+        if (wave.respawn) {
+            // Keep the wave at full strength - replaces planes shot down, and any lost to errors,
+            // with the same type after the difficulty's respawn delay
+            for (const type of this.getMissingTypes(wave)) {
+                this.respawnTimers.push({ time: this.difficulty.respawnDelay, type });
+            }
+            for (let i = this.respawnTimers.length - 1; i >= 0; i--) {
+                const timer = this.respawnTimers[i];
+                timer.time -= delta;
+                if (timer.time <= 0) {
+                    this.respawnTimers.splice(i, 1);
+                    this.createNewEnemy(this.getSpawnZone(wave), timer.type);
+                }
+            }
+            return;
+        }
+        
+        if (this.enemies.length > 0) return;
+        
+        if (this.waveIndex === this.map.waves.length - 1) {
+            this.wavesCleared = true;
+            return;
+        }
+        
+        // A breather before the next wave
+        this.waveDelayTimer += delta;
+        if (this.waveDelayTimer >= (this.map.waves[this.waveIndex + 1].delay || 0)) {
+            this.startWave(this.waveIndex + 1);
+        }
+    }
+    
+    startWave(index) {
+        const wave = this.map.waves[index];
+        const count = this.getWaveSize(wave);
+        this.waveIndex = index;
+        this.waveDelayTimer = 0;
+        console.log(`Wave ${index + 1} of ${this.map.waves.length}: ${count} enemy planes`);
+        
+        const zone = this.getSpawnZone(wave);
+        const types = this.getWaveTypes(wave, count);
+        if (!wave.formation) {
+            for (const type of types) {
+                this.createNewEnemy(zone, type);
+            }
+            return;
+        }
+        
+        // Planes that can fly in formation come in groups of the wave's formation size; the rest come alone
+        const { shape, size = FORMATIONS[shape].size } = wave.formation;
+        const flyers = types.filter(type => canFlyInFormation(ENEMY_TYPES[type]));
+        for (let i = 0; i < flyers.length; i += size) {
+            this.createFormation(zone, flyers.slice(i, i + size), shape);
+        }
+        for (const type of types.filter(type => !canFlyInFormation(ENEMY_TYPES[type]))) {
+            this.createNewEnemy(zone, type);
+        }
+    }
+    
+    // The type of each plane in a wave of this size, mixed in the proportions the map asks for.
+    // Smooth weighted round robin - the types come interleaved rather than in blocks, and the
+    // same wave always gets the same mix.
+    getWaveTypes(wave, count) {
+        const weights = Object.entries(wave.types || { [DEFAULT_ENEMY_TYPE]: 1 });
+        const total = weights.reduce((sum, [, weight]) => sum + weight, 0);
+        const credit = weights.map(() => 0);
+        const types = [];
+        for (let i = 0; i < count; i++) {
+            let best = 0;
+            weights.forEach(([, weight], k) => {
+                credit[k] += weight;
+                if (credit[k] > credit[best]) best = k;
+            });
+            credit[best] -= total;
+            types.push(weights[best][0]);
+        }
+        return types;
+    }
+    
+    // Types a respawning wave is short of, counting planes already on their way
+    getMissingTypes(wave) {
+        const missing = {};
+        for (const type of this.getWaveTypes(wave, this.getWaveSize(wave))) {
+            missing[type] = (missing[type] || 0) + 1;
+        }
+        for (const type of [...this.enemies.map(enemy => enemy.typeKey), ...this.respawnTimers.map(timer => timer.type)]) {
+            if (missing[type] > 0) missing[type]--;
+        }
+        return Object.entries(missing).flatMap(([type, count]) => Array(count).fill(type));
+    }
+    
+    // Planes in a wave at the chosen difficulty - never fewer than one
+    getWaveSize(wave) {
+        return Math.max(1, Math.round(wave.count * this.difficulty.enemyCount));
+    }
+    
+    // The wave's spawn zone, or the map's first one if it doesn't name one
+    getSpawnZone(wave) {
+        return this.map.spawnZones.find(zone => zone.name === wave.zone) || this.map.spawnZones[0];
+    }
+    
+    // Every win condition the map sets has to be met
+    checkWinConditions() {
+        const conditions = this.map.winConditions;
+        if (conditions.rescuedBirds !== undefined && this.rescuedBirds < conditions.rescuedBirds) return false;
+        if (conditions.enemiesDestroyed !== undefined && this.enemiesDestroyed < conditions.enemiesDestroyed) return false;
+        if (conditions.allWavesCleared && !this.wavesCleared) return false;
+        if (conditions.bossDestroyed && !this.bossDefeated) return false;
+        return true;
+    }
+    
+    getVictoryMessage() {
+        const conditions = this.map.winConditions;
+        const achievements = [];
+        if (conditions.rescuedBirds !== undefined) {
+            achievements.push(`rescued ${this.rescuedBirds} animals`);
+        }
+        if (conditions.enemiesDestroyed !== undefined) {
+            achievements.push(`shot down ${this.enemiesDestroyed} enemy planes`);
+        }
+        if (conditions.allWavesCleared) {
+            achievements.push(`cleared all ${this.map.waves.length} waves`);
+        }
+        if (conditions.bossDestroyed) {
+            achievements.push(`brought down the ${BOSSES[this.map.boss.type].name}`);
+        }
+        const last = achievements.pop();
+        const summary = achievements.length > 0 ? `${achievements.join(', ')} and ${last}` : last;
+        return `Congratulations! You've ${summary}!`;
+    }
 
     handleEnemyDestruction(enemy, index) {
         try {
             // Create explosion
-            this.createExplosion(enemy.position);
+            this.createExplosion(enemy.position.x, enemy.position.y, enemy.position.z, 1.5);
             
             // Play explosion sound
             this.playExplosionSound(enemy.position);
             
-            // Release birds - maximum 4 birds per enemy plane
-            const birdCount = Math.min(4, Math.floor(Math.random() * 3) + 2); // Random number between 2-4
+            // Sometimes leave a power-up behind
+            if (this.spawnRandom.next() < PICKUP_DROP_CHANCE) {
+                this.spawnPickup(enemy.position);
+            }
+            
+            // A boss lets out everything still in its cargo bays as it goes down
+            if (enemy === this.boss) {
+                this.handleBossDestruction(enemy);
+            }
+            
+            // Release the animals it was carrying - how many depends on the type of plane
+            const [fewestAnimals, mostAnimals] = enemy.type.animals;
+            const birdCount = fewestAnimals + Math.floor(this.spawnRandom.next() * (mostAnimals - fewestAnimals + 1));
             
             // Check if we're below the bird limit before adding more
             const availableBirdSlots = Math.max(0, this.maxBirds - this.birds.length);
@@ -827,59 +1564,205 @@ export class Game {
                 this.releaseBirds(enemy.position, birdsToRelease);
             }
             
+            // Its formation closes up behind it, electing a new leader if need be
+            if (enemy.formation) {
+                enemy.formation.leave(enemy);
+            }
+            
             // Remove enemy from scene and array
             this.scene.remove(enemy.mesh);
             this.enemies.splice(index, 1);
-            
-            // Create a new enemy to replace the destroyed one
-            this.createNewEnemy();
+            this.enemyGrid.remove(enemy);
+            this.enemiesDestroyed++;
         } catch (error) {
             console.error("Error in handleEnemyDestruction:", error);
         }
     }
 
-    checkBulletHits(enemy, enemyIndex) {
-        // Optimized player bullet hit detection
-        if (!this.player || !this.player.bullets || this.player.bullets.length === 0) return;
+    handleBossDestruction(boss) {
+        console.log(`${boss.type.name} destroyed!`);
+        boss.openAllCargoBays();
+        
+        // A string of blasts along the hull
+        const forward = boss.getForwardDirection();
+        for (const offset of [-30, 0, 30]) {
+            this.createExplosion(
+                boss.position.x + forward.x * offset,
+                boss.position.y,
+                boss.position.z + forward.z * offset,
+                3
+            );
+        }
         
-        const enemyPosition = enemy.position;
-        const enemyRadius = 8; // Increased from 4 to 8 to make enemies easier to hit
+        this.boss = null;
+        this.bossDefeated = true;
+        this.bossHealthBar.hide();
+    }
+    
+    spawnPickup(position) {
+        // Oldest pickup makes way for the new one
+        if (this.pickups.length >= this.maxPickups) {
+            this.pickups.shift().dispose();
+        }
         
-        // Use squared distance for performance (avoid square root)
-        const enemyRadiusSq = enemyRadius * enemyRadius;
+        const upgradeIds = Object.keys(UPGRADES);
+        const upgradeId = upgradeIds[Math.floor(this.spawnRandom.next() * upgradeIds.length)];
         
-        // Check each bullet
-        for (let j = this.player.bullets.length - 1; j >= 0; j--) {
-            const bullet = this.player.bullets[j];
+        // Keep it clear of the ground so it can be flown through
+        const pickupPosition = position.clone();
+        pickupPosition.y = Math.max(pickupPosition.y, this.getGroundHeight(position.x, position.z) + 15);
+        this.pickups.push(new Pickup(this, pickupPosition, upgradeId));
+    }
+    
+    updatePickups(delta) {
+        for (let i = this.pickups.length - 1; i >= 0; i--) {
+            const pickup = this.pickups[i];
+            const alive = pickup.update(delta);
+            
+            if (this.player && !this.player.isDestroyed && pickup.isTouching(this.player.position)) {
+                this.player.upgrades.apply(pickup.upgradeId);
+                this.createHitIndicator(pickup.mesh.position);
+            } else if (alive) {
+                continue;
+            }
             
-            // Skip invalid bullets
-            if (!bullet || !bullet.mesh || !bullet.mesh.position) continue;
+            pickup.dispose();
+            this.pickups.splice(i, 1);
+        }
+    }
+    
+    // Swept hit tests - each bullet's whole path this frame is checked, so fast rounds can't
+    // skip through a plane between frames. Whatever the path meets first, plane part or terrain, stops it.
+    checkBulletHits(delta) {
+        if (!this.player || this.player.gun.bullets.length === 0) return;
+        const bullets = this.player.gun.bullets;
+        
+        for (let j = bullets.length - 1; j >= 0; j--) {
+            const bullet = bullets[j];
+            const start = bullet.previousPosition;
+            const end = bullet.mesh.position;
+            
+            // Nearest enemy part along the path - only planes filed near it can be hit.
+            // Padded by how far a plane can move in a frame, since the sweep allows for that,
+            // and by how far a boss's parts reach out from where it's filed.
+            let hitEnemy = null;
+            let hit = null;
+            const nearbyEnemies = this.enemyGrid.querySegment(start, end, 10 + (this.boss ? this.boss.hitboxRadius : 0));
+            for (const enemy of nearbyEnemies) {
+                if (enemy.health <= 0) continue;
+                const enemyHit = enemy.sweepHitboxes(start, end, delta);
+                if (enemyHit && (!hit || enemyHit.t < hit.t)) {
+                    hit = enemyHit;
+                    hitEnemy = enemy;
+                }
+            }
             
-            // Calculate squared distance (faster than distanceTo)
-            const dx = bullet.mesh.position.x - enemyPosition.x;
-            const dy = bullet.mesh.position.y - enemyPosition.y;
-            const dz = bullet.mesh.position.z - enemyPosition.z;
-            const distanceSq = dx*dx + dy*dy + dz*dz;
+            // Mountains, trees and the ground in the way come first
+            const terrainT = this.findTerrainHit(start, end);
+            if (terrainT !== null && (!hit || terrainT < hit.t)) {
+                const impact = start.clone().lerp(end, terrainT);
+                this.createHitIndicator(impact);
+                this.player.gun.removeBullet(j);
+                continue;
+            }
             
-            // Check if bullet hit enemy
-            if (distanceSq < enemyRadiusSq) {
-                // Hit detected
-                this.createHitIndicator(bullet.mesh.position);
-                
-                // Damage enemy
-                enemy.damage(25);
-                
-                // Remove bullet
-                this.scene.remove(bullet.mesh);
-                this.player.bullets.splice(j, 1);
-                
-                // If enemy was destroyed, handle it
-                if (enemy.health <= 0) {
-                    this.handleEnemyDestruction(enemy, enemyIndex);
+            if (!hit) continue;
+            
+            const impact = start.clone().lerp(end, hit.t);
+            this.createHitIndicator(impact);
+            hitEnemy.damage(bullet.damage * hit.damageMultiplier, hit);
+            this.player.gun.removeBullet(j);
+            
+            if (hitEnemy.health <= 0) {
+                this.handleEnemyDestruction(hitEnemy, this.enemies.indexOf(hitEnemy));
+            }
+        }
+    }
+    
+    // Height of whatever is underfoot - the terrain, or the surface of a lake covering it
+    getGroundHeight(x, z) {
+        let height = this.terrain ? this.terrain.getHeight(x, z) : 0;
+        for (const item of this.terrainGrid.query(x, z, 0)) {
+            if (item.kind !== 'lake' || item.waterLevel <= height) continue;
+            const dx = x - item.position.x;
+            const dz = z - item.position.z;
+            if (dx * dx + dz * dz < item.waterRadius * item.waterRadius) {
+                height = item.waterLevel;
+            }
+        }
+        return height;
+    }
+    
+    // Fraction along a segment where it first meets the ground, a lake or a tree, or null
+    findTerrainHit(start, end) {
+        let first = null;
+        const consider = (t) => {
+            if (first === null || t < first) first = t;
+        };
+        
+        const dx = end.x - start.x;
+        const dz = end.z - start.z;
+        const flatLengthSq = dx * dx + dz * dz;
+        const lowestY = Math.min(start.y, end.y);
+        
+        // The ground - step along the path a few times per heightmap cell, then pin down the
+        // crossing between the last sample above the surface and the first one below it
+        if (!this.terrain || lowestY <= this.terrain.maxHeight) {
+            const steps = Math.max(1, Math.ceil(start.distanceTo(end) / 4));
+            let previousT = 0;
+            let previousGap = start.y - this.getGroundHeight(start.x, start.z);
+            for (let step = 1; step <= steps && previousGap > 0; step++) {
+                const t = step / steps;
+                const gap = start.y + (end.y - start.y) * t - this.getGroundHeight(start.x + dx * t, start.z + dz * t);
+                if (gap <= 0) {
+                    consider(previousT + (t - previousT) * (previousGap / (previousGap - gap)));
                     break;
                 }
+                previousT = t;
+                previousGap = gap;
+            }
+        }
+        
+        // Only trees filed in the cells along the path
+        const nearbyTerrain = this.terrainGrid.querySegment(start, end);
+        
+        // Trees are upright cylinders around the trunk and foliage
+        for (const tree of nearbyTerrain) {
+            if (tree.kind !== 'tree' || lowestY > tree.height) continue;
+            
+            // Where the path crosses into the cylinder, seen from above
+            const fx = start.x - tree.position.x;
+            const fz = start.z - tree.position.z;
+            const c = fx * fx + fz * fz - tree.collisionRadius * tree.collisionRadius;
+            let entry = 0;
+            if (c > 0) {
+                const b = 2 * (fx * dx + fz * dz);
+                const discriminant = b * b - 4 * flatLengthSq * c;
+                if (flatLengthSq === 0 || discriminant < 0) continue;
+                entry = (-b - Math.sqrt(discriminant)) / (2 * flatLengthSq);
+                if (entry < 0 || entry > 1) continue;
+            }
+            const y = start.y + (end.y - start.y) * entry;
+            if (y < tree.height) {
+                consider(entry);
             }
         }
+        
+        return first;
+    }
+    
+    updateEnemyBullets(delta) {
+        if (!this.enemyBulletPool) return;
+        
+        this.enemyBulletPool.update(delta);
+        
+        if (!this.player || this.player.isDestroyed) return;
+        
+        const playerHitRadius = 2.5;
+        this.enemyBulletPool.checkHits(this.player.position, playerHitRadius, (bullet, hitPoint) => {
+            this.createHitIndicator(hitPoint);
+            this.player.damage(bullet.damage, 'enemyFire');
+        });
     }
 
     updateBirds(delta) {
@@ -887,6 +1770,10 @@ export class Game {
             // Skip if no birds
             if (!this.birds || this.birds.length === 0) return;
             
+            // Birds outside the grid cells around the player are certainly too far away
+            const playerPos = this.player.position;
+            const nearbyBirds = new Set(this.birdGrid.query(playerPos.x, playerPos.z, 500));
+            
             // Update birds with performance optimizations
             for (let i = this.birds.length - 1; i >= 0; i--) {
                 try {
@@ -903,6 +1790,7 @@ export class Game {
                     
                     // Check if bird has crossed world boundary
                     this.checkWorldBounds(bird);
+                    this.birdGrid.update(bird, bird.position.x, bird.position.z);
                     
                     // Remove birds that are too old - lowered from 20 to 15 seconds for better performance
                     if (bird.age > 15) {
@@ -929,15 +1817,17 @@ export class Game {
                             }
                         }
                         this.birds.splice(i, 1);
+                        this.birdGrid.remove(bird);
                     }
                     
                     // Check if bird is far away from the playfield
-                    else if (bird.position.distanceTo(this.player.position) > 500) {
+                    else if (!nearbyBirds.has(bird) || bird.position.distanceTo(playerPos) > 500) {
                         // Too far away, remove it
                         if (bird.mesh) {
                             this.scene.remove(bird.mesh);
                         }
                         this.birds.splice(i, 1);
+                        this.birdGrid.remove(bird);
                     }
                 } catch (birdError) {
                     console.error("Error updating individual bird:", birdError);
@@ -947,6 +1837,7 @@ export class Game {
                             if (this.birds[i] && this.birds[i].mesh) {
                                 this.scene.remove(this.birds[i].mesh);
                             }
+                            this.birdGrid.remove(this.birds[i]);
                             this.birds.splice(i, 1);
                         } catch (cleanupError) {
                             console.error("Error cleaning up bird:", cleanupError);
@@ -965,6 +1856,7 @@ export class Game {
                         if (this.birds[i] && this.birds[i].mesh) {
                             this.scene.remove(this.birds[i].mesh);
                         }
+                        this.birdGrid.remove(this.birds[i]);
                     } catch (error) {
                         console.error("Error removing excess bird:", error);
                     }
@@ -982,6 +1874,7 @@ export class Game {
                         }
                     }
                     this.birds = [];
+                    this.birdGrid.clear();
                 } catch (clearError) {
                     console.error("Error clearing all birds:", clearError);
                 }
@@ -990,26 +1883,45 @@ export class Game {
     }
 
     createEnemies() {
-        // Create exactly 40 enemy planes for intense dogfighting
-        const initialEnemyCount = this.maxEnemies; // Always create exactly 40 planes
-        console.log(`Creating ${initialEnemyCount} initial enemy planes for dogfighting`);
+        // The map's first wave is waiting when the game starts
+        this.wavesCleared = false;
+        this.respawnTimers = [];
+        this.startWave(0);
+    }
+
+    // A group flying in formation - the leader turns up somewhere in the zone and
+    // its wingmen in their slots behind it, heading the same way
+    createFormation(zone, types, shape) {
+        if (types.length === 1) {
+            this.createNewEnemy(zone, types[0]);
+            return;
+        }
         
-        for (let i = 0; i < initialEnemyCount; i++) {
-            this.createNewEnemy();
+        const formation = new Formation(this, shape);
+        const leader = this.createNewEnemy(zone, types[0], formation);
+        for (const type of types.slice(1)) {
+            const wingman = new EnemyPlane(this, leader.position, type, formation);
+            wingman.rotation.y = leader.rotation.y;
+            wingman.position.copy(formation.getSlotPosition(wingman));
+            wingman.position.y = Math.max(wingman.position.y, this.getGroundHeight(wingman.position.x, wingman.position.z) + zone.altitude[0]);
+            wingman.targetDirection.copy(leader.getForwardDirection());
+            wingman.mesh.position.copy(wingman.position);
+            wingman.mesh.rotation.copy(wingman.rotation);
+            this.addEnemy(wingman);
         }
     }
-
-    createNewEnemy() {
-        // Create a new enemy plane - always spawn near the runway
+    
+    createNewEnemy(zone = this.map.spawnZones[0], type = DEFAULT_ENEMY_TYPE, formation = null) {
+        // Create a new enemy plane somewhere in a spawn zone
         let position;
         
-        // Use polar coordinates for even distribution around the runway
-        const angle = Math.random() * Math.PI * 2;
-        const distance = 50 + Math.random() * 100; // 50-150 units from center (runway)
+        // Use polar coordinates for even distribution around the zone's center
+        const angle = this.spawnRandom.next() * Math.PI * 2;
+        const distance = this.randomInRange(this.spawnRandom, zone.radius);
         
-        const x = Math.sin(angle) * distance;
-        const z = Math.cos(angle) * distance;
-        const y = 30 + Math.random() * 70; // 30-100 units high
+        const x = zone.x + Math.sin(angle) * distance;
+        const z = zone.z + Math.cos(angle) * distance;
+        const y = this.getGroundHeight(x, z) + this.randomInRange(this.spawnRandom, zone.altitude); // Height above the ground
         
         position = new THREE.Vector3(x, y, z);
         
@@ -1024,8 +1936,14 @@ export class Game {
         }
         
         // Create the enemy plane
-        const enemy = new EnemyPlane(this, position);
+        const enemy = new EnemyPlane(this, position, type, formation);
+        this.addEnemy(enemy);
+        return enemy;
+    }
+    
+    addEnemy(enemy) {
         this.enemies.push(enemy);
+        this.enemyGrid.insert(enemy, enemy.position.x, enemy.position.z);
     }
 
     createExplosion(x, y, z, scale = 1) {
@@ -1149,14 +2067,15 @@ export class Game {
                 try {
                     // Add small random offset to position so birds don't all spawn in exactly the same spot
                     const offset = new THREE.Vector3(
-                        (Math.random() - 0.5) * 2,  // -1 to 1
-                        (Math.random() - 0.5) * 2,  // -1 to 1
-                        (Math.random() - 0.5) * 2   // -1 to 1
+                        (this.spawnRandom.next() - 0.5) * 2,  // -1 to 1
+                        (this.spawnRandom.next() - 0.5) * 2,  // -1 to 1
+                        (this.spawnRandom.next() - 0.5) * 2   // -1 to 1
                     );
                     
                     const birdPosition = position.clone().add(offset);
                     const bird = new Bird(this, birdPosition);
                     this.birds.push(bird);
+                    this.birdGrid.insert(bird, bird.position.x, bird.position.z);
                 } catch (birdError) {
                     console.error("Error creating individual bird:", birdError);
                     // Continue with other birds even if one fails
@@ -1190,7 +2109,8 @@ export class Game {
         
         // Update the counter text with animation effect
         const counter = document.getElementById('rescue-counter');
-        counter.textContent = `Animals Saved: ${this.rescuedBirds}`;
+        const target = this.map.winConditions.rescuedBirds;
+        counter.textContent = `Animals Saved: ${this.rescuedBirds}${target ? ` / ${target}` : ''}`;
         
         // Add a brief highlight effect when the counter changes
         counter.style.backgroundColor = 'rgba(0,150,0,0.7)';
@@ -1256,6 +2176,193 @@ export class Game {
         }
     }
 
+    // Write the seed into the address bar so the link (and a reload) brings back this world
+    putSeedInUrl() {
+        try {
+            const url = new URL(window.location.href);
+            url.searchParams.set('seed', this.seed);
+            window.history.replaceState(null, '', url);
+        } catch (error) {
+            console.error("Couldn't put the seed in the URL:", error);
+        }
+    }
+    
+    // Pick the world map to build - a bundled one, or the custom map saved from the map editor.
+    // A missing or broken map falls back to the default one, with the problems kept to show on the intro screen.
+    loadMap(key) {
+        this.mapKey = key;
+        this.mapError = null;
+        try {
+            const data = key === CUSTOM_MAP ? loadCustomMap() : MAPS[key];
+            if (!data) {
+                throw new WorldMapError([key === CUSTOM_MAP ?
+                    "there's no custom map saved yet - make one in the map editor" :
+                    `there's no map called "${key}" - the maps are ${Object.keys(MAPS).join(', ')}`]);
+            }
+            this.map = new WorldMap(data);
+        } catch (error) {
+            console.error(`Couldn't load map "${key}":`, error);
+            const problems = error instanceof WorldMapError ? error.errors : [error.message];
+            this.mapError = `Couldn't load map "${key}", so you're flying ${MAPS[DEFAULT_MAP].name} instead:\n- ${problems.join('\n- ')}`;
+            this.mapKey = DEFAULT_MAP;
+            this.map = new WorldMap(MAPS[DEFAULT_MAP]);
+        }
+        console.log(`Map: ${this.map.name}`);
+    }
+    
+    // Pick the difficulty preset - an unknown one falls back to the default
+    loadDifficulty(key) {
+        this.difficultyKey = DIFFICULTIES[key] ? key : DEFAULT_DIFFICULTY;
+        if (!DIFFICULTIES[key]) {
+            console.error(`There's no difficulty called "${key}" - the difficulties are ${Object.keys(DIFFICULTIES).join(', ')}`);
+        }
+        this.difficulty = DIFFICULTIES[this.difficultyKey];
+        console.log(`Difficulty: ${this.difficulty.name}`);
+    }
+    
+    // Load the page again with a different difficulty - the world and its seed stay the same
+    setDifficulty(key) {
+        const url = new URL(window.location.href);
+        url.searchParams.set('difficulty', key);
+        window.location.href = url.toString();
+    }
+    
+    // Load the page again with a different seed - no seed means a brand new random world
+    loadWorld(seed, mapKey = this.mapKey, editor = false) {
+        const url = new URL(window.location.href);
+        if (seed) {
+            url.searchParams.set('seed', seed);
+        } else {
+            url.searchParams.delete('seed');
+        }
+        url.searchParams.set('map', mapKey);
+        if (editor) {
+            url.searchParams.set('editor', '1');
+        } else {
+            url.searchParams.delete('editor');
+        }
+        window.location.href = url.toString();
+    }
+    
+    // Shows the map and seed on the intro screen, to pick another map or type in someone else's seed
+    createWorldPanel() {
+        const panel = document.createElement('div');
+        panel.style.marginTop = '20px';
+        panel.style.fontSize = '18px';
+        
+        const mapLabel = document.createElement('label');
+        mapLabel.textContent = 'Map: ';
+        mapLabel.style.marginRight = '20px';
+        panel.appendChild(mapLabel);
+        
+        const mapSelect = document.createElement('select');
+        mapSelect.style.padding = '5px';
+        mapSelect.style.fontSize = '18px';
+        const maps = Object.entries(MAPS);
+        const customMap = loadCustomMap();
+        if (customMap) {
+            maps.push([CUSTOM_MAP, customMap]);
+        }
+        for (const [key, map] of maps) {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = key === CUSTOM_MAP ? `${map.name} (custom)` : map.name;
+            option.selected = key === this.mapKey;
+            mapSelect.appendChild(option);
+        }
+        // A different map keeps the seed, so it's just as easy to share
+        mapSelect.addEventListener('change', () => this.loadWorld(this.seed, mapSelect.value));
+        mapSelect.addEventListener('keydown', (event) => event.stopPropagation());
+        mapLabel.appendChild(mapSelect);
+        
+        const editButton = document.createElement('button');
+        editButton.textContent = 'Edit Map';
+        editButton.style.marginRight = '20px';
+        editButton.style.padding = '5px 15px';
+        editButton.style.fontSize = '16px';
+        editButton.style.backgroundColor = '#FF9800';
+        editButton.style.color = 'white';
+        editButton.style.border = 'none';
+        editButton.style.borderRadius = '5px';
+        editButton.style.cursor = 'pointer';
+        editButton.addEventListener('click', () => this.loadWorld(this.seed, this.mapKey, true));
+        panel.appendChild(editButton);
+        
+        const difficultyLabel = document.createElement('label');
+        difficultyLabel.textContent = 'Difficulty: ';
+        difficultyLabel.style.marginRight = '20px';
+        panel.appendChild(difficultyLabel);
+        
+        const difficultySelect = document.createElement('select');
+        difficultySelect.style.padding = '5px';
+        difficultySelect.style.fontSize = '18px';
+        for (const [key, difficulty] of Object.entries(DIFFICULTIES)) {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = difficulty.name;
+            option.selected = key === this.difficultyKey;
+            difficultySelect.appendChild(option);
+        }
+        // Same world, with the enemies set up for the new difficulty
+        difficultySelect.addEventListener('change', () => this.setDifficulty(difficultySelect.value));
+        difficultySelect.addEventListener('keydown', (event) => event.stopPropagation());
+        difficultyLabel.appendChild(difficultySelect);
+        
+        const label = document.createElement('label');
+        label.textContent = 'World seed: ';
+        panel.appendChild(label);
+        
+        const seedInput = document.createElement('input');
+        seedInput.type = 'text';
+        seedInput.value = this.seed;
+        seedInput.maxLength = 32;
+        seedInput.style.width = '120px';
+        seedInput.style.padding = '5px';
+        seedInput.style.fontSize = '18px';
+        seedInput.style.textAlign = 'center';
+        label.appendChild(seedInput);
+        
+        const loadButton = document.createElement('button');
+        loadButton.textContent = 'Load';
+        loadButton.style.marginLeft = '10px';
+        loadButton.style.padding = '5px 15px';
+        loadButton.style.fontSize = '16px';
+        loadButton.style.backgroundColor = '#2196F3';
+        loadButton.style.color = 'white';
+        loadButton.style.border = 'none';
+        loadButton.style.borderRadius = '5px';
+        loadButton.style.cursor = 'pointer';
+        loadButton.addEventListener('click', () => {
+            const seed = seedInput.value.trim();
+            if (seed && seed !== this.seed) {
+                this.loadWorld(seed);
+            }
+        });
+        panel.appendChild(loadButton);
+        
+        // Typing a seed shouldn't fly the plane
+        seedInput.addEventListener('keydown', (event) => {
+            event.stopPropagation();
+            if (event.key === 'Enter') {
+                loadButton.click();
+            }
+        });
+        
+        // What was wrong with the map asked for
+        if (this.mapError) {
+            const errorElement = document.createElement('div');
+            errorElement.textContent = this.mapError;
+            errorElement.style.marginTop = '10px';
+            errorElement.style.color = '#ff5252';
+            errorElement.style.fontSize = '14px';
+            errorElement.style.whiteSpace = 'pre-line';
+            errorElement.style.textAlign = 'left';
+            panel.appendChild(errorElement);
+        }
+        
+        return panel;
+    }
+    
     showIntroScreen() {
         // Skip if we're using the existing intro screen
         if (this.useExistingIntroScreen) {
@@ -1307,11 +2414,9 @@ export class Game {
         instructions.style.textAlign = 'left';
         instructions.innerHTML = `
             <h2 style="text-align: center; margin-bottom: 15px;">Controls:</h2>
-            <p><strong>W</strong>: Increase throttle - Hold to accelerate</p>
-            <p><strong>S</strong>: Decrease throttle - Hold to slow down</p>
-            <p><strong>←/→</strong>: Turn left/right</p>
-            <p><strong>↑/↓</strong>: Pitch up/down</p>
-            <p><strong>Space</strong>: Fire wing guns</p>
+            <div class="key-bindings"></div>
+            <p><strong>Gamepad</strong>: Left stick to fly, right stick for rudder, triggers for throttle, A to fire, B for missiles, Y to switch flight model, Start to pause</p>
+            <p><strong>Touch</strong>: Joystick to fly, slider for throttle, FIRE to shoot, MSL for missiles - or switch on tilt steering</p>
             <p><strong>Goal</strong>: Shoot down autonomous planes to rescue the birds inside!</p>
             <p><strong>Tip</strong>: Maintain altitude by balancing throttle and pitch</p>
         `;
@@ -1363,18 +2468,47 @@ export class Game {
         
         introOverlay.appendChild(startButton);
         
+        // Open the key remapping screen
+        const controlsButton = document.createElement('button');
+        controlsButton.textContent = 'CONTROLS';
+        controlsButton.style.marginTop = '15px';
+        controlsButton.style.padding = '10px 20px';
+        controlsButton.style.fontSize = '1.1rem';
+        controlsButton.style.backgroundColor = '#2196F3';
+        controlsButton.style.color = 'white';
+        controlsButton.style.border = 'none';
+        controlsButton.style.borderRadius = '5px';
+        controlsButton.style.cursor = 'pointer';
+        controlsButton.addEventListener('click', () => this.controlsMenu.open());
+        introOverlay.appendChild(controlsButton);
+        
+        introOverlay.insertBefore(this.createWorldPanel(), startButton);
+        
         // Add to document
         document.body.appendChild(introOverlay);
     }
 
-    // Utility function to check if a new object overlaps with existing objects
-    isPositionClear(x, z, radius, objectsToCheck) {
-        // Check if position is inside or near runway
-        if (
-            x > this.runwayBounds.minX && x < this.runwayBounds.maxX &&
-            z > this.runwayBounds.minZ && z < this.runwayBounds.maxZ
-        ) {
-            return false; // Too close to runway
+    // Utility function to check if a new object overlaps with existing objects.
+    // Mountains and lakes go down before the ground exists, so they skip the ground checks.
+    isPositionClear(x, z, radius, objectsToCheck, { checkGround = true, runways = this.runways } = {}) {
+        // Check if position is inside or near a runway
+        for (const { bounds } of runways) {
+            if (
+                x > bounds.minX && x < bounds.maxX &&
+                z > bounds.minZ && z < bounds.maxZ
+            ) {
+                return false; // Too close to runway
+            }
+        }
+        
+        // Once the ground exists, only dry land that isn't too steep will do
+        if (checkGround && this.terrain) {
+            if (this.getGroundHeight(x, z) > this.terrain.getHeight(x, z)) {
+                return false; // Under water
+            }
+            if (this.terrain.getSlope(x, z) > this.terrain.maxPlacementSlope) {
+                return false; // Too steep
+            }
         }
         
         // Check against each object in the array
@@ -1392,33 +2526,6 @@ export class Game {
         return true; // Position is clear
     }
 
-    createMountain(radius, height) {
-        // Create a mountain using a simpler cone geometry
-        const mountainGeometry = new THREE.ConeGeometry(radius, height, 16, 1); // Increased segments for smoother appearance
-        const mountainMaterial = new THREE.MeshPhongMaterial({
-            color: 0x7c7c7c,
-            flatShading: true,
-            shininess: 0
-        });
-        
-        const mountain = new THREE.Mesh(mountainGeometry, mountainMaterial);
-        
-        // Add snow cap if the mountain is tall enough - enhanced for bigger mountains
-        if (height > 100) {
-            const snowCapGeometry = new THREE.ConeGeometry(radius * 0.5, height * 0.3, 16, 1); // Larger snow cap
-            const snowCapMaterial = new THREE.MeshPhongMaterial({
-                color: 0xffffff,
-                shininess: 10
-            });
-            
-            const snowCap = new THREE.Mesh(snowCapGeometry, snowCapMaterial);
-            snowCap.position.y = height * 0.35; // Positioned higher
-            mountain.add(snowCap);
-        }
-        
-        return mountain;
-    }
-
     createPineTree() {
         // Create a simplified pine tree
         const treeGroup = new THREE.Group();
@@ -1497,16 +2604,16 @@ export class Game {
         const foliageMaterial = new THREE.MeshPhongMaterial({ color: 0x3CB371 });
         
         for (let i = 0; i < 5; i++) {
-            const size = 1 + Math.random() * 1.5;
+            const size = 1 + this.worldRandom.next() * 1.5;
             const foliageGeometry = new THREE.SphereGeometry(size, 8, 8);
             const foliage = new THREE.Mesh(foliageGeometry, foliageMaterial);
             
             // Position randomly around the trunk
-            const angle = Math.random() * Math.PI * 2;
-            const radius = Math.random() * 1.5;
+            const angle = this.worldRandom.next() * Math.PI * 2;
+            const radius = this.worldRandom.next() * 1.5;
             foliage.position.x = Math.sin(angle) * radius;
             foliage.position.z = Math.cos(angle) * radius;
-            foliage.position.y = 2 + Math.random() * 2;
+            foliage.position.y = 2 + this.worldRandom.next() * 2;
             
             foliage.castShadow = true;
             treeGroup.add(foliage);
@@ -1628,8 +2735,8 @@ export class Game {
             const z = Math.cos(angle) * cloudRadius;
             
             // Random height and size - adjusted for larger boundary
-            const y = 80 + Math.random() * 100;
-            const size = 45 + Math.random() * 55;
+            const y = 80 + this.worldRandom.next() * 100;
+            const size = 45 + this.worldRandom.next() * 55;
             
             // Create cloud mesh
             const cloudGeometry = new THREE.SphereGeometry(size, 8, 8);
@@ -1637,10 +2744,10 @@ export class Game {
             cloud.position.set(x, y, z);
             
             // Add some random distortion
-            cloud.scale.y = 0.3 + Math.random() * 0.2;
-            cloud.scale.x = 0.8 + Math.random() * 0.4;
-            cloud.scale.z = 0.8 + Math.random() * 0.4;
-            cloud.rotation.y = Math.random() * Math.PI;
+            cloud.scale.y = 0.3 + this.worldRandom.next() * 0.2;
+            cloud.scale.x = 0.8 + this.worldRandom.next() * 0.4;
+            cloud.scale.z = 0.8 + this.worldRandom.next() * 0.4;
+            cloud.rotation.y = this.worldRandom.next() * Math.PI;
             
             this.scene.add(cloud);
         }
@@ -1852,87 +2959,7 @@ export class Game {
     
     // Helper method to check if a key is currently pressed
     keyIsDown(key) {
-        return this.keysPressed && this.keysPressed[key];
-    }
-
-    addGroundDetails() {
-        // Add random patches to the ground for visual interest
-        const patchCount = 80; // Reduced from 120 to prevent overdrawing
-        this.groundDetails = []; // Store for potential cleanup
-        
-        for (let i = 0; i < patchCount; i++) {
-            // Generate a position within the world boundary
-            const angle = Math.random() * Math.PI * 2;
-            const distance = Math.random() * (this.worldRadius * 0.9); // Keep well within world boundary
-            
-            const x = Math.sin(angle) * distance;
-            const z = Math.cos(angle) * distance;
-            
-            // Skip if too close to runway
-            const distanceFromRunway = Math.sqrt(x * x + z * z);
-            if (distanceFromRunway < 25) continue;
-            
-            // Create a random ground detail
-            const detailType = Math.floor(Math.random() * 3);
-            let detail;
-            
-            // Size variation - smaller patches to reduce flickering
-            const size = 3 + Math.random() * 10;
-            
-            // Create different types of ground details
-            if (detailType === 0) {
-                // Darker grass patch
-                const geometry = new THREE.CircleGeometry(size, 8);
-                const material = new THREE.MeshStandardMaterial({
-                    color: 0x2e7d32, // Darker green
-                    roughness: 0.9,
-                    metalness: 0.0,
-                    side: THREE.DoubleSide,
-                    depthWrite: true,
-                    polygonOffset: true,
-                    polygonOffsetFactor: 2,
-                    polygonOffsetUnits: 1
-                });
-                detail = new THREE.Mesh(geometry, material);
-            } else if (detailType === 1) {
-                // Lighter grass patch
-                const geometry = new THREE.CircleGeometry(size, 8);
-                const material = new THREE.MeshStandardMaterial({
-                    color: 0x81c784, // Lighter green
-                    roughness: 0.8,
-                    metalness: 0.0,
-                    side: THREE.DoubleSide,
-                    depthWrite: true,
-                    polygonOffset: true,
-                    polygonOffsetFactor: 2,
-                    polygonOffsetUnits: 1
-                });
-                detail = new THREE.Mesh(geometry, material);
-            } else {
-                // Brown/dirt patch
-                const geometry = new THREE.CircleGeometry(size * 0.7, 8);
-                const material = new THREE.MeshStandardMaterial({
-                    color: 0x8d6e63, // Brown
-                    roughness: 1.0,
-                    metalness: 0.0,
-                    side: THREE.DoubleSide,
-                    depthWrite: true,
-                    polygonOffset: true,
-                    polygonOffsetFactor: 2,
-                    polygonOffsetUnits: 1
-                });
-                detail = new THREE.Mesh(geometry, material);
-            }
-            
-            // Position the detail - increase y offset to prevent z-fighting
-            detail.rotation.x = -Math.PI / 2;
-            detail.position.set(x, 0.5, z); // Increased from 0.1 to 0.5
-            detail.renderOrder = 2; // Ensure details render after ground
-            this.scene.add(detail);
-            
-            // Store for potential cleanup
-            this.groundDetails.push(detail);
-        }
+        return this.input.keyboard.isDown(key);
     }
 
     initRadar() {
@@ -2008,6 +3035,29 @@ export class Game {
         console.log("Radar initialized with size:", this.radarSize);
     }
     
+    // Relief map turned and centered to match the blips - same scale and heading as the enemy markers
+    drawRadarTerrain(range) {
+        if (!this.radarTerrainImage) return;
+        
+        const context = this.radarContext;
+        const center = this.radarSize / 2;
+        const scale = center / range;
+        const playerPos = this.player.position;
+        const worldRadius = this.terrain.radius;
+        
+        context.save();
+        context.beginPath();
+        context.arc(center, center, center, 0, Math.PI * 2);
+        context.clip();
+        context.globalAlpha = 0.45;
+        context.translate(center, center);
+        context.rotate(-this.player.getHeading());
+        context.scale(scale, scale);
+        context.translate(-playerPos.x, -playerPos.z);
+        context.drawImage(this.radarTerrainImage, -worldRadius, -worldRadius, worldRadius * 2, worldRadius * 2);
+        context.restore();
+    }
+    
     updateRadar(delta) {
         // Skip if radar is not active or not initialized
         if (!this.radarActive || !this.radarContext || !this.player) {
@@ -2039,6 +3089,12 @@ export class Game {
         this.radarContext.arc(this.radarSize/2, this.radarSize/2, this.radarSize/2, 0, Math.PI * 2);
         this.radarContext.fill();
         
+        // Use a fixed radar range
+        const fixedRadarRange = 1000; // Fixed radar range
+        
+        // Terrain relief under everything else
+        this.drawRadarTerrain(fixedRadarRange);
+        
         // Draw radar rings
         this.radarContext.strokeStyle = 'rgba(255, 87, 34, 0.5)';
         this.radarContext.lineWidth = 2;
@@ -2062,19 +3118,17 @@ export class Game {
         
         // Get player position and rotation
         const playerPos = this.player.position;
-        const playerRotation = this.player.mesh.rotation.y;
-        
-        // Use a fixed radar range
-        const fixedRadarRange = 1000; // Fixed radar range
+        const playerRotation = this.player.getHeading();
         
         // Draw enemy blips
         this.radarContext.fillStyle = 'rgba(255, 0, 0, 0.9)';
         
         let enemyCount = 0;
         
-        // Draw all enemies
-        for (let i = 0; i < this.enemies.length; i++) {
-            const enemy = this.enemies[i];
+        // Draw the enemies within radar range
+        const enemiesInRange = this.enemyGrid.query(playerPos.x, playerPos.z, fixedRadarRange);
+        for (let i = 0; i < enemiesInRange.length; i++) {
+            const enemy = enemiesInRange[i];
             
             // Skip invalid enemies
             if (!enemy || !enemy.position) continue;
@@ -2098,6 +3152,19 @@ export class Game {
             const radarX = this.radarSize/2 + Math.cos(angle) * radarDistance;
             const radarY = this.radarSize/2 + Math.sin(angle) * radarDistance;
             
+            // The boss gets a bigger purple blip, ringed in white
+            if (enemy.isBoss) {
+                this.radarContext.fillStyle = 'rgba(186, 104, 200, 0.95)';
+                this.radarContext.beginPath();
+                this.radarContext.arc(radarX, radarY, 8, 0, Math.PI * 2);
+                this.radarContext.fill();
+                this.radarContext.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+                this.radarContext.lineWidth = 2;
+                this.radarContext.stroke();
+                this.radarContext.fillStyle = 'rgba(255, 0, 0, 0.9)';
+                continue;
+            }
+            
             // Draw enemy blip
             this.radarContext.beginPath();
             this.radarContext.arc(radarX, radarY, 4, 0, Math.PI * 2);
@@ -2198,67 +3265,36 @@ export class Game {
         }
     }
 
-    // Track key states
-    handleKeyDown(event) {
-        this.keysPressed[event.key] = true;
-    }
-    
-    handleKeyUp(event) {
-        this.keysPressed[event.key] = false;
-    }
-
     checkTerrainCollisions() {
         if (!this.player || !this.player.position) return;
         
         const playerPos = this.player.position;
         const collisionRadius = 3; // Collision radius for the player's plane
         
-        // Check collision with ground (except runway)
-        if (playerPos.y < 5) { // If close to ground level
-            // Check if player is over the runway
-            const isOverRunway = this.isPositionOverRunway(playerPos.x, playerPos.z);
-            
-            // If not over runway and very close to ground, it's a crash
-            if (!isOverRunway && playerPos.y < 2) {
-                console.log("Collision with ground detected!");
-                this.createExplosion(playerPos.x, playerPos.y, playerPos.z, 2);
-                this.gameOver = true;
-                this.showGameOverScreen("You crashed into the ground!");
-                return;
+        // Check collision with the ground (except the runway) - hills, mountainsides and lakes alike
+        const groundHeight = this.getGroundHeight(playerPos.x, playerPos.z);
+        if (playerPos.y < groundHeight + 2 && !this.isPositionOverRunway(playerPos.x, playerPos.z)) {
+            let message = "You crashed into the ground!";
+            if (groundHeight > this.terrain.getHeight(playerPos.x, playerPos.z)) {
+                message = "You crashed into a lake!";
+            } else if (this.mountains.some(mountain =>
+                Math.hypot(playerPos.x - mountain.position.x, playerPos.z - mountain.position.z) < mountain.radius)) {
+                message = "You crashed into a mountain!";
             }
-        }
-        
-        // Check collision with mountains
-        for (let i = 0; i < this.mountains.length; i++) {
-            const mountain = this.mountains[i];
-            const mountainPos = mountain.position;
             
-            // Calculate horizontal distance
-            const dx = playerPos.x - mountainPos.x;
-            const dz = playerPos.z - mountainPos.z;
-            const horizontalDist = Math.sqrt(dx * dx + dz * dz);
-            
-            // Calculate mountain height at this distance (conical shape)
-            // Mountain radius at base is stored in mountain.radius
-            if (horizontalDist < mountain.radius) {
-                // Calculate height of mountain at this point (assuming conical shape)
-                // Height decreases linearly from center to edge
-                const mountainHeightAtPoint = (1 - horizontalDist / mountain.radius) * 150; // Assuming max height of 150
-                
-                // If player's altitude is less than the mountain height at this point, collision occurred
-                if (playerPos.y < mountainHeightAtPoint) {
-                    console.log("Collision with mountain detected!");
-                    this.createExplosion(playerPos.x, playerPos.y, playerPos.z, 2);
-                    this.gameOver = true;
-                    this.showGameOverScreen("You crashed into a mountain!");
-                    return;
-                }
-            }
+            console.log("Collision with terrain detected!");
+            this.createExplosion(playerPos.x, playerPos.y, playerPos.z, 2);
+            this.gameOver = true;
+            this.showGameOverScreen(message);
+            return;
         }
         
+        // Only the trees filed around the player can be hit
+        const nearbyTerrain = this.terrainGrid.query(playerPos.x, playerPos.z, collisionRadius);
+        
         // Check collision with trees
-        for (let i = 0; i < this.trees.length; i++) {
-            const tree = this.trees[i];
+        for (const tree of nearbyTerrain) {
+            if (tree.kind !== 'tree') continue;
             const treePos = tree.position;
             
             // Calculate distance
@@ -2266,11 +3302,8 @@ export class Game {
             const dz = playerPos.z - treePos.z;
             const horizontalDist = Math.sqrt(dx * dx + dz * dz);
             
-            // Tree collision radius
-            const treeRadius = 2;
-            
-            // Check if player is horizontally close to tree and altitude is low enough
-            if (horizontalDist < treeRadius + collisionRadius && playerPos.y < 15) { // Trees are about 15 units tall
+            // Check if player is horizontally close to tree and below its top - each tree type has its own size
+            if (horizontalDist < tree.collisionRadius + collisionRadius && playerPos.y < tree.height) {
                 console.log("Collision with tree detected!");
                 this.createExplosion(playerPos.x, playerPos.y, playerPos.z, 1.5);
                 this.gameOver = true;
@@ -2280,23 +3313,210 @@ export class Game {
         }
     }
     
+    checkMidAirCollisions() {
+        if (!this.player || this.player.collisionCooldown > 0) return;
+        
+        const playerPos = this.player.position;
+        const collisionDistance = 3 + 6; // Player radius plus enemy plane radius
+        const collisionDistanceSq = collisionDistance * collisionDistance;
+        
+        // A boss is far bigger than its distance from the player suggests - check its hull instead
+        if (this.boss && this.boss.containsPoint(playerPos)) {
+            console.log("Mid-air collision with the boss!");
+            this.player.damage(50, 'collision');
+            this.createHitIndicator(playerPos.clone());
+            
+            const knockback = new THREE.Vector3().subVectors(playerPos, this.boss.position).normalize();
+            this.player.velocity.addScaledVector(knockback, 15);
+            this.player.collisionCooldown = 1.0;
+            return;
+        }
+        
+        for (const enemy of this.enemyGrid.query(playerPos.x, playerPos.z, collisionDistance)) {
+            if (enemy === this.boss) continue;
+            if (!enemy || !enemy.position) continue;
+            
+            if (playerPos.distanceToSquared(enemy.position) < collisionDistanceSq) {
+                console.log("Mid-air collision with enemy plane!");
+                
+                // Both planes take heavy damage
+                this.player.damage(35, 'collision');
+                enemy.damage(75);
+                this.createHitIndicator(playerPos.clone().lerp(enemy.position, 0.5));
+                
+                // Knock the player away from the enemy
+                const knockback = new THREE.Vector3().subVectors(playerPos, enemy.position).normalize();
+                this.player.velocity.addScaledVector(knockback, 8);
+                
+                // Brief grace period so a single contact isn't counted every frame
+                this.player.collisionCooldown = 1.0;
+                return;
+            }
+        }
+    }
+    
+    updateHealthDisplay() {
+        if (!this.healthElement) return;
+        
+        const healthPercent = Math.round(this.player.health / this.player.maxHealth * 100);
+        this.healthElement.textContent = `Health: ${healthPercent}%`;
+        
+        // Colour the readout by damage state
+        const stateColors = {
+            healthy: 'white',
+            light: '#ffeb3b',
+            heavy: '#ff9800',
+            critical: '#f44336'
+        };
+        this.healthElement.style.color = stateColors[this.player.damageState.name] || 'white';
+    }
+    
+    updateFuelDisplay() {
+        if (!this.fuelElement) return;
+        
+        const fuelPercent = Math.round(this.player.fuel / this.player.maxFuel * 100);
+        let status = '';
+        if (!this.player.engineRunning) {
+            status = ' - ENGINE OUT';
+        } else if (this.player.isBeingServiced) {
+            status = ' - Refuelling';
+        }
+        this.fuelElement.textContent = `Fuel: ${fuelPercent}%${status}`;
+        
+        // Warn when fuel is running low
+        if (!this.player.engineRunning || fuelPercent <= 10) {
+            this.fuelElement.style.color = '#f44336';
+        } else if (fuelPercent <= 25) {
+            this.fuelElement.style.color = '#ff9800';
+        } else {
+            this.fuelElement.style.color = 'white';
+        }
+    }
+    
+    updateGunDisplay() {
+        if (!this.gunElement) return;
+        
+        const gun = this.player.gun;
+        const heatPercent = Math.round(gun.heat * 100);
+        let status = '';
+        if (gun.overheated) {
+            status = ' - OVERHEAT';
+        } else if (gun.isEmpty) {
+            status = ' - EMPTY';
+        } else if (this.player.isBeingServiced && gun.ammo < gun.config.ammo) {
+            status = ' - Reloading';
+        }
+        this.gunElement.textContent = `Gun: ${gun.ammo} - Heat: ${heatPercent}%${status}`;
+        
+        // Red while locked out, orange as it gets close
+        if (gun.overheated || gun.isEmpty) {
+            this.gunElement.style.color = '#f44336';
+        } else if (gun.heat > 0.7) {
+            this.gunElement.style.color = '#ff9800';
+        } else {
+            this.gunElement.style.color = 'white';
+        }
+    }
+    
+    updateUpgradeDisplay() {
+        if (!this.upgradesElement) return;
+        
+        // One line per running upgrade, in its own color, with the seconds left
+        const upgrades = this.player.upgrades.active;
+        const lines = upgrades.map(upgrade => `${upgrade.definition.name}: ${Math.ceil(upgrade.timeLeft)}s`);
+        
+        // Only rebuild when a timer ticks over a whole second
+        const text = lines.join('|');
+        if (text === this.upgradesElement.dataset.text) return;
+        this.upgradesElement.dataset.text = text;
+        
+        this.upgradesElement.innerHTML = '';
+        upgrades.forEach((upgrade, index) => {
+            const line = document.createElement('div');
+            line.textContent = lines[index];
+            line.style.color = `#${upgrade.definition.color.toString(16).padStart(6, '0')}`;
+            this.upgradesElement.appendChild(line);
+        });
+    }
+    
+    updateMissileDisplay() {
+        if (!this.missileElement) return;
+        
+        const launcher = this.player.missileLauncher;
+        let status = '';
+        if (launcher.isLocked) {
+            status = ' - LOCKED';
+        } else if (launcher.lockCandidate) {
+            status = ' - Locking...';
+        } else if (this.player.isBeingServiced && launcher.missiles < launcher.maxMissiles) {
+            status = ' - Rearming';
+        }
+        this.missileElement.textContent = `Missiles: ${launcher.missiles}/${launcher.maxMissiles}${status}`;
+        this.missileElement.style.color = launcher.isLocked ? '#f44336' : (launcher.missiles === 0 ? '#ff9800' : 'white');
+    }
+    
+    updateFlightModelDisplay() {
+        if (!this.flightModelElement || !this.player) return;
+        const actionMap = this.input.actionMap;
+        let text = `${this.player.aircraftName} - Flight model: ${this.player.flightPreset.label} (${actionMap.describe('flightModel')})`;
+        if (this.input.mouseAim.enabled) {
+            text += ` - Mouse aim (${actionMap.describe('mouseAim')})`;
+        }
+        this.flightModelElement.textContent = text;
+    }
+    
+    updateStallDisplay() {
+        if (!this.stallElement) return;
+        
+        const angleOfAttack = Math.round(THREE.MathUtils.radToDeg(this.player.angleOfAttack));
+        let status = '';
+        if (this.player.isSpinning) {
+            status = ' - SPIN! Opposite rudder, stick forward';
+        } else if (this.player.isStalled) {
+            status = ' - STALL';
+        } else if (this.player.stallWarning) {
+            status = ' - STALL WARNING';
+        }
+        this.stallElement.textContent = `AoA: ${angleOfAttack}°${status}`;
+        
+        // Flash while stalled or spinning
+        if (this.player.isStalled) {
+            const flashOn = Math.floor(performance.now() / 250) % 2 === 0;
+            this.stallElement.style.color = flashOn ? '#f44336' : 'white';
+        } else if (this.player.stallWarning) {
+            this.stallElement.style.color = '#ff9800';
+        } else {
+            this.stallElement.style.color = 'white';
+        }
+    }
+    
     isPositionOverRunway(x, z) {
-        if (!this.runway) return false;
-        
-        // Calculate runway bounds
-        const halfWidth = this.runwayWidth / 2;
-        const halfLength = this.runwayLength / 2;
-        
-        // Check if position is within runway bounds
-        return (
-            x >= -halfWidth && 
-            x <= halfWidth && 
-            z >= -halfLength && 
-            z <= halfLength
-        );
+        return this.getRunwayAt(x, z) !== null;
+    }
+    
+    // The runway under a position, if any
+    getRunwayAt(x, z) {
+        for (const runway of this.runways) {
+            if (
+                Math.abs(x - runway.x) <= runway.width / 2 && 
+                Math.abs(z - runway.z) <= runway.length / 2
+            ) {
+                return runway;
+            }
+        }
+        return null;
     }
     
     showGameOverScreen(message) {
+        // Silence the stall horn and lock tone
+        if (this.player) {
+            this.player.setStallHorn(false);
+            this.player.missileLauncher.silence();
+        }
+        
+        // Give the mouse back so the restart button can be clicked
+        this.endMouseAim();
+        
         // Create game over overlay
         const gameOverOverlay = document.createElement('div');
         gameOverOverlay.style.position = 'absolute';
@@ -2345,21 +3565,43 @@ export class Game {
             restartButton.style.backgroundColor = '#4CAF50';
         });
         
-        // Add click event to restart the game
+        // Add click event to restart the game - the seed is in the URL, so it's the same world again
         restartButton.addEventListener('click', () => {
             location.reload();
         });
         
+        // Seed to share, and a way out to a different world
+        const seedMessage = document.createElement('p');
+        seedMessage.textContent = `${this.map.name} (${this.difficulty.name}) - world seed: ${this.seed}`;
+        seedMessage.style.fontSize = '18px';
+        seedMessage.style.marginBottom = '20px';
+        
+        const newWorldButton = document.createElement('button');
+        newWorldButton.textContent = 'New World';
+        newWorldButton.style.marginTop = '15px';
+        newWorldButton.style.padding = '10px 20px';
+        newWorldButton.style.fontSize = '20px';
+        newWorldButton.style.backgroundColor = '#2196F3';
+        newWorldButton.style.color = 'white';
+        newWorldButton.style.border = 'none';
+        newWorldButton.style.borderRadius = '5px';
+        newWorldButton.style.cursor = 'pointer';
+        newWorldButton.addEventListener('click', () => this.loadWorld(null));
+        
         // Add elements to overlay
         gameOverOverlay.appendChild(gameOverMessage);
         gameOverOverlay.appendChild(reasonMessage);
+        gameOverOverlay.appendChild(seedMessage);
         gameOverOverlay.appendChild(restartButton);
+        gameOverOverlay.appendChild(newWorldButton);
         
         // Add overlay to document
         document.body.appendChild(gameOverOverlay);
     }
 
     showVictoryScreen(message) {
+        this.endMouseAim();
+        
         // Create victory overlay
         const victoryOverlay = document.createElement('div');
         victoryOverlay.style.position = 'absolute';
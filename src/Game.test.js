@@ -0,0 +1,38 @@
+import { Game } from './Game';
+import { DEFAULT_ENEMY_TYPE } from './data/enemyTypes';
+
+// getWaveTypes only reads the wave it's given, so it can run without building a whole game
+const getWaveTypes = (wave, count) => Game.prototype.getWaveTypes.call({}, wave, count);
+
+function countTypes(types) {
+    const counts = {};
+    for (const type of types) {
+        counts[type] = (counts[type] || 0) + 1;
+    }
+    return counts;
+}
+
+describe('Game.getWaveTypes', () => {
+    test('a wave without types is all the default enemy', () => {
+        expect(getWaveTypes({ count: 4 }, 4)).toEqual(Array(4).fill(DEFAULT_ENEMY_TYPE));
+    });
+
+    test('types come in the proportions of their weights', () => {
+        expect(countTypes(getWaveTypes({ types: { fighter: 8, cargo: 1 } }, 18))).toEqual({ fighter: 16, cargo: 2 });
+        expect(countTypes(getWaveTypes({ types: { fighter: 2, ace: 1, gunship: 1 } }, 12))).toEqual({ fighter: 6, ace: 3, gunship: 3 });
+    });
+
+    test('types are interleaved rather than in blocks', () => {
+        expect(getWaveTypes({ types: { fighter: 1, interceptor: 1 } }, 4)).toEqual(['fighter', 'interceptor', 'fighter', 'interceptor']);
+        expect(getWaveTypes({ types: { fighter: 2, cargo: 1 } }, 6)).toEqual(['fighter', 'cargo', 'fighter', 'fighter', 'cargo', 'fighter']);
+    });
+
+    test('even a small wave gets a plane of the heaviest type first', () => {
+        expect(getWaveTypes({ types: { cargo: 1, fighter: 8 } }, 1)).toEqual(['fighter']);
+    });
+
+    test('the same wave always gets the same mix', () => {
+        const wave = { types: { fighter: 5, interceptor: 3, ace: 1 } };
+        expect(getWaveTypes(wave, 30)).toEqual(getWaveTypes(wave, 30));
+    });
+});
@@ -0,0 +1,135 @@
+import * as THREE from 'three';
+import { FORMATIONS, DEFAULT_FORMATION } from '../data/formations';
+
+const UP = new THREE.Vector3(0, 1, 0);
+
+// Whether planes of this enemy type know how to fly in formation
+export function canFlyInFormation(type) {
+    return !!(type && type.states && type.states.formation);
+}
+
+// A group of enemy planes flying together. The first member leads and flies its own
+// behaviours; the rest hold the slots of the formation's shape behind it.
+// Members are kept in slot order, so when the leader goes down a new one is elected and
+// everyone moves up a slot - the shape closes up around them.
+// The leader (or anyone in trouble) can call a tactic for the whole group: each order
+// gets a new id, and a member takes it up once, in its next transition check. Members note
+// when they last acted on one, so wingmen know when it's time to form up again.
+export class Formation {
+    constructor(game, shape = DEFAULT_FORMATION) {
+        this.game = game;
+        this.shapeKey = shape;
+        this.shape = FORMATIONS[shape];
+        this.members = [];
+
+        this.tactic = null; // Last tactic called - 'pincer' or 'break'
+        this.orderId = 0;
+    }
+
+    get leader() {
+        return this.members[0] || null;
+    }
+
+    hasRoom() {
+        return this.members.length < this.shape.size;
+    }
+
+    join(plane) {
+        plane.formation = this;
+        this.members.push(plane);
+        this.acknowledge(plane); // Don't act on orders given before joining
+    }
+
+    // Shot down or flown off - a formation of one is no formation at all
+    leave(plane) {
+        const index = this.members.indexOf(plane);
+        if (index === -1) return;
+
+        this.members.splice(index, 1);
+        plane.formation = null;
+
+        if (index === 0 && this.members.length > 0) {
+            this.electLeader();
+        }
+        if (this.members.length === 1) {
+            this.leave(this.members[0]);
+        }
+    }
+
+    // The plane in the best shape takes over the lead, the others keep their order behind it
+    electLeader() {
+        let best = this.members[0];
+        for (const member of this.members) {
+            if (member.health > best.health) best = member;
+        }
+        this.members.splice(this.members.indexOf(best), 1);
+        this.members.unshift(best);
+        console.log('Formation leader down - new leader elected');
+    }
+
+    isLeader(plane) {
+        return this.leader === plane;
+    }
+
+    // Which way the plane peels off for a tactic - wingmen alternate left (1) and right (-1),
+    // so even a one-sided shape like the echelon splits in two. The leader goes straight (0).
+    getSide(plane) {
+        const index = this.members.indexOf(plane);
+        if (index <= 0) return 0;
+        return index % 2 === 1 ? 1 : -1;
+    }
+
+    // Where the plane should be, in the world - the slot turns with the way the leader is flying
+    getSlotPosition(plane) {
+        const leader = this.leader;
+        const index = this.members.indexOf(plane);
+        if (index <= 0) return leader ? leader.position.clone() : plane.position.clone();
+
+        const forward = leader.getForwardDirection();
+        const [side, back] = this.shape.slot(index);
+        return new THREE.Vector3(side * this.shape.spacing, 0, back * this.shape.spacing)
+            .applyAxisAngle(UP, Math.atan2(forward.x, forward.z))
+            .add(leader.position);
+    }
+
+    // How fast the leader may fly so its slowest wingman can still keep up
+    getCruiseSpeed() {
+        let speed = Infinity;
+        for (const member of this.members) {
+            if (member !== this.leader) speed = Math.min(speed, member.speed * 0.9);
+        }
+        return speed;
+    }
+
+    // How hard the leader may turn so wingmen on the outside of the turn can stay in their slots
+    getTurnRate() {
+        let turnRate = Infinity;
+        for (const member of this.members) {
+            if (member !== this.leader) turnRate = Math.min(turnRate, member.turnRate * 0.7);
+        }
+        return turnRate;
+    }
+
+    // Wingmen actually holding their slots, rather than off on their own
+    isFormedUp() {
+        return this.members.some(member =>
+            member !== this.leader &&
+            member.brain.state === 'formation' &&
+            member.position.distanceTo(this.getSlotPosition(member)) < 40);
+    }
+
+    order(tactic) {
+        this.tactic = tactic;
+        this.orderId++;
+    }
+
+    // A tactic this member hasn't acted on yet
+    hasOrder(plane, tactic) {
+        return this.tactic === tactic && plane.formationOrder !== this.orderId;
+    }
+
+    acknowledge(plane) {
+        plane.formationOrder = this.orderId;
+        plane.formationOrderTime = plane.perception.timeAlive;
+    }
+}
@@ -0,0 +1,124 @@
+import * as THREE from 'three';
+import { canFlyInFormation } from './Formation';
+
+// What an enemy pilot knows about the world this frame. Behaviours and transitions read
+// these values instead of poking at the game directly.
+// Cheap values are refreshed every frame; the player's gun line and terrain line of sight
+// are only sensed a couple of times a second, like a pilot glancing around.
+export class Perception {
+    constructor(plane, options = {}) {
+        this.plane = plane;
+        this.game = plane.game;
+
+        this.senseInterval = options.senseInterval || 0.5; // Seconds between looks around
+        this.senseTimer = options.senseOffset || 0; // Stagger planes so they don't all look at once
+        this.sightRange = options.sightRange || 250; // How far away the player can be spotted
+
+        // Refreshed every frame
+        this.hasPlayer = false;
+        this.toPlayer = new THREE.Vector3(); // Unit vector toward the player
+        this.playerDistance = Infinity;
+        this.heightDifference = 0; // Player height minus ours
+        this.playerAboveCeiling = false;
+        this.health = 1; // Fraction of starting health left
+        this.altitude = 0;
+        this.heightAboveGround = 0;
+        this.distanceFromCenter = 0;
+        this.nearBoundary = false;
+        this.timeAlive = 0;
+
+        // Refreshed on each look around
+        this.sensed = false; // True on frames where a look around happened
+        this.lineOfSight = true; // No hill between us and the player
+        this.playerVisible = false; // In sight and close enough to spot
+        this.underGuns = false; // The player's nose is pointing at us
+        this.wingman = null; // A nearby plane we could form up on, while we're not in a formation
+
+        // Events - reported by the game, forgotten once the state machine has seen them
+        this.wasHit = false;
+        this.incomingMissile = null; // Position of a missile closing in on us
+    }
+
+    update(delta) {
+        const plane = this.plane;
+        const player = this.game.player;
+        const position = plane.position;
+
+        this.timeAlive += delta;
+        this.hasPlayer = !!player && !player.isDestroyed;
+        if (this.hasPlayer) {
+            this.toPlayer.subVectors(player.position, position);
+            this.playerDistance = this.toPlayer.length();
+            if (this.playerDistance > 0.001) this.toPlayer.divideScalar(this.playerDistance);
+            this.heightDifference = player.position.y - position.y;
+            this.playerAboveCeiling = player.position.y > plane.maxAltitude;
+        } else {
+            this.playerDistance = Infinity;
+            this.heightDifference = 0;
+            this.playerAboveCeiling = false;
+        }
+
+        this.health = plane.maxHealth > 0 ? Math.max(0, plane.health / plane.maxHealth) : 0;
+        this.altitude = position.y;
+        this.heightAboveGround = position.y - this.game.getGroundHeight(position.x, position.z);
+        this.distanceFromCenter = Math.sqrt(position.x * position.x + position.z * position.z);
+
+        // Start turning back well before the edge of the world
+        this.nearBoundary = this.distanceFromCenter > plane.boundaryDetectionRadius * 0.6;
+
+        this.senseTimer -= delta;
+        this.sensed = this.senseTimer <= 0;
+        if (this.sensed) {
+            this.senseTimer = this.senseInterval;
+            this.lookAround();
+        }
+    }
+
+    lookAround() {
+        const terrain = this.game.terrain;
+        this.lineOfSight = this.hasPlayer &&
+            (!terrain || terrain.hasLineOfSight(this.plane.position, this.game.player.position));
+        this.playerVisible = this.lineOfSight && this.playerDistance < this.sightRange;
+        this.underGuns = this.game.gameStarted && this.isInPlayerGunLine();
+        this.wingman = this.plane.style.joinsFormations && !this.plane.formation ? this.findWingman() : null;
+    }
+
+    // Whether the player's nose - and so their fixed guns - is pointing at this plane
+    isInPlayerGunLine() {
+        const player = this.game.player;
+        if (!this.hasPlayer || !player.getForwardDirection) return false;
+
+        const distance = this.playerDistance;
+        if (distance > this.plane.threatRange || distance < 0.001) return false;
+
+        const toPlane = this.toPlayer.clone().negate();
+        return player.getForwardDirection().angleTo(toPlane) < this.plane.threatCone;
+    }
+
+    // Another plane close by in a formation with room for us, or flying alone and able to lead one
+    findWingman() {
+        const position = this.plane.position;
+        for (const enemy of this.game.enemyGrid.query(position.x, position.z, 100)) {
+            if (enemy !== this.plane &&
+                (enemy.formation ? enemy.formation.hasRoom() : canFlyInFormation(enemy.type)) &&
+                enemy.position.distanceTo(position) < 100) {
+                return enemy;
+            }
+        }
+        return null;
+    }
+
+    reportHit() {
+        this.wasHit = true;
+    }
+
+    reportMissile(position) {
+        this.incomingMissile = position.clone();
+    }
+
+    // Called once the state machine has had its chance to react to this frame's events
+    endFrame() {
+        this.wasHit = false;
+        this.incomingMissile = null;
+    }
+}
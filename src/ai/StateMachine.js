@@ -0,0 +1,70 @@
+import { createBehavior } from './behaviors';
+
+// Drives an enemy plane through its behaviours.
+// Each state runs one behaviour module; transitions are checked in order every frame and the
+// first one that applies wins. A transition looks like
+//     { from: 'patrol' | ['patrol', 'pursue'] | '*', to: 'evade', when: context => boolean }
+// where context is { plane, perception, behavior, state, stateTime, delta } - stateTime being
+// the seconds spent in the current state.
+// Transitions may lead back into the current state, which restarts its behaviour.
+export class StateMachine {
+    constructor(plane, definition) {
+        this.plane = plane;
+        this.transitions = definition.transitions || [];
+
+        // One behaviour instance per state - states can share a module with different options
+        this.behaviors = {};
+        for (const [state, config] of Object.entries(definition.states)) {
+            this.behaviors[state] = createBehavior(config.behavior, plane, config.options);
+        }
+
+        this.state = null;
+        this.behavior = null;
+        this.stateTime = 0;
+        this.context = { plane, perception: plane.perception, behavior: null, state: null, stateTime: 0, delta: 0 };
+
+        const initial = typeof definition.initial === 'function' ? definition.initial(plane) : definition.initial;
+        this.changeState(initial);
+    }
+
+    changeState(state) {
+        const behavior = this.behaviors[state];
+        if (!behavior) {
+            console.error(`Enemy state machine has no state "${state}"`);
+            return;
+        }
+
+        if (this.behavior) {
+            this.behavior.exit();
+        }
+
+        this.state = state;
+        this.behavior = behavior;
+        this.stateTime = 0;
+        behavior.enter(this.plane.perception);
+    }
+
+    update(delta) {
+        const context = this.context;
+        context.behavior = this.behavior;
+        context.state = this.state;
+        context.stateTime = this.stateTime;
+        context.delta = delta;
+
+        for (const transition of this.transitions) {
+            if (appliesFrom(transition.from, this.state) && transition.when(context)) {
+                this.changeState(transition.to);
+                break;
+            }
+        }
+
+        this.stateTime += delta;
+        this.behavior.update(delta, this.plane.perception);
+    }
+}
+
+function appliesFrom(from, state) {
+    if (from === '*') return true;
+    if (Array.isArray(from)) return from.includes(state);
+    return from === state;
+}
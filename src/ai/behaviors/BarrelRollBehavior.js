@@ -0,0 +1,31 @@
+import { Behavior } from './Behavior';
+
+// A full roll around the flight path, holding the current heading
+export class BarrelRollBehavior extends Behavior {
+    constructor(plane, options = {}) {
+        super(plane, options);
+        this.duration = options.duration || 1.5;
+        this.holdsAttitude = true;
+    }
+
+    enter(perception) {
+        super.enter(perception);
+        this.timer = 0;
+    }
+
+    update(delta) {
+        this.timer += delta;
+        if (this.timer > this.duration) {
+            this.done = true;
+            return;
+        }
+
+        // Smooth full roll - sine eases in and out
+        const progress = this.timer / this.duration;
+        this.plane.rotation.z = Math.sin(progress * Math.PI * 2) * Math.PI;
+    }
+
+    exit() {
+        this.plane.rotation.z = 0;
+    }
+}
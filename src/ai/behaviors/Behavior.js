@@ -0,0 +1,58 @@
+// Base for enemy behaviours. A behaviour steers its plane by setting plane.targetDirection;
+// the plane's own flight code handles the actual turning, speed and altitude limits.
+// Subclasses override what they need:
+//   enter(perception)          - the state machine switched to this behaviour
+//   update(delta, perception)  - steer for this frame
+//   exit()                     - the state machine is leaving this behaviour
+//   done                       - set once a timed maneuver has finished, for transitions to check
+export class Behavior {
+    constructor(plane, options = {}) {
+        this.plane = plane;
+        this.game = plane.game;
+        this.options = options;
+        this.done = false;
+
+        // How the plane flies while this behaviour is in charge
+        this.turnFactor = 1; // Multiplier on the plane's turn rate
+        this.holdsAttitude = false; // The behaviour sets the plane's rotation itself
+        this.overridesAltitude = false; // Steers its own climbs and descents - no minimum altitude or ceiling nudges
+    }
+
+    enter() {
+        this.done = false;
+    }
+
+    update() {}
+
+    exit() {}
+
+    // Fraction of the plane's cruising speed to fly at - by default the pilot's own preference
+    getSpeedFactor() {
+        return this.plane.style.speedFactor;
+    }
+
+    // Count down the plane's heading change timer; true when it's time to pick a new heading.
+    // Shared between behaviours so switching between them doesn't reset the rhythm.
+    headingChangeDue(delta) {
+        const plane = this.plane;
+        plane.headingChangeTimer -= delta;
+        if (plane.headingChangeTimer > 0) return false;
+
+        const [min, max] = plane.style.headingChangeTime;
+        plane.headingChangeTimer = min + Math.random() * (max - min);
+        return true;
+    }
+
+    // Keep a chosen heading inside the plane's altitude band
+    limitClimb(direction) {
+        const plane = this.plane;
+        if (plane.position.y < plane.minAltitude + 5) {
+            // Force upward direction when close to minimum altitude
+            direction.y = Math.abs(direction.y) * 0.5;
+        } else if (plane.position.y > plane.altitudeWarningThreshold) {
+            // More aggressive descent the closer we are to max altitude
+            direction.y = -Math.abs(direction.y) * (0.5 + plane.getCeilingProximity() * 0.5);
+        }
+        return direction;
+    }
+}
@@ -0,0 +1,56 @@
+import * as THREE from 'three';
+import { Behavior } from './Behavior';
+
+// A formation's break turn. Whoever the player lines up on calls the break, and the whole
+// formation scatters - wingmen turning hard out to alternate sides, one pair climbing and the
+// other diving - so the player has no single target to follow. They form up again afterwards.
+export class BreakBehavior extends Behavior {
+    constructor(plane, options = {}) {
+        super(plane, options);
+        this.duration = options.duration || [2, 3]; // Seconds of hard turning
+        this.turnFactor = options.turnFactor || 2.5;
+        this.speed = options.speed || 1.3;
+    }
+
+    enter(perception) {
+        super.enter(perception);
+        const plane = this.plane;
+        const formation = plane.formation;
+        this.timer = 0;
+        this.timeLimit = this.duration[0] + Math.random() * (this.duration[1] - this.duration[0]);
+        this.side = Math.random() < 0.5 ? 1 : -1;
+
+        if (formation) {
+            // Nobody called it yet - we're the one the player's after, so call it
+            if (!formation.hasOrder(plane, 'break')) {
+                formation.order('break');
+            }
+            formation.acknowledge(plane);
+            this.side = formation.getSide(plane) || this.side;
+        }
+        this.climb = this.side > 0 ? 0.25 : -0.15;
+    }
+
+    update(delta) {
+        this.timer += delta;
+        if (this.timer > this.timeLimit) {
+            this.done = true;
+            return;
+        }
+
+        const plane = this.plane;
+        const forward = plane.getForwardDirection();
+        forward.y = 0;
+        if (forward.lengthSq() < 0.0001) return;
+        forward.normalize();
+
+        // Turn hard away to our side
+        const side = new THREE.Vector3(forward.z, 0, -forward.x).multiplyScalar(this.side);
+        plane.targetDirection.copy(side).addScaledVector(forward, 0.2).setY(this.climb);
+        plane.targetDirection.copy(this.limitClimb(plane.targetDirection.normalize()));
+    }
+
+    getSpeedFactor() {
+        return this.speed;
+    }
+}
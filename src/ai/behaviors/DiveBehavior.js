@@ -0,0 +1,60 @@
+import { Behavior } from './Behavior';
+
+// Dive on the spot where the player was, then pull out into a gentle climb.
+// Allowed below the usual minimum altitude - terrain avoidance still pulls it out of hillsides.
+export class DiveBehavior extends Behavior {
+    constructor(plane, options = {}) {
+        super(plane, options);
+        this.duration = options.duration || [2, 3]; // Seconds of diving
+        this.speed = options.speed || 1.3;
+        this.overridesAltitude = true;
+    }
+
+    enter(perception) {
+        super.enter(perception);
+        const plane = this.plane;
+        this.timer = 0;
+        this.timeLimit = this.duration[0] + Math.random() * (this.duration[1] - this.duration[0]);
+
+        // Aim near the player, never above our ceiling
+        this.target = this.game.player.position.clone();
+        this.target.x += (Math.random() - 0.5) * 20;
+        this.target.z += (Math.random() - 0.5) * 20;
+        this.target.y = Math.min(this.target.y, plane.maxAltitude - 10);
+    }
+
+    update(delta) {
+        const plane = this.plane;
+        this.timer += delta;
+
+        // Terrain avoidance pulled us out - a dive into a hillside isn't an attack
+        if (plane.avoidingTerrain) {
+            this.done = true;
+            return;
+        }
+
+        // Give up the dive if we're near the ceiling
+        if (plane.position.y > plane.altitudeWarningThreshold) {
+            plane.targetDirection.y = -0.3;
+            this.done = true;
+            return;
+        }
+
+        if (this.timer > this.timeLimit) {
+            // Pull out into a gradual climb
+            plane.targetDirection.set(plane.targetDirection.x, 0.2, plane.targetDirection.z).normalize();
+            this.done = true;
+            return;
+        }
+
+        // Steepen gradually as the dive goes on
+        const diveProgress = this.timer / this.timeLimit;
+        plane.targetDirection.subVectors(this.target, plane.position).normalize();
+        plane.targetDirection.y = -0.2 - diveProgress * 0.3;
+        plane.targetDirection.normalize();
+    }
+
+    getSpeedFactor() {
+        return this.speed;
+    }
+}
@@ -0,0 +1,59 @@
+import * as THREE from 'three';
+import { Behavior } from './Behavior';
+
+const UP = new THREE.Vector3(0, 1, 0);
+
+// Guard a bigger plane - hold a station off its wing or tail and turn with it.
+// The plane to guard is plane.escorting, set by whoever scrambled the escort.
+// Finishes when there's nothing left to guard.
+export class EscortBehavior extends Behavior {
+    constructor(plane, options = {}) {
+        super(plane, options);
+        this.distance = options.distance || 70; // How far out from the charge to fly
+        this.station = new THREE.Vector3();
+        this.speedFactor = 1;
+    }
+
+    enter(perception) {
+        super.enter(perception);
+        this.plane.hunting = false;
+
+        // Somewhere around the charge in its own frame - off either wing or behind, never in front
+        const angle = THREE.MathUtils.degToRad(60 + Math.random() * 240);
+        this.station.set(
+            Math.sin(angle) * this.distance,
+            (Math.random() - 0.5) * 20,
+            Math.cos(angle) * this.distance
+        );
+    }
+
+    update() {
+        const plane = this.plane;
+        const charge = plane.escorting;
+        if (!charge || !this.game.enemyGrid.has(charge)) {
+            this.done = true;
+            return;
+        }
+
+        const station = this.station.clone().applyAxisAngle(UP, charge.rotation.y).add(charge.position);
+
+        // A big charge can fly higher than a fighter likes to - keep below it rather than fight the ceiling
+        station.y = Math.min(station.y, plane.altitudeWarningThreshold - 15);
+        const toStation = new THREE.Vector3().subVectors(station, plane.position);
+        const distance = toStation.length();
+
+        if (distance < 25) {
+            // On station - fly the charge's heading at its pace
+            plane.targetDirection.copy(charge.getForwardDirection().setY(0).normalize());
+            this.speedFactor = THREE.MathUtils.clamp(charge.currentSpeed / plane.speed, 0.5, 1);
+        } else {
+            // Catch up, flat out when far behind
+            plane.targetDirection.copy(this.limitClimb(toStation.normalize()));
+            this.speedFactor = distance > 100 ? 1.3 : 1;
+        }
+    }
+
+    getSpeedFactor() {
+        return this.speedFactor;
+    }
+}
@@ -0,0 +1,65 @@
+import * as THREE from 'three';
+import { Behavior } from './Behavior';
+
+// Jink side to side to throw off the player's aim. Entered because of an incoming missile,
+// break hard across its path instead - side-on to the missile, its seeker loses the exhaust.
+export class EvadeBehavior extends Behavior {
+    constructor(plane, options = {}) {
+        super(plane, options);
+        this.duration = options.duration || [1, 3]; // Seconds of jinking
+        this.breakDuration = options.breakDuration || 2.5;
+        this.breakTurnBoost = options.breakTurnBoost || 3; // Turn rate multiplier while breaking
+        this.breakSpeedBoost = options.breakSpeedBoost || 1.4;
+        this.jinkSpeed = options.jinkSpeed || 1.1;
+    }
+
+    enter(perception) {
+        super.enter(perception);
+        const plane = this.plane;
+        this.timer = 0;
+        this.timeLimit = this.duration[0] + Math.random() * (this.duration[1] - this.duration[0]);
+        this.direction = Math.random() < 0.5 ? 1 : -1; // Left or right
+        this.isBreaking = !!perception.incomingMissile;
+        this.turnFactor = this.isBreaking ? this.breakTurnBoost : 1;
+
+        if (this.isBreaking) {
+            // Turn away from the side the missile is coming from
+            const sideVector = new THREE.Vector3().crossVectors(plane.getForwardDirection(), new THREE.Vector3(0, 1, 0)).normalize();
+            const toThreat = new THREE.Vector3().subVectors(perception.incomingMissile, plane.position);
+            this.direction = toThreat.dot(sideVector) > 0 ? -1 : 1;
+            this.timeLimit = this.breakDuration;
+        }
+    }
+
+    update(delta) {
+        this.timer += delta;
+        if (this.timer > this.timeLimit) {
+            this.done = true;
+            return;
+        }
+
+        const plane = this.plane;
+        const currentDirection = plane.getForwardDirection();
+        const sideVector = new THREE.Vector3().crossVectors(currentDirection, new THREE.Vector3(0, 1, 0)).normalize();
+
+        if (this.isBreaking) {
+            // Keep turning hard one way and trade a little height for speed
+            plane.targetDirection.copy(sideVector).multiplyScalar(this.direction)
+                .addScaledVector(currentDirection, 0.2);
+            plane.targetDirection.y = -0.15;
+            plane.targetDirection.normalize();
+            return;
+        }
+
+        // Oscillate side to side, and a little up and down
+        const oscillation = Math.sin(this.timer * 3) * this.direction * 0.7;
+        plane.targetDirection.copy(currentDirection).addScaledVector(sideVector, oscillation * 0.6);
+        plane.targetDirection.y += Math.sin(this.timer * 2) * 0.15;
+        plane.targetDirection.normalize();
+    }
+
+    getSpeedFactor() {
+        // Full power to get out of a missile's way
+        return this.isBreaking ? this.breakSpeedBoost : this.jinkSpeed;
+    }
+}
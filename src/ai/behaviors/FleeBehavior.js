@@ -0,0 +1,30 @@
+import * as THREE from 'three';
+import { Behavior } from './Behavior';
+
+// Run from the player until they're left well behind.
+// Slow planes can't get away like this, but it keeps the player on their tail - right where
+// a gunship's rear turrets want them.
+export class FleeBehavior extends Behavior {
+    constructor(plane, options = {}) {
+        super(plane, options);
+        this.safeDistance = options.safeDistance || 350; // Far enough away to relax
+        this.speed = options.speed || 1.15;
+    }
+
+    update(delta, perception) {
+        const plane = this.plane;
+        if (!perception.hasPlayer || perception.playerDistance > this.safeDistance) {
+            this.done = true;
+            return;
+        }
+
+        // Straight away from the player, level unless the altitude band says otherwise
+        const away = new THREE.Vector3(-perception.toPlayer.x, 0, -perception.toPlayer.z);
+        if (away.lengthSq() < 0.0001) return;
+        plane.targetDirection.copy(this.limitClimb(away.normalize()));
+    }
+
+    getSpeedFactor() {
+        return this.speed;
+    }
+}
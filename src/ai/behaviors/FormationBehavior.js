@@ -0,0 +1,66 @@
+import * as THREE from 'three';
+import { Behavior } from './Behavior';
+import { Formation } from '../Formation';
+
+// Hold the plane's slot in its formation (see src/ai/Formation.js) and fly the leader's
+// heading at the leader's pace. A wingman with no formation forms up on the plane its
+// perception spotted - joining that plane's formation, or starting one with it in the lead.
+// Finishes when the formation breaks up or the plane is made leader.
+export class FormationBehavior extends Behavior {
+    constructor(plane, options = {}) {
+        super(plane, options);
+        this.lookAhead = options.lookAhead || 40; // How far ahead of the slot to steer for
+        this.speedFactor = 1;
+    }
+
+    enter(perception) {
+        super.enter(perception);
+        const plane = this.plane;
+        const wingman = perception.wingman;
+        if (!plane.formation && wingman) {
+            const formation = wingman.formation || new Formation(this.game);
+            if (!wingman.formation) {
+                formation.join(wingman);
+            }
+            if (formation.hasRoom()) {
+                formation.join(plane);
+            }
+        }
+
+        // Forming up again - whatever was called while we were away is over
+        if (plane.formation) {
+            plane.formation.acknowledge(plane);
+        }
+    }
+
+    update() {
+        const plane = this.plane;
+        const formation = plane.formation;
+        if (!formation || formation.isLeader(plane)) {
+            this.done = true;
+            return;
+        }
+
+        const leader = formation.leader;
+        const station = formation.getSlotPosition(plane);
+
+        // Keep below our own ceiling even if the leader strays up to theirs
+        station.y = Math.min(station.y, plane.altitudeWarningThreshold - 15);
+        const toStation = station.sub(plane.position);
+        const forward = leader.getForwardDirection();
+
+        // Aim for a point out ahead of the slot along the leader's heading - we slide into line
+        // alongside the leader rather than circling a slot that's too close to turn onto
+        plane.targetDirection.copy(toStation).addScaledVector(forward, this.lookAhead);
+        plane.targetDirection.copy(this.limitClimb(plane.targetDirection.normalize()));
+
+        // Match the leader's pace, opening the throttle when the slot is ahead of us and easing off when we're past it.
+        // Engines are slow to answer, so judge the gap as it will be a few seconds from now.
+        const ahead = toStation.dot(forward) + (leader.currentSpeed - plane.currentSpeed) * 3;
+        this.speedFactor = THREE.MathUtils.clamp((leader.currentSpeed + ahead * 0.3) / plane.speed, 0.5, 1.3);
+    }
+
+    getSpeedFactor() {
+        return this.speedFactor;
+    }
+}
@@ -0,0 +1,17 @@
+import * as THREE from 'three';
+import { Behavior } from './Behavior';
+
+// Wander the sky, picking a new random heading every few seconds
+export class PatrolBehavior extends Behavior {
+    update(delta) {
+        if (!this.headingChangeDue(delta)) return;
+
+        const direction = new THREE.Vector3(
+            Math.random() - 0.5,
+            (Math.random() - 0.5) * 0.1, // Small random vertical component
+            Math.random() - 0.5
+        ).normalize();
+
+        this.plane.targetDirection.copy(this.limitClimb(direction));
+    }
+}
@@ -0,0 +1,69 @@
+import * as THREE from 'three';
+import { Behavior } from './Behavior';
+
+// A formation's attack. The leader calls it and heads straight for the player, not too fast,
+// while the wingmen swing out wide to either side and turn in - so the player can't face
+// them all at once. Finishes once a wingman is abreast of the player, or after a while.
+export class PincerBehavior extends Behavior {
+    constructor(plane, options = {}) {
+        super(plane, options);
+        this.flankDistance = options.flankDistance || 90; // How wide of the player the wingmen swing
+        this.leadTime = options.leadTime || 3; // Seconds the leader holds back before attacking
+        this.timeLimit = options.timeLimit || 8;
+        this.flankSpeed = options.flankSpeed || 1.25;
+        this.leadSpeed = options.leadSpeed || 0.9;
+        this.flank = new THREE.Vector3();
+    }
+
+    enter(perception) {
+        super.enter(perception);
+        const plane = this.plane;
+        const formation = plane.formation;
+        plane.hunting = true;
+        this.timer = 0;
+        this.side = 0;
+
+        if (formation) {
+            if (formation.isLeader(plane)) {
+                formation.order('pincer');
+            }
+            formation.acknowledge(plane);
+            this.side = formation.getSide(plane);
+        }
+
+        // Which side of the line of attack to come in from - fixed now, so the wings close from opposite sides
+        this.flank.set(perception.toPlayer.z, 0, -perception.toPlayer.x);
+        if (this.flank.lengthSq() > 0.0001) {
+            this.flank.normalize().multiplyScalar(this.side * this.flankDistance);
+        }
+    }
+
+    update(delta, perception) {
+        this.timer += delta;
+        if (!perception.hasPlayer || this.timer > this.timeLimit) {
+            this.done = true;
+            return;
+        }
+
+        const plane = this.plane;
+        if (this.side === 0 && (this.timer > this.leadTime || perception.playerDistance < 100)) {
+            this.done = true;
+            return;
+        }
+
+        // Out to the flank point beside the player, then it's an ordinary attack
+        const target = this.game.player.position.clone().add(this.flank);
+        target.y = Math.min(target.y, plane.altitudeWarningThreshold - 10);
+        const toTarget = target.sub(plane.position);
+        if (this.side !== 0 && toTarget.length() < 40) {
+            this.done = true;
+            return;
+        }
+
+        plane.targetDirection.copy(this.limitClimb(toTarget.normalize()));
+    }
+
+    getSpeedFactor() {
+        return this.side === 0 ? this.leadSpeed : this.flankSpeed;
+    }
+}
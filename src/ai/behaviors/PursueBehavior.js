@@ -0,0 +1,73 @@
+import * as THREE from 'three';
+import { Behavior } from './Behavior';
+
+// Hunt the player. From a distance the pilot heads roughly toward them, with a bit of
+// wander depending on temperament; once in gun range with a clear view, it flies
+// lead pursuit so the gun can line up.
+export class PursueBehavior extends Behavior {
+    enter(perception) {
+        super.enter(perception);
+        this.plane.hunting = true;
+        this.timeUnseen = 0; // Seconds the player has been hidden behind terrain
+    }
+
+    update(delta, perception) {
+        if (!perception.hasPlayer) return;
+
+        this.timeUnseen = perception.lineOfSight ? 0 : this.timeUnseen + delta;
+
+        // Line up the main gun once the player is within a little more than its range
+        const gun = this.plane.gun;
+        if (gun && perception.lineOfSight && !perception.playerAboveCeiling && perception.playerDistance < gun.range * 1.5) {
+            this.flyAttackRun();
+        } else if (this.headingChangeDue(delta)) {
+            this.headTowardPlayer(perception);
+        }
+    }
+
+    // Lead pursuit - steer toward where the player will be when our bullets arrive
+    flyAttackRun() {
+        const plane = this.plane;
+        const player = this.game.player;
+        const toLead = plane.gun.computeLeadPoint(player.position, player.velocity).sub(plane.position).normalize();
+
+        // Don't follow the lead point up past the altitude warning threshold
+        if (plane.position.y > plane.altitudeWarningThreshold) {
+            toLead.y = Math.min(toLead.y, 0);
+        }
+
+        plane.targetDirection.copy(toLead).normalize();
+    }
+
+    headTowardPlayer(perception) {
+        const plane = this.plane;
+        const style = plane.style;
+        const toPlayer = perception.toPlayer.clone();
+
+        toPlayer.x += (Math.random() - 0.5) * style.aimNoise;
+        toPlayer.z += (Math.random() - 0.5) * style.aimNoise;
+
+        // Jittery pilots sometimes cut across the player's path instead
+        if (Math.random() < style.sidestepChance) {
+            const perpendicular = new THREE.Vector3(toPlayer.z, 0, -toPlayer.x);
+            if (Math.random() < 0.5) perpendicular.negate();
+            toPlayer.lerp(perpendicular, 0.7);
+        }
+        toPlayer.normalize();
+
+        if (perception.playerAboveCeiling) {
+            // Don't follow the player up past our ceiling - fly level or slightly down
+            toPlayer.y = -0.1;
+        } else if (plane.position.y > plane.altitudeWarningThreshold) {
+            // Near max altitude, staying below the limit comes first
+            toPlayer.y = -0.2 - plane.getCeilingProximity() * 0.3;
+        } else {
+            toPlayer.y = perception.heightDifference / 80;
+            if (plane.position.y + toPlayer.y * 50 > plane.altitudeWarningThreshold) {
+                toPlayer.y = Math.min(toPlayer.y, 0);
+            }
+        }
+
+        plane.targetDirection.copy(toPlayer).normalize();
+    }
+}
@@ -0,0 +1,39 @@
+import * as THREE from 'three';
+import { Behavior } from './Behavior';
+
+// Head back toward the middle of the map after straying near the edge
+export class ReturnBehavior extends Behavior {
+    constructor(plane, options = {}) {
+        super(plane, options);
+        this.giveUpChance = options.giveUpChance !== undefined ? options.giveUpChance : 0.3; // Chance to stop hunting the player
+    }
+
+    enter(perception) {
+        super.enter(perception);
+        if (Math.random() < this.giveUpChance) {
+            this.plane.hunting = false;
+        }
+        this.plane.headingChangeTimer = 0; // Turn for home straight away
+    }
+
+    update(delta, perception) {
+        const plane = this.plane;
+        this.done = !perception.nearBoundary;
+        if (!this.headingChangeDue(delta)) return;
+
+        // Slight randomness so returning planes don't all follow the same path
+        const distance = Math.max(perception.distanceFromCenter, 0.001);
+        plane.targetDirection.set(
+            -plane.position.x / distance + (Math.random() - 0.5) * 0.1,
+            (30 - plane.position.y) / 100, // Aim for moderate altitude
+            -plane.position.z / distance + (Math.random() - 0.5) * 0.1
+        ).normalize();
+    }
+
+    // Hurry back - faster the further out we are
+    getSpeedFactor() {
+        const radius = this.plane.boundaryDetectionRadius;
+        const distanceFactor = THREE.MathUtils.clamp((this.plane.perception.distanceFromCenter - radius * 0.6) / (radius * 0.3), 0, 1);
+        return 0.904 + distanceFactor * 0.312;
+    }
+}
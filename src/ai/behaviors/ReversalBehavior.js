@@ -0,0 +1,50 @@
+import * as THREE from 'three';
+import { Behavior } from './Behavior';
+
+// An ace's answer to someone on its tail: pull up hard into a climbing turn and come back
+// down pointing at the attacker, instead of just jinking.
+export class ReversalBehavior extends Behavior {
+    constructor(plane, options = {}) {
+        super(plane, options);
+        this.duration = options.duration || 3; // Seconds for the whole reversal
+        this.turnFactor = options.turnFactor || 2.5;
+        this.speed = options.speed || 1.1;
+    }
+
+    enter(perception) {
+        super.enter(perception);
+        this.timer = 0;
+        this.side = Math.random() < 0.5 ? 1 : -1;
+    }
+
+    update(delta, perception) {
+        const plane = this.plane;
+        this.timer += delta;
+        if (this.timer > this.duration) {
+            this.done = true;
+            return;
+        }
+
+        const forward = plane.getForwardDirection();
+        forward.y = 0;
+        if (forward.lengthSq() < 0.0001) return;
+        forward.normalize();
+
+        if (this.timer < this.duration * 0.4) {
+            // Pull up and over to one side, trading speed for height
+            const side = new THREE.Vector3(forward.z, 0, -forward.x).multiplyScalar(this.side);
+            plane.targetDirection.copy(forward).add(side).setY(0.8);
+        } else if (perception.hasPlayer && !perception.playerAboveCeiling) {
+            // Come back around onto the attacker
+            plane.targetDirection.copy(perception.toPlayer);
+        } else {
+            // Nobody to turn on - just finish the reversal
+            plane.targetDirection.copy(forward).negate();
+        }
+        plane.targetDirection.copy(this.limitClimb(plane.targetDirection.normalize()));
+    }
+
+    getSpeedFactor() {
+        return this.speed;
+    }
+}
@@ -0,0 +1,46 @@
+import { PatrolBehavior } from './PatrolBehavior';
+import { PursueBehavior } from './PursueBehavior';
+import { EvadeBehavior } from './EvadeBehavior';
+import { DiveBehavior } from './DiveBehavior';
+import { BarrelRollBehavior } from './BarrelRollBehavior';
+import { ReturnBehavior } from './ReturnBehavior';
+import { FormationBehavior } from './FormationBehavior';
+import { FleeBehavior } from './FleeBehavior';
+import { ReversalBehavior } from './ReversalBehavior';
+import { EscortBehavior } from './EscortBehavior';
+import { PincerBehavior } from './PincerBehavior';
+import { BreakBehavior } from './BreakBehavior';
+
+export { Behavior } from './Behavior';
+
+// Behaviour modules by name, for enemy types to compose their state machines from
+const BEHAVIORS = new Map();
+
+// Make a behaviour available to enemy types. BehaviorClass should extend Behavior.
+export function registerBehavior(name, BehaviorClass) {
+    if (BEHAVIORS.has(name)) {
+        console.log(`Replacing enemy behaviour "${name}"`);
+    }
+    BEHAVIORS.set(name, BehaviorClass);
+}
+
+export function createBehavior(name, plane, options = {}) {
+    const BehaviorClass = BEHAVIORS.get(name);
+    if (!BehaviorClass) {
+        throw new Error(`Unknown enemy behaviour "${name}"`);
+    }
+    return new BehaviorClass(plane, options);
+}
+
+registerBehavior('patrol', PatrolBehavior);
+registerBehavior('pursue', PursueBehavior);
+registerBehavior('evade', EvadeBehavior);
+registerBehavior('dive', DiveBehavior);
+registerBehavior('barrelRoll', BarrelRollBehavior);
+registerBehavior('return', ReturnBehavior);
+registerBehavior('formation', FormationBehavior);
+registerBehavior('flee', FleeBehavior);
+registerBehavior('reversal', ReversalBehavior);
+registerBehavior('escort', EscortBehavior);
+registerBehavior('pincer', PincerBehavior);
+registerBehavior('break', BreakBehavior);
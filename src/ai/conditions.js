@@ -0,0 +1,131 @@
+// Building blocks for state machine transitions. Each takes the transition context
+// ({ plane, perception, behavior, state, stateTime, delta }) and returns whether to switch.
+
+// Combine conditions - all must hold
+export function all(...conditions) {
+    return context => conditions.every(condition => condition(context));
+}
+
+// Combine conditions - any may hold
+export function any(...conditions) {
+    return context => conditions.some(condition => condition(context));
+}
+
+// Invert a condition
+export function not(condition) {
+    return context => !condition(context);
+}
+
+// A random stunt, taking this share of the plane's maneuvers per second.
+// Freshly spawned planes settle in first.
+export function stunt(share) {
+    return ({ plane, perception, delta }) =>
+        perception.timeAlive > plane.maneuverDelay && Math.random() < plane.maneuverRate * share * delta;
+}
+
+// The current behaviour has finished its maneuver
+export function finished({ behavior }) {
+    return behavior.done;
+}
+
+// Straying toward the edge of the world
+export function nearBoundary({ perception }) {
+    return perception.nearBoundary;
+}
+
+// Still after the player once the current maneuver is over
+export function hunting({ plane, perception }) {
+    return plane.hunting && perception.hasPlayer;
+}
+
+// The player has been out of sight behind the terrain for longer than the pilot's patience
+export function lostPlayer({ plane, perception, behavior }) {
+    return !perception.hasPlayer || behavior.timeUnseen > plane.pursuitPatience;
+}
+
+// Spotted the player close by with nothing in the way, and keen enough to go after them
+export function playerSpotted({ plane, perception }) {
+    return perception.sensed && perception.playerVisible && Math.random() < plane.aggression;
+}
+
+// The player is within this distance
+export function playerWithin(range) {
+    return ({ perception }) => perception.playerDistance < range;
+}
+
+// Just looked around and the player is in sight
+export function playerInSight({ perception }) {
+    return perception.sensed && perception.playerVisible;
+}
+
+// A missile is closing in
+export function missileIncoming({ perception }) {
+    return !!perception.incomingMissile;
+}
+
+// Just took a hit - the pilot may flinch
+export function flinched({ plane, perception }) {
+    return perception.wasHit && Math.random() < plane.hitReactionChance;
+}
+
+// The player's guns are lined up on us. Damaged pilots are jumpier.
+export function underGuns({ plane, perception }) {
+    return perception.sensed && perception.underGuns &&
+        Math.random() < plane.threatReactionChance * (2 - perception.health);
+}
+
+// High enough to dive on a player who isn't out of reach above our ceiling
+export function canDive({ perception }) {
+    return perception.hasPlayer && perception.altitude >= 30 && !perception.playerAboveCeiling;
+}
+
+// Close to the player, a pilot with a taste for it may dive straight at them
+export function diveOnPlayer(range) {
+    return ({ plane, perception, delta }) =>
+        perception.playerDistance < range && Math.random() < plane.style.diveRate * delta;
+}
+
+// A nearby plane to form up on, for pilots who like to fly in formation and aren't in one
+export function wingmanNearby({ perception }) {
+    return perception.sensed && !!perception.wingman;
+}
+
+// Flying in a formation, in any slot
+export function inFormation({ plane }) {
+    return !!plane.formation;
+}
+
+// Leading a formation
+export function leadingFormation({ plane }) {
+    return !!plane.formation && plane.formation.isLeader(plane);
+}
+
+// Flying in a formation as one of the wingmen
+export function followingFormation({ plane }) {
+    return !!plane.formation && !plane.formation.isLeader(plane);
+}
+
+// Our formation has wingmen in their slots, not scattered after a fight
+export function formedUp({ plane }) {
+    return !!plane.formation && plane.formation.isFormedUp();
+}
+
+// The formation has called this tactic and we haven't acted on it yet
+export function formationOrdered(tactic) {
+    return ({ plane }) => !!plane.formation && plane.formation.hasOrder(plane, tactic);
+}
+
+// A wingman who has fought on its own for this many seconds since the formation's last call
+export function regroupDue(seconds) {
+    return ({ plane, perception }) => followingFormation({ plane }) && perception.timeAlive - plane.formationOrderTime > seconds;
+}
+
+// Still has a plane to guard
+export function escorting({ plane }) {
+    return !!plane.escorting && plane.game.enemyGrid.has(plane.escorting);
+}
+
+// Drawn further than this from the plane it's guarding
+export function strayedFromCharge(range) {
+    return context => escorting(context) && context.plane.position.distanceTo(context.plane.escorting.position) > range;
+}
@@ -3,11 +3,12 @@ import * as THREE from 'three';
 export class Bird {
     constructor(game, position) {
         this.game = game;
+        const random = game.spawnRandom; // Seeded along with the rest of the spawns
         this.position = position.clone();
         this.velocity = new THREE.Vector3(
-            (Math.random() - 0.5) * 10,
-            Math.random() * 5 + 5, // Initial upward velocity
-            (Math.random() - 0.5) * 10
+            (random.next() - 0.5) * 10,
+            random.next() * 5 + 5, // Initial upward velocity
+            (random.next() - 0.5) * 10
         );
         this.age = 0;
         
@@ -19,7 +20,7 @@ export class Bird {
             0xffff66, // Yellow
             0xff6699  // Pink
         ];
-        this.color = colors[Math.floor(Math.random() * colors.length)];
+        this.color = colors[Math.floor(random.next() * colors.length)];
         
         this.createMesh();
     }
@@ -152,9 +153,10 @@ export class Bird {
             this.mesh.rotateY(Math.PI / 2);
         }
         
-        // Bounce off ground
-        if (this.position.y < 2) {
-            this.position.y = 2;
+        // Bounce off the ground or a mountainside
+        const floor = this.game.getGroundHeight(this.position.x, this.position.z) + 2;
+        if (this.position.y < floor) {
+            this.position.y = floor;
             this.velocity.y = Math.abs(this.velocity.y) * 0.6; // Bounce with damping
         }
         
@@ -0,0 +1,351 @@
+import * as THREE from 'three';
+import { EnemyGun } from './EnemyGun';
+import { createPart, segmentBoxEntry } from './EnemyPlane';
+import { Perception } from '../ai/Perception';
+import { BOSSES, DEFAULT_BOSS } from '../data/bosses';
+
+// How far ahead around its circuit the boss steers for, in radians
+const ORBIT_LEAD = 0.3;
+
+// Distances ahead where the ground is checked when picking a cruising height
+const GROUND_LOOKAHEAD = [0, 80, 160, 240];
+
+// A big, slow boss flying a circuit of the map, with engines, turrets and cargo bays
+// that can be shot away one by one (see data/bosses.js). It lives in game.enemies like
+// any enemy plane, so the radar, missiles and bullet hits all find it the same way.
+export class BossAircraft {
+    constructor(game, position, typeKey = DEFAULT_BOSS) {
+        this.game = game;
+        const random = game.spawnRandom;
+        const difficulty = game.difficulty;
+        const type = BOSSES[typeKey];
+        this.typeKey = typeKey;
+        this.type = type;
+        this.isBoss = true;
+        this.position = position.clone();
+        this.velocity = new THREE.Vector3();
+        this.health = type.health;
+        this.maxHealth = this.health;
+        this.hitboxRadius = type.hitboxRadius;
+
+        // Circle the map one way or the other, starting off along the circuit
+        this.orbitDirection = random.next() < 0.5 ? 1 : -1;
+        const angle = Math.atan2(position.z, position.x);
+        this.rotation = new THREE.Euler(0, Math.atan2(-Math.sin(angle) * this.orbitDirection, Math.cos(angle) * this.orbitDirection), 0);
+        this.targetDirection = this.getForwardDirection();
+
+        this.speed = type.speed * difficulty.speed;
+        this.currentSpeed = this.speed;
+        this.turnRate = type.turnRate;
+        this.climbRate = 8;
+
+        // Read by the perception and guns that enemy planes use too
+        this.maxAltitude = type.ceiling;
+        this.boundaryDetectionRadius = this.game.worldRadius * 0.7;
+        this.style = { joinsFormations: false }; // No pilot temperament - the crew never forms up on anyone
+        this.perception = new Perception(this, { senseInterval: 0.5 * difficulty.reactionTime });
+
+        this.createMesh();
+        this.createComponents(Math.min(0.95, (0.3 + random.next() * 0.2) * difficulty.accuracy));
+
+        this.phaseIndex = -1; // Entered by enterPhase(0) once the game has added the boss
+        this.phase = type.phases[0];
+        this.effectTimer = 0;
+    }
+
+    createMesh() {
+        const model = this.type.model;
+        this.mesh = new THREE.Group();
+        this.hull = new THREE.Group();
+        for (const part of model.parts) {
+            this.hull.add(createPart(part, model.scale, model.paint));
+        }
+        this.mesh.add(this.hull);
+        this.mesh.position.copy(this.position);
+        this.mesh.rotation.copy(this.rotation);
+        this.game.scene.add(this.mesh);
+
+        this.hitboxes = this.type.hitboxes.map(box => ({ ...box, damageMultiplier: 1 }));
+    }
+
+    // Each component gets its own group of parts, a hit box and whatever it does - a gun for
+    // turrets, propellers for engines, a door for cargo bays
+    createComponents(accuracy) {
+        const model = this.type.model;
+        this.components = [];
+        this.guns = [];
+        for (const definition of this.type.components) {
+            const offset = new THREE.Vector3().fromArray(definition.position).multiplyScalar(model.scale);
+            const component = {
+                name: definition.name,
+                kind: definition.kind,
+                health: definition.health,
+                maxHealth: definition.health,
+                animals: definition.animals || 0,
+                destroyed: false,
+                offset,
+                mesh: new THREE.Group(),
+                propellers: [],
+                door: null,
+                gun: null
+            };
+
+            component.mesh.position.copy(offset);
+            for (const part of definition.parts) {
+                const mesh = createPart(part, model.scale, model.paint);
+                component.mesh.add(mesh);
+                if (part.spins) component.propellers.push(mesh);
+                if (part.door) component.door = mesh;
+            }
+            this.mesh.add(component.mesh);
+
+            const halfSize = new THREE.Vector3().fromArray(definition.size).multiplyScalar(model.scale / 2);
+            this.hitboxes.push({ part: definition.name, center: offset, halfSize, damageMultiplier: 1, component });
+
+            if (definition.gun) {
+                component.gun = new EnemyGun(this, { ...definition.gun, mount: offset.toArray(), accuracy });
+                component.gun.baseCooldown = component.gun.cooldown;
+                this.guns.push(component.gun);
+            }
+            this.components.push(component);
+        }
+    }
+
+    update(delta) {
+        // The crew only needs to know where the player is and whether the hills are in the way
+        this.perception.update(delta);
+        this.perception.endFrame();
+
+        this.updatePhase();
+        this.steer(delta);
+
+        // Engines still running slow the boss less the more of them there are
+        const engines = this.countComponents('engine');
+        const targetSpeed = this.speed * (0.4 + 0.6 * engines.working / Math.max(1, engines.total));
+        this.currentSpeed += THREE.MathUtils.clamp(targetSpeed - this.currentSpeed, -delta, delta);
+
+        // Hold a height above the ground coming up, climbing or sinking gently toward it
+        const forward = this.getForwardDirection();
+        const altitude = this.phase.altitude !== undefined ? this.phase.altitude : this.type.altitude;
+        const ground = Math.max(...GROUND_LOOKAHEAD.map(distance => this.game.getGroundHeight(
+            this.position.x + forward.x * distance, this.position.z + forward.z * distance)));
+        const climb = THREE.MathUtils.clamp((ground + altitude - this.position.y) * 0.5, -this.climbRate, this.climbRate);
+
+        this.velocity.copy(forward).multiplyScalar(this.currentSpeed);
+        this.velocity.y = climb;
+        this.position.addScaledVector(this.velocity, delta);
+
+        // Never sink into a hill it couldn't climb over in time
+        const groundBelow = this.game.getGroundHeight(this.position.x, this.position.z);
+        this.position.y = Math.max(this.position.y, groundBelow + 20);
+
+        this.mesh.position.copy(this.position);
+        this.mesh.rotation.copy(this.rotation);
+
+        for (const component of this.components) {
+            if (component.destroyed) continue;
+            for (const propeller of component.propellers) {
+                propeller.rotation.z += 15 * delta;
+            }
+            if (component.gun) {
+                component.gun.update(delta);
+            }
+        }
+
+        // Wrecked parts trail smoke
+        this.effectTimer -= delta;
+        if (this.effectTimer <= 0) {
+            this.effectTimer = 0.6;
+            const wrecked = this.components.filter(component => component.destroyed && component.kind === 'engine');
+            if (wrecked.length > 0) {
+                const position = this.getComponentPosition(wrecked[Math.floor(Math.random() * wrecked.length)]);
+                this.game.createExplosion(position.x, position.y, position.z, 0.3);
+            }
+        }
+    }
+
+    // Fly a circuit of the map, aiming a little way ahead around it
+    steer(delta) {
+        const orbitRadius = this.game.worldRadius * this.type.orbit;
+        const angle = Math.atan2(this.position.z, this.position.x) + this.orbitDirection * ORBIT_LEAD;
+        const targetX = Math.cos(angle) * orbitRadius;
+        const targetZ = Math.sin(angle) * orbitRadius;
+
+        const desiredHeading = Math.atan2(targetX - this.position.x, targetZ - this.position.z);
+        const turn = Math.atan2(Math.sin(desiredHeading - this.rotation.y), Math.cos(desiredHeading - this.rotation.y));
+        this.rotation.y += THREE.MathUtils.clamp(turn, -this.turnRate * delta, this.turnRate * delta);
+        this.targetDirection.set(Math.sin(desiredHeading), 0, Math.cos(desiredHeading));
+    }
+
+    // Move on to a later phase as soon as its condition holds
+    updatePhase() {
+        const phases = this.type.phases;
+        for (let i = phases.length - 1; i > this.phaseIndex; i--) {
+            if (phases[i].when && phases[i].when(this)) {
+                this.enterPhase(i);
+                return;
+            }
+        }
+    }
+
+    enterPhase(index) {
+        this.phaseIndex = index;
+        this.phase = this.type.phases[index];
+        console.log(`${this.type.name}: ${this.phase.name}`);
+
+        for (const gun of this.guns) {
+            gun.cooldown = gun.baseCooldown / this.phase.fireRate;
+        }
+        if (this.phase.escorts > 0) {
+            this.game.spawnEscorts(this, this.phase.escorts);
+        }
+        if (this.phase.message) {
+            this.game.bossHealthBar.showMessage(this.phase.message);
+        }
+    }
+
+    getForwardDirection() {
+        return new THREE.Vector3(0, 0, 1).applyEuler(this.rotation);
+    }
+
+    getComponentPosition(component) {
+        return component.offset.clone().applyEuler(this.rotation).add(this.position);
+    }
+
+    // How many of a kind of component there are, and how many are still working
+    countComponents(kind) {
+        const ofKind = this.components.filter(component => component.kind === kind);
+        return { total: ofKind.length, working: ofKind.filter(component => !component.destroyed).length };
+    }
+
+    // Swept test of a bullet's travel this frame against the hull and every part still in one piece,
+    // like EnemyPlane.sweepHitboxes. Hits on a component carry it along for damage().
+    sweepHitboxes(start, end, delta) {
+        const previousPosition = this.position.clone().addScaledVector(this.velocity, -delta);
+        const localStart = new THREE.Vector3().subVectors(start, previousPosition);
+        const localEnd = new THREE.Vector3().subVectors(end, this.position);
+
+        const segment = new THREE.Vector3().subVectors(localEnd, localStart);
+        const lengthSq = segment.lengthSq();
+        const t = lengthSq > 0 ? THREE.MathUtils.clamp(-localStart.dot(segment) / lengthSq, 0, 1) : 0;
+        if (localStart.clone().addScaledVector(segment, t).lengthSq() > this.hitboxRadius * this.hitboxRadius) {
+            return null;
+        }
+
+        const inverseRotation = new THREE.Quaternion().setFromEuler(this.rotation).invert();
+        localStart.applyQuaternion(inverseRotation);
+        localEnd.applyQuaternion(inverseRotation);
+
+        let closest = null;
+        for (const box of this.hitboxes) {
+            if (box.component && box.component.destroyed) continue;
+            const entry = segmentBoxEntry(localStart, localEnd, box);
+            if (entry !== null && (!closest || entry < closest.t)) {
+                closest = { part: box.part, component: box.component || null, damageMultiplier: 1, t: entry };
+            }
+        }
+        return closest;
+    }
+
+    // Whether a point is inside the boss - for planes flying into it
+    containsPoint(point) {
+        const local = point.clone().sub(this.position).applyQuaternion(new THREE.Quaternion().setFromEuler(this.rotation).invert());
+        return this.hitboxes.some(box => !box.component &&
+            Math.abs(local.x - box.center.x) < box.halfSize.x &&
+            Math.abs(local.y - box.center.y) < box.halfSize.y &&
+            Math.abs(local.z - box.center.z) < box.halfSize.z);
+    }
+
+    // Far too big and slow to dodge a missile
+    warnOfMissile() {}
+
+    isEvading() {
+        return false;
+    }
+
+    // Hits on a component wear it down; anything else lands on the hull, which shrugs off
+    // most of it until the phase says otherwise
+    damage(amount, hit = null) {
+        const component = hit && hit.component;
+        if (component && !component.destroyed) {
+            component.health -= amount;
+            if (component.health <= 0) {
+                this.destroyComponent(component);
+            } else {
+                this.flash(component.mesh);
+            }
+            return;
+        }
+
+        this.health -= amount * this.phase.hullDamage;
+        if (this.health > 0) {
+            this.flash(this.hull);
+        }
+    }
+
+    // Flash white briefly, as enemy planes do when hit
+    flash(object) {
+        object.traverse(child => {
+            if (child.isMesh && child.material && !child.material._originalColor) {
+                child.material._originalColor = child.material.color.clone();
+                child.material.color.set(0xffffff);
+            }
+        });
+        setTimeout(() => {
+            object.traverse(child => {
+                if (child.isMesh && child.material && child.material._originalColor) {
+                    child.material.color.copy(child.material._originalColor);
+                    delete child.material._originalColor;
+                }
+            });
+        }, 100);
+    }
+
+    destroyComponent(component) {
+        component.destroyed = true;
+        component.health = 0;
+        const position = this.getComponentPosition(component);
+        this.game.createExplosion(position.x, position.y, position.z, 1);
+        this.game.playExplosionSound(position);
+        console.log(`${this.type.name} lost its ${component.name}`);
+
+        switch (component.kind) {
+            case 'turret':
+                // Blown clean off
+                component.mesh.visible = false;
+                break;
+            case 'cargoBay':
+                this.openCargoBay(component);
+                break;
+            default:
+                // A dead engine - scorched, propeller stopped
+                component.mesh.traverse(child => {
+                    if (child.isMesh && child.material) {
+                        child.material.color.set(0x222222);
+                        if (child.material._originalColor) child.material._originalColor.set(0x222222);
+                    }
+                });
+        }
+    }
+
+    // Swing the bay door open and let the animals out
+    openCargoBay(component) {
+        component.destroyed = true;
+        if (component.door) {
+            component.door.rotation.x = -1.2;
+        }
+        if (component.animals > 0) {
+            this.game.releaseBirds(this.getComponentPosition(component), component.animals);
+            component.animals = 0;
+        }
+    }
+
+    // Everything still in the cargo bays gets out when the boss goes down
+    openAllCargoBays() {
+        for (const component of this.components) {
+            if (component.kind === 'cargoBay') {
+                this.openCargoBay(component);
+            }
+        }
+    }
+}
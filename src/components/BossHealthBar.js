@@ -0,0 +1,110 @@
+// Boss readout along the bottom of the screen - the hull's health, the phase it's in,
+// and how many of its engines, turrets and cargo bays are still intact
+const COMPONENT_LABELS = {
+    engine: 'Engines',
+    turret: 'Turrets',
+    cargoBay: 'Cargo bays'
+};
+
+export class BossHealthBar {
+    constructor(game) {
+        this.game = game;
+        this.element = null;
+        this.messageTimeout = null;
+    }
+
+    createElement() {
+        const element = document.createElement('div');
+        element.id = 'boss-health';
+        element.style.position = 'absolute';
+        element.style.bottom = '30px';
+        element.style.left = '50%';
+        element.style.transform = 'translateX(-50%)';
+        element.style.width = '420px';
+        element.style.color = 'white';
+        element.style.fontFamily = 'Arial, sans-serif';
+        element.style.fontSize = '14px';
+        element.style.textAlign = 'center';
+        element.style.textShadow = '2px 2px 4px rgba(0,0,0,0.7)';
+        element.style.backgroundColor = 'rgba(0,0,0,0.5)';
+        element.style.padding = '8px 12px';
+        element.style.borderRadius = '10px';
+        element.style.zIndex = '1000';
+        element.style.pointerEvents = 'none';
+        element.style.display = 'none';
+
+        this.titleElement = document.createElement('div');
+        this.titleElement.style.fontSize = '18px';
+        this.titleElement.style.fontWeight = 'bold';
+        element.appendChild(this.titleElement);
+
+        const track = document.createElement('div');
+        track.style.height = '12px';
+        track.style.margin = '6px 0';
+        track.style.backgroundColor = 'rgba(255,255,255,0.2)';
+        track.style.borderRadius = '6px';
+        track.style.overflow = 'hidden';
+        this.fillElement = document.createElement('div');
+        this.fillElement.style.height = '100%';
+        this.fillElement.style.backgroundColor = '#ba68c8';
+        this.fillElement.style.transition = 'width 0.2s';
+        track.appendChild(this.fillElement);
+        element.appendChild(track);
+
+        this.componentsElement = document.createElement('div');
+        element.appendChild(this.componentsElement);
+
+        this.messageElement = document.createElement('div');
+        this.messageElement.style.marginTop = '4px';
+        this.messageElement.style.color = '#ffeb3b';
+        this.messageElement.style.fontWeight = 'bold';
+        element.appendChild(this.messageElement);
+
+        document.body.appendChild(element);
+        this.element = element;
+    }
+
+    show(boss) {
+        if (!this.element) {
+            this.createElement();
+        }
+        this.element.style.display = 'block';
+        this.update(boss);
+    }
+
+    update(boss) {
+        if (!this.element) return;
+
+        this.titleElement.textContent = `${boss.type.name} - ${boss.phase.name}`;
+        const healthPercent = Math.max(0, boss.health / boss.maxHealth * 100);
+        this.fillElement.style.width = `${healthPercent}%`;
+
+        // Hull readout goes red once it's properly exposed
+        this.fillElement.style.backgroundColor = boss.phase.hullDamage >= 1 ? '#f44336' : '#ba68c8';
+
+        const counts = Object.keys(COMPONENT_LABELS)
+            .map(kind => ({ kind, ...boss.countComponents(kind) }))
+            .filter(count => count.total > 0)
+            .map(count => `${COMPONENT_LABELS[count.kind]} ${count.working}/${count.total}`);
+        this.componentsElement.textContent = counts.join(' · ');
+    }
+
+    // A line under the bar for a few seconds, e.g. when the boss changes phase
+    showMessage(text) {
+        if (!this.element) {
+            this.createElement();
+        }
+        this.messageElement.textContent = text;
+        clearTimeout(this.messageTimeout);
+        this.messageTimeout = setTimeout(() => {
+            this.messageElement.textContent = '';
+        }, 5000);
+    }
+
+    hide() {
+        if (this.element) {
+            this.element.style.display = 'none';
+        }
+        clearTimeout(this.messageTimeout);
+    }
+}
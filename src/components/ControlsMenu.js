@@ -0,0 +1,184 @@
+import { ACTIONS, formatKey } from '../input/ActionMap';
+
+// Settings screen for remapping the keyboard - each action has a primary and an alternate key
+export class ControlsMenu {
+    constructor(game, actionMap) {
+        this.game = game;
+        this.actionMap = actionMap;
+
+        this.overlay = null;
+        this.capturing = null; // { actionId, slot } while waiting for a key press
+        this.message = '';
+
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.actionMap.onChange(() => this.render());
+    }
+
+    get isOpen() {
+        return this.overlay !== null;
+    }
+
+    open() {
+        if (this.isOpen) return;
+
+        this.overlay = document.createElement('div');
+        this.overlay.id = 'controls-menu';
+        this.overlay.style.position = 'absolute';
+        this.overlay.style.top = '0';
+        this.overlay.style.left = '0';
+        this.overlay.style.width = '100%';
+        this.overlay.style.height = '100%';
+        this.overlay.style.backgroundColor = 'rgba(0, 0, 0, 0.85)';
+        this.overlay.style.display = 'flex';
+        this.overlay.style.flexDirection = 'column';
+        this.overlay.style.justifyContent = 'center';
+        this.overlay.style.alignItems = 'center';
+        this.overlay.style.color = 'white';
+        this.overlay.style.fontFamily = 'Arial, sans-serif';
+        this.overlay.style.zIndex = '2000'; // Above the intro, pause and radar
+        this.overlay.style.overflowY = 'auto';
+
+        const title = document.createElement('h1');
+        title.textContent = 'Controls';
+        title.style.fontSize = '2.5rem';
+        title.style.margin = '10px 0 20px';
+        this.overlay.appendChild(title);
+
+        this.list = document.createElement('div');
+        this.list.style.display = 'grid';
+        this.list.style.gridTemplateColumns = 'auto 120px 120px';
+        this.list.style.gap = '6px 12px';
+        this.list.style.alignItems = 'center';
+        this.overlay.appendChild(this.list);
+
+        // Conflicts and capture hints
+        this.messageElement = document.createElement('p');
+        this.messageElement.style.minHeight = '1.5em';
+        this.messageElement.style.color = '#ffcc66';
+        this.messageElement.style.margin = '15px 0';
+        this.overlay.appendChild(this.messageElement);
+
+        const buttons = document.createElement('div');
+        buttons.appendChild(this.createButton('Reset to defaults', '#f44336', () => {
+            this.capturing = null;
+            this.actionMap.resetToDefaults();
+            this.setMessage('Controls reset to defaults');
+        }));
+        buttons.appendChild(this.createButton('Close', '#4CAF50', () => this.close()));
+        this.overlay.appendChild(buttons);
+
+        // Capture phase on window so the game never sees keys meant for the menu
+        window.addEventListener('keydown', this.handleKeyDown, true);
+
+        this.message = 'Click a key to change it';
+        document.body.appendChild(this.overlay);
+        this.render();
+    }
+
+    close() {
+        if (!this.isOpen) return;
+
+        window.removeEventListener('keydown', this.handleKeyDown, true);
+        this.overlay.parentNode.removeChild(this.overlay);
+        this.overlay = null;
+        this.capturing = null;
+    }
+
+    createButton(label, color, onClick) {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.style.padding = '10px 20px';
+        button.style.margin = '0 10px';
+        button.style.fontSize = '18px';
+        button.style.backgroundColor = color;
+        button.style.color = 'white';
+        button.style.border = 'none';
+        button.style.borderRadius = '5px';
+        button.style.cursor = 'pointer';
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    setMessage(message) {
+        this.message = message;
+        if (this.messageElement) {
+            this.messageElement.textContent = message;
+        }
+    }
+
+    // Rebuild the list of actions and their keys
+    render() {
+        if (!this.isOpen) return;
+
+        this.list.innerHTML = '';
+        for (const action of ACTIONS) {
+            const label = document.createElement('div');
+            label.textContent = action.label;
+            label.style.fontSize = '18px';
+            label.style.textAlign = 'right';
+            this.list.appendChild(label);
+
+            this.actionMap.bindings[action.id].forEach((key, slot) => {
+                const isCapturing = this.capturing &&
+                    this.capturing.actionId === action.id && this.capturing.slot === slot;
+
+                const button = document.createElement('button');
+                button.textContent = isCapturing ? 'Press a key...' : formatKey(key);
+                button.style.padding = '6px';
+                button.style.fontSize = '16px';
+                button.style.color = 'white';
+                button.style.backgroundColor = isCapturing ? '#ff9800' : 'rgba(255, 255, 255, 0.15)';
+                button.style.border = '1px solid rgba(255, 255, 255, 0.5)';
+                button.style.borderRadius = '4px';
+                button.style.cursor = 'pointer';
+                button.addEventListener('click', () => {
+                    this.capturing = { actionId: action.id, slot };
+                    this.setMessage(`Press a key for ${action.label} - Esc to cancel, Backspace to clear`);
+                    this.render();
+                });
+                this.list.appendChild(button);
+            });
+        }
+
+        this.messageElement.textContent = this.message;
+    }
+
+    handleKeyDown(event) {
+        // Keep every key press away from the game while the menu is open
+        event.stopImmediatePropagation();
+
+        if (!this.capturing) {
+            if (event.key === 'Escape') {
+                this.close();
+            }
+            return;
+        }
+
+        // Space, arrows and the like shouldn't scroll or press buttons while being bound
+        event.preventDefault();
+        const { actionId, slot } = this.capturing;
+        this.capturing = null;
+        const label = this.actionMap.getLabel(actionId);
+
+        if (event.key === 'Escape') {
+            this.setMessage('Cancelled');
+            this.render();
+        } else if (event.key === 'Backspace' || event.key === 'Delete') {
+            this.setMessage(`Cleared a key from ${label}`);
+            this.actionMap.unbind(actionId, slot);
+        } else {
+            const conflict = this.actionMap.bind(actionId, slot, event.key);
+            if (conflict && conflict.actionId !== actionId) {
+                this.setMessage(`${formatKey(event.key)} was taken from ${this.actionMap.getLabel(conflict.actionId)} - ` +
+                    `it is now ${label}`);
+            } else {
+                this.setMessage(`${label}: ${formatKey(event.key)}`);
+            }
+            this.render();
+        }
+    }
+
+    dispose() {
+        this.close();
+    }
+}
@@ -0,0 +1,108 @@
+import * as THREE from 'three';
+
+export class EnemyBulletPool {
+    constructor(game, size = 200) {
+        this.game = game;
+        this.size = size;
+        this.bullets = [];
+        this.lifetime = 2.5; // Seconds before an unused bullet is returned to the pool
+
+        // All enemy bullets share one geometry and material
+        this.geometry = new THREE.CylinderGeometry(0.12, 0.12, 1.6, 6);
+        this.material = new THREE.MeshBasicMaterial({ color: 0xff3300 });
+
+        // Pre-create every bullet so firing never allocates
+        for (let i = 0; i < size; i++) {
+            const mesh = new THREE.Mesh(this.geometry, this.material);
+            mesh.visible = false;
+            this.game.scene.add(mesh);
+
+            this.bullets.push({
+                mesh: mesh,
+                active: false,
+                velocity: new THREE.Vector3(),
+                previousPosition: new THREE.Vector3(),
+                damage: 0,
+                age: 0
+            });
+        }
+    }
+
+    fire(origin, direction, speed, damage) {
+        // Find a free bullet - if the pool is exhausted the shot is simply not fired
+        const bullet = this.bullets.find(b => !b.active);
+        if (!bullet) return false;
+
+        bullet.active = true;
+        bullet.age = 0;
+        bullet.damage = damage;
+        bullet.velocity.copy(direction).normalize().multiplyScalar(speed);
+        bullet.mesh.position.copy(origin);
+        bullet.previousPosition.copy(origin);
+
+        // Align the tracer with its direction of travel
+        bullet.mesh.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), direction.clone().normalize());
+        bullet.mesh.visible = true;
+        return true;
+    }
+
+    update(delta) {
+        for (const bullet of this.bullets) {
+            if (!bullet.active) continue;
+
+            bullet.age += delta;
+            bullet.previousPosition.copy(bullet.mesh.position);
+            bullet.mesh.position.addScaledVector(bullet.velocity, delta);
+
+            const pos = bullet.mesh.position;
+            const distanceFromCenter = Math.sqrt(pos.x * pos.x + pos.z * pos.z);
+
+            // Return bullets that expired, hit the ground or left the world
+            if (bullet.age > this.lifetime ||
+                pos.y < this.game.getGroundHeight(pos.x, pos.z) ||
+                distanceFromCenter > this.game.worldRadius) {
+                this.release(bullet);
+            }
+        }
+    }
+
+    // Test every active bullet's travel this frame against a sphere.
+    // Calls onHit for each bullet that struck it and returns the bullet to the pool.
+    checkHits(center, radius, onHit) {
+        const segment = new THREE.Vector3();
+        const toCenter = new THREE.Vector3();
+        const closest = new THREE.Vector3();
+        const radiusSq = radius * radius;
+
+        for (const bullet of this.bullets) {
+            if (!bullet.active) continue;
+
+            // Closest point on the bullet's path since last frame
+            segment.subVectors(bullet.mesh.position, bullet.previousPosition);
+            toCenter.subVectors(center, bullet.previousPosition);
+            const segmentLengthSq = segment.lengthSq();
+            const t = segmentLengthSq > 0 ?
+                THREE.MathUtils.clamp(toCenter.dot(segment) / segmentLengthSq, 0, 1) : 0;
+            closest.copy(bullet.previousPosition).addScaledVector(segment, t);
+
+            if (closest.distanceToSquared(center) < radiusSq) {
+                onHit(bullet, closest.clone());
+                this.release(bullet);
+            }
+        }
+    }
+
+    release(bullet) {
+        bullet.active = false;
+        bullet.mesh.visible = false;
+    }
+
+    dispose() {
+        for (const bullet of this.bullets) {
+            this.game.scene.remove(bullet.mesh);
+        }
+        this.geometry.dispose();
+        this.material.dispose();
+        this.bullets = [];
+    }
+}
@@ -0,0 +1,136 @@
+import * as THREE from 'three';
+
+export class EnemyGun {
+    constructor(enemy, options = {}) {
+        this.enemy = enemy;
+        this.game = enemy.game;
+
+        // Gun parameters - can be overridden per enemy
+        this.range = options.range || 150; // Maximum engagement distance
+        this.fireCone = options.fireCone || THREE.MathUtils.degToRad(8); // Half-angle the target must be inside
+        this.bulletSpeed = options.bulletSpeed || 90;
+        this.damage = options.damage || 4;
+        this.accuracy = options.accuracy !== undefined ? options.accuracy : 0.6; // 0 = wild, 1 = perfect
+        this.maxSpread = options.maxSpread || THREE.MathUtils.degToRad(6); // Aim error at zero accuracy
+        this.burstLength = options.burstLength || 4; // Rounds per burst
+        this.roundInterval = options.roundInterval || 0.12; // Seconds between rounds in a burst
+        this.cooldown = options.cooldown || 2 + Math.random() * 1.5; // Seconds between bursts
+
+        // Where the gun sits and points in the plane's own space - by default a fixed gun firing
+        // from just ahead of the propeller. Turrets point elsewhere and get a wide fire cone.
+        this.mount = new THREE.Vector3().fromArray(options.mount || [0, 0, 6]);
+        this.aim = new THREE.Vector3().fromArray(options.aim || [0, 0, 1]).normalize();
+
+        // Firing state
+        this.cooldownTimer = Math.random() * this.cooldown; // Stagger the first burst
+        this.roundTimer = 0;
+        this.roundsLeftInBurst = 0;
+    }
+
+    // Predict where the target will be when a bullet reaches it (lead pursuit).
+    // Returns the target position itself when no intercept exists.
+    computeLeadPoint(targetPosition, targetVelocity) {
+        const origin = this.enemy.position;
+        const toTarget = new THREE.Vector3().subVectors(targetPosition, origin);
+
+        // Solve |toTarget + targetVelocity * t| = bulletSpeed * t for the smallest positive t
+        const a = targetVelocity.lengthSq() - this.bulletSpeed * this.bulletSpeed;
+        const b = 2 * toTarget.dot(targetVelocity);
+        const c = toTarget.lengthSq();
+
+        let time;
+        if (Math.abs(a) < 0.0001) {
+            time = b !== 0 ? -c / b : -1;
+        } else {
+            const discriminant = b * b - 4 * a * c;
+            if (discriminant < 0) return targetPosition.clone();
+
+            const sqrtDisc = Math.sqrt(discriminant);
+            const t1 = (-b - sqrtDisc) / (2 * a);
+            const t2 = (-b + sqrtDisc) / (2 * a);
+            time = Math.min(t1, t2) > 0 ? Math.min(t1, t2) : Math.max(t1, t2);
+        }
+
+        if (time <= 0) return targetPosition.clone();
+
+        return targetPosition.clone().addScaledVector(targetVelocity, time);
+    }
+
+    // Whether the target can be engaged at all
+    canEngage(target) {
+        if (!target || target.isDestroyed || !this.game.gameStarted) return false;
+
+        // Enemies never shoot above their altitude ceiling - flying high is the player's escape
+        if (target.position.y > this.enemy.maxAltitude) return false;
+
+        // No shooting through hills
+        if (!this.enemy.perception.lineOfSight) return false;
+
+        return this.enemy.position.distanceTo(target.position) < this.range;
+    }
+
+    update(delta) {
+        const player = this.game.player;
+
+        if (this.cooldownTimer > 0) {
+            this.cooldownTimer -= delta;
+        }
+
+        // Continue an ongoing burst
+        if (this.roundsLeftInBurst > 0) {
+            this.roundTimer -= delta;
+            if (this.roundTimer <= 0) {
+                if (this.canEngage(player)) {
+                    this.fireRound(player);
+                }
+                this.roundsLeftInBurst--;
+                this.roundTimer = this.roundInterval;
+
+                if (this.roundsLeftInBurst === 0) {
+                    this.cooldownTimer = this.cooldown;
+                }
+            }
+            return;
+        }
+
+        if (this.cooldownTimer > 0 || !this.canEngage(player)) return;
+
+        // Only open fire when the lead point is inside the firing cone
+        if (this.isInFiringCone(player)) {
+            this.roundsLeftInBurst = this.burstLength;
+            this.roundTimer = 0;
+        }
+    }
+
+    // The way the gun points, in the world
+    getBoresight() {
+        return this.aim.clone().applyEuler(this.enemy.rotation);
+    }
+
+    isInFiringCone(target) {
+        const leadPoint = this.computeLeadPoint(target.position, target.velocity);
+        const toLead = leadPoint.sub(this.enemy.position).normalize();
+        return this.getBoresight().angleTo(toLead) < this.fireCone;
+    }
+
+    fireRound(target) {
+        const boresight = this.getBoresight();
+        const leadPoint = this.computeLeadPoint(target.position, target.velocity);
+        const aimDirection = leadPoint.sub(this.enemy.position).normalize();
+
+        // Aim can only be bent so far from where the gun points - a little for fixed guns
+        if (boresight.angleTo(aimDirection) > this.fireCone) {
+            aimDirection.copy(boresight);
+        }
+
+        // Add aim error based on this enemy's accuracy
+        const spread = this.maxSpread * (1 - this.accuracy);
+        aimDirection.x += (Math.random() - 0.5) * 2 * spread;
+        aimDirection.y += (Math.random() - 0.5) * 2 * spread;
+        aimDirection.z += (Math.random() - 0.5) * 2 * spread;
+        aimDirection.normalize();
+
+        const muzzle = this.mount.clone().applyEuler(this.enemy.rotation).add(this.enemy.position);
+        this.game.enemyBulletPool.fire(muzzle, aimDirection, this.bulletSpeed, this.damage);
+    }
+}
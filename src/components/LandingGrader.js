@@ -0,0 +1,158 @@
+import * as THREE from 'three';
+
+export class LandingGrader {
+    constructor(game) {
+        this.game = game;
+
+        // Touchdown limits - exceeding any of these is a crash
+        this.maxDescentRate = 7; // Units per second
+        this.maxRoll = THREE.MathUtils.degToRad(20);
+        this.maxNoseDown = THREE.MathUtils.degToRad(5); // Landing nose-first digs the propeller in
+        this.maxNoseUp = THREE.MathUtils.degToRad(25); // Tail strike
+
+        // Ideal touchdown zone, as fractions of runway length past the threshold
+        this.touchdownZoneStart = 0.1;
+        this.touchdownZoneEnd = 0.35;
+
+        // Landing history
+        this.landings = [];
+        this.bestScore = 0;
+
+        this.reportElement = null;
+        this.reportTimeout = null;
+    }
+
+    evaluateTouchdown(player) {
+        const attitude = player.getAttitude();
+        const descentRate = Math.max(0, -player.velocity.y);
+        const roll = Math.abs(attitude.roll);
+
+        // Touching down anywhere but a runway is always a crash
+        const runway = this.game.getRunwayAt(player.position.x, player.position.z);
+        if (!runway) {
+            return { crashed: true, reason: "You crashed into the ground!" };
+        }
+
+        // Check attitude and descent limits
+        if (descentRate > this.maxDescentRate) {
+            return { crashed: true, reason: `You slammed into the runway at ${descentRate.toFixed(1)} m/s!` };
+        }
+        if (roll > this.maxRoll) {
+            return { crashed: true, reason: "You caught a wingtip on the runway!" };
+        }
+        if (attitude.pitch < -this.maxNoseDown) {
+            return { crashed: true, reason: "You landed nose-first on the runway!" };
+        }
+        if (attitude.pitch > this.maxNoseUp) {
+            return { crashed: true, reason: "Your tail struck the runway!" };
+        }
+
+        const result = this.gradeLanding(player, runway, descentRate, roll);
+        this.landings.push(result);
+        this.bestScore = Math.max(this.bestScore, result.score);
+        this.showReport(result);
+
+        return result;
+    }
+
+    gradeLanding(player, runway, descentRate, roll) {
+        const halfWidth = runway.width / 2;
+        const halfLength = runway.length / 2;
+
+        // Smoothness - a gentle descent with wings level
+        const descentPenalty = THREE.MathUtils.clamp(descentRate / this.maxDescentRate, 0, 1);
+        const rollPenalty = THREE.MathUtils.clamp(roll / this.maxRoll, 0, 1);
+        const smoothness = 100 * (1 - descentPenalty * 0.7 - rollPenalty * 0.3);
+
+        // Centreline - distance from the middle of the runway
+        const centrelineDeviation = Math.abs(player.position.x - runway.x);
+        const centreline = 100 * (1 - THREE.MathUtils.clamp(centrelineDeviation / halfWidth, 0, 1));
+
+        // Touchdown zone - measured from the threshold the plane approached from
+        const threshold = player.velocity.z <= 0 ? halfLength : -halfLength;
+        const distanceFromThreshold = Math.abs(threshold - (player.position.z - runway.z));
+        const touchdownFraction = distanceFromThreshold / runway.length;
+
+        let touchdownZone;
+        if (touchdownFraction < this.touchdownZoneStart) {
+            // Short - just past the threshold
+            touchdownZone = 100 * (touchdownFraction / this.touchdownZoneStart) * 0.5 + 50;
+        } else if (touchdownFraction <= this.touchdownZoneEnd) {
+            touchdownZone = 100;
+        } else {
+            // Long - less runway left to stop on
+            const overshoot = (touchdownFraction - this.touchdownZoneEnd) / (1 - this.touchdownZoneEnd);
+            touchdownZone = 100 * (1 - THREE.MathUtils.clamp(overshoot, 0, 1));
+        }
+
+        const score = Math.round(smoothness * 0.4 + centreline * 0.3 + touchdownZone * 0.3);
+
+        return {
+            crashed: false,
+            score: score,
+            grade: this.getGrade(score),
+            descentRate: descentRate,
+            centrelineDeviation: centrelineDeviation,
+            touchdownDistance: distanceFromThreshold,
+            smoothness: Math.round(smoothness),
+            centreline: Math.round(centreline),
+            touchdownZone: Math.round(touchdownZone)
+        };
+    }
+
+    getGrade(score) {
+        if (score >= 90) return 'A';
+        if (score >= 75) return 'B';
+        if (score >= 60) return 'C';
+        if (score >= 40) return 'D';
+        return 'F';
+    }
+
+    onTakeoff(player) {
+        this.showMessage(`Take-off - rotated at ${Math.round(player.speed * 3.6)} km/h`);
+    }
+
+    showReport(result) {
+        this.showMessage(
+            `<strong>Landing: ${result.grade} (${result.score})</strong><br>` +
+            `Smoothness: ${result.smoothness} - descent ${result.descentRate.toFixed(1)} m/s<br>` +
+            `Centreline: ${result.centreline} - ${result.centrelineDeviation.toFixed(1)} m off<br>` +
+            `Touchdown zone: ${result.touchdownZone} - ${Math.round(result.touchdownDistance)} m past threshold<br>` +
+            `Best: ${this.bestScore}`
+        );
+    }
+
+    showMessage(html) {
+        // Create the report panel on first use
+        if (!this.reportElement) {
+            const element = document.createElement('div');
+            element.id = 'landing-report';
+            element.style.position = 'absolute';
+            element.style.top = '80px';
+            element.style.left = '50%';
+            element.style.transform = 'translateX(-50%)';
+            element.style.color = 'white';
+            element.style.fontFamily = 'Arial, sans-serif';
+            element.style.fontSize = '18px';
+            element.style.textAlign = 'center';
+            element.style.textShadow = '2px 2px 4px rgba(0,0,0,0.7)';
+            element.style.backgroundColor = 'rgba(0,0,0,0.5)';
+            element.style.padding = '10px 15px';
+            element.style.borderRadius = '10px';
+            element.style.zIndex = '1000';
+            element.style.pointerEvents = 'none';
+            element.style.display = 'none';
+            document.body.appendChild(element);
+            this.reportElement = element;
+        }
+
+        this.reportElement.innerHTML = html;
+        this.reportElement.style.display = 'block';
+
+        // Hide again after a few seconds
+        clearTimeout(this.reportTimeout);
+        this.reportTimeout = setTimeout(() => {
+            this.reportElement.style.display = 'none';
+        }, 5000);
+    }
+}
@@ -0,0 +1,828 @@
+import * as THREE from 'three';
+import { WorldMap, WorldMapError, TREE_TYPES } from '../utils/WorldMap';
+import { CUSTOM_MAP, saveCustomMap } from '../data/maps';
+
+const TOOLS = [
+    { id: 'select', label: 'Select / Move' },
+    { id: 'mountain', label: 'Mountain' },
+    { id: 'lake', label: 'Lake' },
+    { id: 'tree', label: 'Tree' },
+    { id: 'runway', label: 'Runway' },
+    { id: 'spawn', label: 'Spawn Zone' },
+    { id: 'delete', label: 'Delete' }
+];
+
+const FEATURE_NAMES = {
+    mountain: 'mountain',
+    lake: 'lake',
+    tree: 'tree',
+    runway: 'runway',
+    spawn: 'spawn zone'
+};
+
+const MARKER_COLORS = {
+    mountain: 0xff9800,
+    lake: 0x03a9f4,
+    tree: 0x8bc34a,
+    runway: 0xffeb3b,
+    spawn: 0xf44336,
+    selected: 0xffffff
+};
+
+// Size of a newly placed feature
+const NEW_FEATURES = {
+    mountain: { radius: 80, height: 200 },
+    lake: { radius: 40 },
+    runway: { width: 20, length: 100 },
+    spawn: { radius: [0, 100], altitude: [30, 100] }
+};
+
+// Room each tree keeps around it - as close as the trees in a forest
+const TREE_SPACING = 5;
+
+// Map editor - an orbiting camera over the world to place, move and delete mountains, lakes, trees,
+// runways and enemy spawn zones. The map is edited as data and the world is rebuilt from it with the
+// game's own builders after every change, so what's on screen is exactly what the map file plays.
+export class LevelEditor {
+    constructor(game, controls) {
+        this.game = game;
+        this.controls = controls;
+
+        this.tool = 'select';
+        this.treeType = TREE_TYPES[0];
+        this.selected = null; // { kind, index }
+        this.drag = null; // { kind, index, start, offset } while moving a feature
+        this.pointerDown = null; // Where the last press started, to tell clicks from camera drags
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+
+        // Outlines of every feature, drawn over the terrain
+        this.markers = new THREE.Group();
+        this.markerObjects = new Map(); // "kind:index" -> marker
+        this.markerMaterials = {};
+        game.scene.add(this.markers);
+
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+
+        // Capture phase, so a press on a feature can stop the camera orbiting before the controls see it
+        const canvas = game.renderer.domElement;
+        canvas.addEventListener('pointerdown', this.handlePointerDown, true);
+        canvas.addEventListener('pointermove', this.handlePointerMove);
+        canvas.addEventListener('pointerup', this.handlePointerUp);
+        window.addEventListener('keydown', this.handleKeyDown);
+
+        this.hideGameScreens();
+        this.createPanel();
+        this.setupCamera();
+
+        // Anything the map scattered at random becomes a placed feature, so the file says exactly what's on screen
+        this.data = this.bakeMap();
+        this.commit(() => {}, `Editing ${this.data.name} - click the ground to place, drag to orbit the camera`);
+    }
+
+    hideGameScreens() {
+        for (const id of ['intro-screen', 'hud', 'radar-container', 'controls-help', 'aim-reticle']) {
+            const element = document.getElementById(id);
+            if (element) {
+                element.style.display = 'none';
+            }
+        }
+    }
+
+    // Looking down at the home runway from above the southern edge
+    setupCamera() {
+        const home = this.game.runway;
+        const radius = this.game.worldRadius;
+        this.controls.target.set(home.x, 0, home.z);
+        this.game.camera.position.set(home.x, radius * 0.5, home.z - radius * 0.6);
+        this.controls.minDistance = 20;
+        this.controls.maxDistance = radius * 2.5;
+        this.controls.maxPolarAngle = Math.PI / 2 - 0.05; // Never below the ground
+        this.controls.update();
+    }
+
+    // The map as the game built it, with every mountain, lake and tree listed where it landed
+    bakeMap() {
+        const game = this.game;
+        const data = game.map.toJSON();
+        const round = value => Math.round(value * 10) / 10;
+
+        // The hills come from the world seed, so pin it to the map
+        if (data.terrain.seed === undefined) {
+            data.terrain.seed = game.seed;
+        }
+        data.mountains = {
+            ...data.mountains,
+            count: 0,
+            list: game.mountains.map(mountain => ({
+                x: round(mountain.position.x),
+                z: round(mountain.position.z),
+                radius: round(mountain.radius),
+                height: round(mountain.height)
+            }))
+        };
+        data.lakes = {
+            ...data.lakes,
+            count: 0,
+            list: game.lakes.map(lake => ({
+                x: round(lake.position.x),
+                z: round(lake.position.z),
+                radius: round(lake.radius)
+            }))
+        };
+        data.trees = {
+            ...data.trees,
+            count: 0,
+            list: game.trees.map(tree => ({
+                x: round(tree.position.x),
+                z: round(tree.position.z),
+                type: tree.type
+            }))
+        };
+        data.forests = []; // Already planted into the tree list
+        return data;
+    }
+
+    getList(data, kind) {
+        switch (kind) {
+            case 'mountain': return data.mountains.list;
+            case 'lake': return data.lakes.list;
+            case 'tree': return data.trees.list;
+            case 'runway': return data.runways;
+            default: return data.spawnZones;
+        }
+    }
+
+    // Make a change to the map and rebuild the world from it. A change the map format rejects is undone.
+    commit(change, message) {
+        const before = JSON.stringify(this.data);
+        change(this.data);
+
+        try {
+            // A copy, so later edits can't reach the map the world was built from
+            this.game.map = new WorldMap(JSON.parse(JSON.stringify(this.data)));
+        } catch (error) {
+            this.data = JSON.parse(before);
+            this.renderProperties();
+            this.setStatus(error instanceof WorldMapError ? error.errors.join('\n') : error.message, true);
+            return false;
+        }
+
+        this.game.rebuildWorld();
+        this.updateMarkers();
+        this.renderProperties();
+        this.setStatus(message);
+        return true;
+    }
+
+    // Why a feature can't go where it is, or null if it can - the same checks the game places features with
+    checkPlacement(kind, feature, index) {
+        const game = this.game;
+        const { x, z } = feature;
+
+        const size = kind === 'runway' ? Math.hypot(feature.width, feature.length) / 2 :
+            kind === 'spawn' || kind === 'tree' ? 0 : feature.radius;
+        if (Math.hypot(x, z) + size > game.worldRadius) {
+            return `That ${FEATURE_NAMES[kind]} would reach outside the world`;
+        }
+        if (kind === 'spawn') return null; // Enemies spawn in the air, so anywhere in the world will do
+
+        // Everything else, leaving out the feature being moved. Trees make way for bigger features
+        // (see clearTrees) just as the game plants them after everything else.
+        const others = (objects, objectKind) => objectKind === kind ?
+            objects.filter((object, i) => i !== index) : objects;
+        const mountains = others(game.mountains, 'mountain');
+        const lakes = others(game.lakes, 'lake');
+        const trees = others(game.trees, 'tree');
+        const runways = others(game.runways, 'runway');
+
+        let clear;
+        if (kind === 'tree') {
+            clear = game.isPositionClear(x, z, TREE_SPACING, [...mountains, ...lakes, ...trees], { runways });
+        } else {
+            // Big features keep clear of the whole runway, not just its middle
+            const runwayAreas = runways.map(runway => ({
+                position: new THREE.Vector3(runway.x, 0, runway.z),
+                radius: Math.hypot(runway.width, runway.length) / 2
+            }));
+            clear = game.isPositionClear(x, z, size, [...mountains, ...lakes, ...runwayAreas],
+                { checkGround: false, runways });
+        }
+
+        return clear ? null : `There's no room for that ${FEATURE_NAMES[kind]} there`;
+    }
+
+    // Whether a mountain, lake or runway covers a tree - the game would never have planted it there,
+    // so the tree makes way
+    coversTree(kind, feature, tree) {
+        const dx = tree.x - feature.x;
+        const dz = tree.z - feature.z;
+        switch (kind) {
+            case 'mountain':
+                return Math.hypot(dx, dz) < feature.radius + 10;
+            case 'lake':
+                return Math.hypot(dx, dz) < feature.radius * this.game.terrain.lakeShore;
+            case 'runway':
+                return Math.abs(dx) < feature.width / 2 + 10 && Math.abs(dz) < feature.length / 2 + 10;
+            default:
+                return false; // Trees and spawn zones share the ground
+        }
+    }
+
+    // Take out the trees a feature now covers
+    clearTrees(data, kind, feature) {
+        data.trees.list = data.trees.list.filter(tree => !this.coversTree(kind, feature, tree));
+    }
+
+    // "Added a lake" plus any trees it cleared
+    describeChange(action, cleared) {
+        return cleared > 0 ? `${action}, clearing ${cleared} tree${cleared === 1 ? '' : 's'}` : action;
+    }
+
+    createFeature(kind, x, z) {
+        x = Math.round(x * 10) / 10;
+        z = Math.round(z * 10) / 10;
+        switch (kind) {
+            case 'mountain':
+                return { x, z, ...NEW_FEATURES.mountain };
+            case 'lake':
+                return { x, z, ...NEW_FEATURES.lake };
+            case 'tree':
+                return { x, z, type: this.treeType };
+            case 'runway':
+                return { x, z, ...NEW_FEATURES.runway };
+            default: {
+                // First free name of zone-1, zone-2...
+                let number = 1;
+                while (this.data.spawnZones.some(zone => zone.name === `zone-${number}`)) {
+                    number++;
+                }
+                return { name: `zone-${number}`, x, z, radius: [...NEW_FEATURES.spawn.radius], altitude: [...NEW_FEATURES.spawn.altitude] };
+            }
+        }
+    }
+
+    addFeature(kind, x, z) {
+        const feature = this.createFeature(kind, x, z);
+        const problem = this.checkPlacement(kind, feature, -1);
+        if (problem) {
+            this.setStatus(problem, true);
+            return false;
+        }
+
+        const index = this.getList(this.data, kind).length;
+        const cleared = this.data.trees.list.filter(tree => this.coversTree(kind, feature, tree)).length;
+        this.selected = { kind, index };
+        if (!this.commit(data => {
+            this.getList(data, kind).push(feature);
+            this.clearTrees(data, kind, feature);
+        }, this.describeChange(`Added a ${FEATURE_NAMES[kind]}`, cleared))) {
+            this.selected = null;
+            return false;
+        }
+        return true;
+    }
+
+    // Change a feature's position or size, if it still fits
+    updateFeature(kind, index, changes) {
+        const feature = { ...this.getList(this.data, kind)[index], ...changes };
+        const problem = this.checkPlacement(kind, feature, index);
+        if (problem) {
+            this.setStatus(problem, true);
+            this.renderProperties(); // Put the old values back in the fields
+            return false;
+        }
+
+        const cleared = this.data.trees.list.filter(tree => this.coversTree(kind, feature, tree)).length;
+        return this.commit(data => {
+            const list = this.getList(data, kind);
+            this.clearTrees(data, kind, feature);
+
+            // Waves and the boss find their spawn zone by name, so they follow it when it's renamed
+            if (kind === 'spawn' && changes.name !== undefined) {
+                for (const wave of data.waves) {
+                    if (wave.zone === list[index].name) {
+                        wave.zone = changes.name;
+                    }
+                }
+                if (data.boss && data.boss.zone === list[index].name) {
+                    data.boss.zone = changes.name;
+                }
+            }
+            list[index] = feature;
+        }, this.describeChange(`Updated the ${FEATURE_NAMES[kind]}`, cleared));
+    }
+
+    moveFeature(kind, index, dx, dz) {
+        const feature = this.getList(this.data, kind)[index];
+        return this.updateFeature(kind, index, {
+            x: Math.round((feature.x + dx) * 10) / 10,
+            z: Math.round((feature.z + dz) * 10) / 10
+        });
+    }
+
+    deleteFeature(kind, index) {
+        const removed = this.getList(this.data, kind)[index];
+        this.selected = null;
+        this.commit(data => {
+            this.getList(data, kind).splice(index, 1);
+
+            // Waves and the boss from a deleted spawn zone move to the first one left
+            if (kind === 'spawn') {
+                for (const wave of data.waves) {
+                    if (wave.zone === removed.name) {
+                        delete wave.zone;
+                    }
+                }
+                if (data.boss && data.boss.zone === removed.name) {
+                    delete data.boss.zone;
+                }
+            }
+        }, `Deleted the ${FEATURE_NAMES[kind]}`);
+    }
+
+    // The feature under a spot on the ground - small things first, so a tree on a mountain can be picked
+    findFeatureAt(x, z) {
+        const within = (feature, radius) => Math.hypot(x - feature.x, z - feature.z) <= radius;
+        const checks = [
+            ['tree', tree => within(tree, 5)],
+            ['spawn', zone => within(zone, 15)],
+            ['runway', runway => Math.abs(x - runway.x) <= runway.width / 2 && Math.abs(z - runway.z) <= runway.length / 2],
+            ['lake', lake => within(lake, lake.radius)],
+            ['mountain', mountain => within(mountain, mountain.radius)]
+        ];
+
+        for (const [kind, hit] of checks) {
+            const index = this.getList(this.data, kind).findIndex(hit);
+            if (index !== -1) {
+                return { kind, index };
+            }
+        }
+        return null;
+    }
+
+    select(kind, index) {
+        this.selected = kind ? { kind, index } : null;
+        this.updateMarkers();
+        this.renderProperties();
+    }
+
+    // Where the mouse points on the ground
+    getGroundPoint(event) {
+        const rect = this.game.renderer.domElement.getBoundingClientRect();
+        this.pointer.set(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(this.pointer, this.game.camera);
+        const hits = this.raycaster.intersectObject(this.game.terrain.mesh);
+        return hits.length > 0 ? hits[0].point : null;
+    }
+
+    handlePointerDown(event) {
+        if (event.button !== 0) return;
+        this.pointerDown = { x: event.clientX, y: event.clientY };
+        if (this.tool !== 'select') return;
+
+        // Pressing on a feature picks it up instead of orbiting the camera
+        const point = this.getGroundPoint(event);
+        const hit = point && this.findFeatureAt(point.x, point.z);
+        if (hit) {
+            this.select(hit.kind, hit.index);
+            this.drag = { ...hit, start: point.clone(), offset: new THREE.Vector3() };
+            this.controls.enabled = false;
+        }
+    }
+
+    handlePointerMove(event) {
+        if (!this.drag) return;
+
+        // Slide the outline along with the mouse - the world is rebuilt once it's dropped
+        const point = this.getGroundPoint(event);
+        if (!point) return;
+        this.drag.offset.set(point.x - this.drag.start.x, 0, point.z - this.drag.start.z);
+        const marker = this.markerObjects.get(`${this.drag.kind}:${this.drag.index}`);
+        if (marker) {
+            marker.position.copy(this.drag.offset);
+        }
+    }
+
+    handlePointerUp(event) {
+        if (this.drag) {
+            const { kind, index, offset } = this.drag;
+            this.drag = null;
+            this.controls.enabled = true;
+            if (offset.lengthSq() > 0.25) {
+                this.moveFeature(kind, index, offset.x, offset.z);
+            }
+            this.updateMarkers(); // Back where it was if the move didn't fit
+            return;
+        }
+
+        // Dragging the camera round isn't a click
+        const down = this.pointerDown;
+        this.pointerDown = null;
+        if (!down || Math.hypot(event.clientX - down.x, event.clientY - down.y) > 5) return;
+
+        const point = this.getGroundPoint(event);
+        if (!point) return;
+        this.clickGround(point.x, point.z);
+    }
+
+    clickGround(x, z) {
+        const hit = this.findFeatureAt(x, z);
+        if (this.tool === 'select') {
+            this.select(hit ? hit.kind : null, hit ? hit.index : -1);
+        } else if (this.tool === 'delete') {
+            if (hit) {
+                this.deleteFeature(hit.kind, hit.index);
+            }
+        } else {
+            this.addFeature(this.tool, x, z);
+        }
+    }
+
+    handleKeyDown(event) {
+        // Leave typing in the panel alone
+        const tag = event.target && event.target.tagName;
+        if (tag === 'INPUT' || tag === 'SELECT') return;
+
+        if ((event.key === 'Delete' || event.key === 'Backspace') && this.selected) {
+            event.preventDefault();
+            this.deleteFeature(this.selected.kind, this.selected.index);
+        } else if (event.key === 'Escape') {
+            this.select(null);
+        }
+    }
+
+    update() {
+        this.controls.update();
+    }
+
+    getMarkerMaterial(color) {
+        if (!this.markerMaterials[color]) {
+            // Drawn over everything so outlines show through hills and water
+            this.markerMaterials[color] = new THREE.LineBasicMaterial({ color: color, depthTest: false, transparent: true });
+        }
+        return this.markerMaterials[color];
+    }
+
+    // Outline following the ground
+    createCircle(x, z, radius, color, lift = 2) {
+        const points = [];
+        const segments = THREE.MathUtils.clamp(Math.round(radius), 12, 64);
+        for (let i = 0; i < segments; i++) {
+            const angle = (i / segments) * Math.PI * 2;
+            const px = x + Math.sin(angle) * radius;
+            const pz = z + Math.cos(angle) * radius;
+            points.push(new THREE.Vector3(px, this.game.getGroundHeight(px, pz) + lift, pz));
+        }
+        const line = new THREE.LineLoop(new THREE.BufferGeometry().setFromPoints(points), this.getMarkerMaterial(color));
+        line.renderOrder = 999;
+        return line;
+    }
+
+    createLine(points, color, loop = false) {
+        const geometry = new THREE.BufferGeometry().setFromPoints(points);
+        const material = this.getMarkerMaterial(color);
+        const line = loop ? new THREE.LineLoop(geometry, material) : new THREE.Line(geometry, material);
+        line.renderOrder = 999;
+        return line;
+    }
+
+    createMarker(kind, feature, color) {
+        const marker = new THREE.Group();
+        const { x, z } = feature;
+        switch (kind) {
+            case 'mountain':
+            case 'lake':
+                marker.add(this.createCircle(x, z, feature.radius, color));
+                break;
+            case 'tree':
+                marker.add(this.createCircle(x, z, 4, color));
+                break;
+            case 'runway': {
+                const halfWidth = feature.width / 2;
+                const halfLength = feature.length / 2;
+                marker.add(this.createLine([
+                    new THREE.Vector3(x - halfWidth, 0.5, z - halfLength),
+                    new THREE.Vector3(x + halfWidth, 0.5, z - halfLength),
+                    new THREE.Vector3(x + halfWidth, 0.5, z + halfLength),
+                    new THREE.Vector3(x - halfWidth, 0.5, z + halfLength)
+                ], color, true));
+                break;
+            }
+            default: {
+                // Rings where enemies can appear, and a pole up to the highest they start
+                const ground = this.game.getGroundHeight(x, z);
+                if (feature.radius[0] > 0) {
+                    marker.add(this.createCircle(x, z, feature.radius[0], color));
+                }
+                marker.add(this.createCircle(x, z, Math.max(feature.radius[1], 5), color));
+                marker.add(this.createLine([
+                    new THREE.Vector3(x, ground, z),
+                    new THREE.Vector3(x, ground + feature.altitude[1], z)
+                ], color));
+                break;
+            }
+        }
+        return marker;
+    }
+
+    updateMarkers() {
+        for (const marker of this.markers.children) {
+            marker.traverse(child => {
+                if (child.geometry) child.geometry.dispose();
+            });
+        }
+        this.markers.clear();
+        this.markerObjects.clear();
+
+        for (const kind of Object.keys(FEATURE_NAMES)) {
+            this.getList(this.data, kind).forEach((feature, index) => {
+                const selected = this.selected && this.selected.kind === kind && this.selected.index === index;
+                const marker = this.createMarker(kind, feature, selected ? MARKER_COLORS.selected : MARKER_COLORS[kind]);
+                this.markers.add(marker);
+                this.markerObjects.set(`${kind}:${index}`, marker);
+            });
+        }
+    }
+
+    createPanel() {
+        this.panel = document.createElement('div');
+        this.panel.id = 'level-editor';
+        this.panel.style.position = 'absolute';
+        this.panel.style.top = '10px';
+        this.panel.style.left = '10px';
+        this.panel.style.width = '260px';
+        this.panel.style.maxHeight = 'calc(100% - 20px)';
+        this.panel.style.overflowY = 'auto';
+        this.panel.style.padding = '12px';
+        this.panel.style.backgroundColor = 'rgba(0, 0, 0, 0.75)';
+        this.panel.style.color = 'white';
+        this.panel.style.fontFamily = 'Arial, sans-serif';
+        this.panel.style.fontSize = '14px';
+        this.panel.style.borderRadius = '8px';
+        this.panel.style.zIndex = '1000';
+
+        const title = document.createElement('h2');
+        title.textContent = 'Map Editor';
+        title.style.margin = '0 0 10px';
+        this.panel.appendChild(title);
+
+        // One button per tool, the current one highlighted
+        const tools = document.createElement('div');
+        tools.style.display = 'grid';
+        tools.style.gridTemplateColumns = '1fr 1fr';
+        tools.style.gap = '4px';
+        this.toolButtons = {};
+        for (const tool of TOOLS) {
+            const button = this.createButton(tool.label, '#555', () => this.setTool(tool.id));
+            button.style.margin = '0';
+            tools.appendChild(button);
+            this.toolButtons[tool.id] = button;
+        }
+        this.panel.appendChild(tools);
+
+        const treeLabel = document.createElement('label');
+        treeLabel.textContent = 'New trees: ';
+        treeLabel.style.display = 'block';
+        treeLabel.style.margin = '8px 0';
+        treeLabel.appendChild(this.createSelect(TREE_TYPES, this.treeType, value => {
+            this.treeType = value;
+        }));
+        this.panel.appendChild(treeLabel);
+
+        // Settings of the selected feature, or of the whole map
+        this.properties = document.createElement('div');
+        this.properties.style.borderTop = '1px solid #666';
+        this.properties.style.paddingTop = '8px';
+        this.panel.appendChild(this.properties);
+
+        this.statusElement = document.createElement('p');
+        this.statusElement.style.whiteSpace = 'pre-line';
+        this.statusElement.style.minHeight = '2.5em';
+        this.panel.appendChild(this.statusElement);
+
+        // Picking a map file to import
+        this.fileInput = document.createElement('input');
+        this.fileInput.type = 'file';
+        this.fileInput.accept = '.json,application/json';
+        this.fileInput.style.display = 'none';
+        this.fileInput.addEventListener('change', () => {
+            if (this.fileInput.files.length > 0) {
+                this.importMap(this.fileInput.files[0]);
+            }
+        });
+        this.panel.appendChild(this.fileInput);
+
+        const buttons = document.createElement('div');
+        buttons.style.display = 'grid';
+        buttons.style.gridTemplateColumns = '1fr 1fr';
+        buttons.style.gap = '4px';
+        for (const [label, color, onClick] of [
+            ['Export', '#2196F3', () => this.exportMap()],
+            ['Import', '#2196F3', () => this.fileInput.click()],
+            ['Play', '#4CAF50', () => this.playMap()],
+            ['Exit', '#f44336', () => this.game.loadWorld(this.game.seed, this.game.mapKey)]
+        ]) {
+            const button = this.createButton(label, color, onClick);
+            button.style.margin = '0';
+            buttons.appendChild(button);
+        }
+        this.panel.appendChild(buttons);
+
+        // Typing in the panel shouldn't reach the editor's shortcuts or the game
+        this.panel.addEventListener('keydown', event => event.stopPropagation());
+
+        document.body.appendChild(this.panel);
+        this.setTool(this.tool);
+    }
+
+    createButton(label, color, onClick) {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.style.padding = '6px 10px';
+        button.style.fontSize = '14px';
+        button.style.backgroundColor = color;
+        button.style.color = 'white';
+        button.style.border = 'none';
+        button.style.borderRadius = '5px';
+        button.style.cursor = 'pointer';
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    createSelect(options, value, onChange) {
+        const select = document.createElement('select');
+        for (const option of options) {
+            const element = document.createElement('option');
+            element.value = option;
+            element.textContent = option;
+            element.selected = option === value;
+            select.appendChild(element);
+        }
+        select.addEventListener('change', () => onChange(select.value));
+        return select;
+    }
+
+    // A labelled input that calls back with the new value when it's changed
+    addField(label, value, onChange, type = 'number') {
+        const row = document.createElement('label');
+        row.style.display = 'flex';
+        row.style.justifyContent = 'space-between';
+        row.style.alignItems = 'center';
+        row.style.margin = '4px 0';
+        row.textContent = label;
+
+        let input;
+        if (type === 'checkbox') {
+            input = document.createElement('input');
+            input.type = 'checkbox';
+            input.checked = value;
+            input.addEventListener('change', () => onChange(input.checked));
+        } else if (Array.isArray(type)) {
+            input = this.createSelect(type, value, onChange);
+        } else {
+            input = document.createElement('input');
+            input.type = type;
+            input.value = value;
+            input.style.width = '90px';
+            input.addEventListener('change', () => {
+                if (type !== 'number') {
+                    onChange(input.value.trim());
+                } else if (input.value !== '' && Number.isFinite(Number(input.value))) {
+                    onChange(Number(input.value));
+                } else {
+                    this.renderProperties();
+                }
+            });
+        }
+        row.appendChild(input);
+        this.properties.appendChild(row);
+    }
+
+    renderProperties() {
+        if (!this.properties) return;
+        this.properties.innerHTML = '';
+
+        const heading = document.createElement('h3');
+        heading.style.margin = '0 0 6px';
+        this.properties.appendChild(heading);
+
+        if (!this.selected) {
+            heading.textContent = 'Map';
+            const terrain = this.data.terrain;
+            const setTerrain = (key, message) => value => this.commit(data => {
+                data.terrain[key] = value;
+            }, message);
+            this.addField('Name', this.data.name, value => this.commit(data => {
+                data.name = value;
+            }, 'Renamed the map'), 'text');
+            this.addField('Hill height', terrain.hillHeight, setTerrain('hillHeight', 'Reshaped the hills'));
+            this.addField('Snow line', terrain.snowLine, setTerrain('snowLine', 'Moved the snow line'));
+            this.addField('Rivers', terrain.rivers, setTerrain('rivers', terrain.rivers ? 'Dried up the rivers' : 'Dug the rivers'), 'checkbox');
+            this.addField('Terrain seed', terrain.seed, setTerrain('seed', 'Reshaped the hills'), 'text');
+            return;
+        }
+
+        const { kind, index } = this.selected;
+        const feature = this.getList(this.data, kind)[index];
+        const set = key => value => this.updateFeature(kind, index, { [key]: value });
+        const setRange = (key, end) => value => {
+            const range = [...feature[key]];
+            range[end] = value;
+            this.updateFeature(kind, index, { [key]: range });
+        };
+
+        heading.textContent = `${FEATURE_NAMES[kind][0].toUpperCase()}${FEATURE_NAMES[kind].slice(1)} ${index + 1}`;
+        if (kind === 'spawn') {
+            this.addField('Name', feature.name, set('name'), 'text');
+        }
+        this.addField('X', feature.x, set('x'));
+        this.addField('Z', feature.z, set('z'));
+        switch (kind) {
+            case 'mountain':
+                this.addField('Radius', feature.radius, set('radius'));
+                this.addField('Height', feature.height, set('height'));
+                break;
+            case 'lake':
+                this.addField('Radius', feature.radius, set('radius'));
+                break;
+            case 'tree':
+                this.addField('Type', feature.type, set('type'), TREE_TYPES);
+                break;
+            case 'runway':
+                this.addField('Width', feature.width, set('width'));
+                this.addField('Length', feature.length, set('length'));
+                break;
+            default:
+                this.addField('Nearest', feature.radius[0], setRange('radius', 0));
+                this.addField('Farthest', feature.radius[1], setRange('radius', 1));
+                this.addField('Lowest', feature.altitude[0], setRange('altitude', 0));
+                this.addField('Highest', feature.altitude[1], setRange('altitude', 1));
+                break;
+        }
+
+        const deleteButton = this.createButton('Delete', '#f44336', () => this.deleteFeature(kind, index));
+        deleteButton.style.marginTop = '6px';
+        this.properties.appendChild(deleteButton);
+    }
+
+    setTool(tool) {
+        this.tool = tool;
+        for (const [id, button] of Object.entries(this.toolButtons)) {
+            button.style.backgroundColor = id === tool ? '#FF9800' : '#555';
+        }
+    }
+
+    setStatus(message, isError = false) {
+        if (!this.statusElement) return;
+        this.statusElement.textContent = message;
+        this.statusElement.style.color = isError ? '#ff5252' : '#cccccc';
+        if (isError) {
+            console.error(`Map editor: ${message}`);
+        }
+    }
+
+    // Download the map file
+    exportMap() {
+        const json = JSON.stringify(this.game.map.toJSON(), null, 4);
+        const fileName = this.data.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'map';
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        link.download = `${fileName}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        this.setStatus(`Exported ${link.download}`);
+    }
+
+    // Check a map file and open it in the editor - the page reloads so the world is sized to the new map
+    importMap(file) {
+        file.text().then(text => {
+            const map = WorldMap.fromJSON(text);
+            if (!saveCustomMap(map.toJSON())) {
+                throw new Error("Couldn't store the map in the browser");
+            }
+            this.game.loadWorld(this.game.seed, CUSTOM_MAP, true);
+        }).catch(error => {
+            this.setStatus(error instanceof WorldMapError ? error.message : `Couldn't read ${file.name}: ${error.message}`, true);
+        }).then(() => {
+            this.fileInput.value = ''; // So picking the same file again still counts as a change
+        });
+    }
+
+    // Fly the map - saved as the custom map, which also puts it in the intro screen's map list
+    playMap() {
+        if (!saveCustomMap(this.game.map.toJSON())) {
+            this.setStatus("Couldn't store the map in the browser", true);
+            return;
+        }
+        this.game.loadWorld(this.game.seed, CUSTOM_MAP);
+    }
+}
@@ -0,0 +1,193 @@
+import * as THREE from 'three';
+import { WEAPONS, DEFAULT_WEAPON } from '../data/weapons';
+
+// The player's forward-firing gun - limited ammo, heat that locks the gun out when it
+// overheats and spread that opens up the longer the trigger is held
+export class MachineGun {
+    constructor(game, player, config = WEAPONS[DEFAULT_WEAPON]) {
+        this.game = game;
+        this.player = player;
+        this.config = { ...config }; // Upgrades change this copy, never the shared definition
+
+        this.ammo = config.ammo;
+        this.heat = 0;
+        this.overheated = false;
+        this.spread = config.baseSpread;
+        this.fireTimer = 0;
+        this.roundsFired = 0; // Counts toward the next tracer
+        this.reloadProgress = 0;
+
+        this.bullets = [];
+
+        // Every round shares the same geometry - only tracers glow
+        this.tracerGeometry = new THREE.CylinderGeometry(0.1, 0.1, 1.8, 8);
+        this.tracerMaterial = new THREE.MeshStandardMaterial({
+            color: 0xffff00,
+            metalness: 0.6,
+            roughness: 0.3,
+            emissive: 0xffff00,
+            emissiveIntensity: 0.6
+        });
+        this.roundGeometry = new THREE.CylinderGeometry(0.05, 0.05, 0.8, 6);
+        this.roundMaterial = new THREE.MeshStandardMaterial({ color: 0x886644, metalness: 0.6, roughness: 0.5 });
+    }
+
+    get isEmpty() {
+        return this.ammo <= 0;
+    }
+
+    get canFire() {
+        return !this.overheated && !this.isEmpty;
+    }
+
+    update(delta, triggerHeld) {
+        this.fireTimer -= delta;
+
+        // The barrel is always shedding heat, firing or not
+        this.heat = Math.max(0, this.heat - this.config.coolingRate * delta);
+        if (this.overheated && this.heat <= this.config.resumeHeat) {
+            this.overheated = false;
+            console.log("Gun cooled down");
+        }
+
+        if (triggerHeld) {
+            // Carry the leftover time over so the rate of fire doesn't depend on the frame rate
+            while (this.fireTimer <= 0 && this.canFire) {
+                this.fire();
+            }
+        } else {
+            // Aim settles back down off the trigger
+            this.spread = Math.max(this.config.baseSpread, this.spread - this.config.spreadRecovery * delta);
+        }
+        this.fireTimer = Math.max(0, this.fireTimer);
+
+        this.updateBullets(delta);
+    }
+
+    fire() {
+        const config = this.config;
+
+        this.ammo--;
+        this.fireTimer += config.fireInterval;
+        this.heat = Math.min(1, this.heat + config.heatPerShot);
+        if (this.heat >= 1) {
+            this.overheated = true;
+            console.log("Gun overheated");
+        }
+
+        // Play shooting sound
+        const shootSound = this.player.shootSound;
+        if (shootSound && shootSound.isPlaying) {
+            shootSound.stop();
+        }
+        if (shootSound && shootSound.buffer) {
+            shootSound.play();
+        }
+
+        // Every shot lights up a tracer in each barrel's stream
+        this.roundsFired++;
+        const isTracer = this.roundsFired % config.tracerEvery === 0;
+        const direction = this.getSpreadDirection();
+        const right = new THREE.Vector3(1, 0, 0).applyQuaternion(this.player.quaternion);
+
+        for (let barrel = 0; barrel < config.barrels; barrel++) {
+            // Barrels sit side by side, centered on the nose
+            const barrelOffset = (barrel - (config.barrels - 1) / 2) * config.barrelSpacing;
+            const muzzlePosition = new THREE.Vector3(barrelOffset, 0, 2).applyMatrix4(this.player.mesh.matrixWorld);
+
+            for (let pellet = 0; pellet < config.pellets; pellet++) {
+                const fanAngle = (pellet - (config.pellets - 1) / 2) * config.pelletAngle;
+                const pelletDirection = direction.clone().addScaledVector(right, Math.tan(fanAngle)).normalize();
+                this.spawnBullet(muzzlePosition, pelletDirection, isTracer);
+            }
+        }
+
+        // Each shot walks the barrel a little further off the aim point
+        this.spread = Math.min(config.maxSpread, this.spread + config.spreadPerShot);
+    }
+
+    spawnBullet(position, direction, isTracer) {
+        const bullet = new THREE.Mesh(
+            isTracer ? this.tracerGeometry : this.roundGeometry,
+            isTracer ? this.tracerMaterial : this.roundMaterial
+        );
+        bullet.position.copy(position);
+        bullet.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), direction);
+        this.game.scene.add(bullet);
+
+        this.bullets.push({
+            mesh: bullet,
+            velocity: direction.clone().multiplyScalar(this.config.bulletSpeed),
+            previousPosition: position.clone(), // Start of this frame's travel, for swept hit tests
+            damage: this.config.damage,
+            age: 0,
+            isTracer
+        });
+    }
+
+    // Nose direction pushed a random amount inside the current spread cone
+    getSpreadDirection() {
+        const quaternion = this.player.quaternion;
+        const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(quaternion);
+        const right = new THREE.Vector3(1, 0, 0).applyQuaternion(quaternion);
+        const up = new THREE.Vector3(0, 1, 0).applyQuaternion(quaternion);
+
+        // Uniform over the cone's cross-section rather than bunched at the center
+        const angle = Math.random() * Math.PI * 2;
+        const offset = Math.tan(this.spread * Math.sqrt(Math.random()));
+
+        return forward
+            .addScaledVector(right, Math.cos(angle) * offset)
+            .addScaledVector(up, Math.sin(angle) * offset)
+            .normalize();
+    }
+
+    updateBullets(delta) {
+        // Rounds only go away when they hit something, leave the world or run out of time
+        for (let i = this.bullets.length - 1; i >= 0; i--) {
+            const bullet = this.bullets[i];
+            bullet.age += delta;
+            bullet.previousPosition.copy(bullet.mesh.position);
+            bullet.mesh.position.addScaledVector(bullet.velocity, delta);
+
+            const position = bullet.mesh.position;
+            const distanceFromCenter = Math.sqrt(position.x * position.x + position.z * position.z);
+            if (bullet.age > this.config.bulletLifetime ||
+                (this.game.worldRadius && distanceFromCenter > this.game.worldRadius)) {
+                this.removeBullet(i);
+            }
+        }
+    }
+
+    removeBullet(index) {
+        this.game.scene.remove(this.bullets[index].mesh);
+        this.bullets.splice(index, 1);
+    }
+
+    // Runway services refill the ammo boxes
+    reload(delta) {
+        if (this.ammo >= this.config.ammo) {
+            this.reloadProgress = 0;
+            return;
+        }
+
+        this.reloadProgress += this.config.reloadRate * delta;
+        const rounds = Math.floor(this.reloadProgress);
+        if (rounds > 0) {
+            this.reloadProgress -= rounds;
+            this.ammo = Math.min(this.config.ammo, this.ammo + rounds);
+        }
+    }
+
+    dispose() {
+        for (const bullet of this.bullets) {
+            this.game.scene.remove(bullet.mesh);
+        }
+        this.bullets = [];
+
+        this.tracerGeometry.dispose();
+        this.tracerMaterial.dispose();
+        this.roundGeometry.dispose();
+        this.roundMaterial.dispose();
+    }
+}
@@ -0,0 +1,216 @@
+import * as THREE from 'three';
+
+// Heat-seeking missile - boosts while its motor burns, steers with proportional navigation
+// inside a turn-rate limit, then coasts and falls once the fuel is gone
+export class Missile {
+    constructor(game, position, velocity, target) {
+        this.game = game;
+        this.target = target; // EnemyPlane, or null once the seeker loses it
+        this.position = position.clone();
+        this.velocity = velocity.clone();
+        this.previousPosition = position.clone();
+        this.age = 0;
+        this.alive = true;
+        this.warned = false; // Set once the target has been warned it's coming
+
+        // Motor and airframe
+        this.burnTime = 3.5; // Seconds of fuel
+        this.thrust = 45; // Acceleration while the motor burns
+        this.maxSpeed = 75;
+        this.drag = 0.35; // Fraction of speed lost per second once the motor is out
+        this.minSpeed = 15; // Below this the missile can't fly and self-destructs
+        this.lifetime = 12;
+
+        // Guidance
+        this.navigationGain = 3.5; // Proportional navigation constant
+        this.maxTurnRate = 1.1; // Radians per second - caps the steering acceleration
+        this.guidanceResponse = 5; // How quickly the fins follow the guidance command
+        this.seekerLimit = THREE.MathUtils.degToRad(45); // Target lost past this angle off the nose
+        this.beamLimit = THREE.MathUtils.degToRad(25); // Target lost flying within this of square across the line of sight
+        this.beamHoldTime = 0.5; // Seconds an evading target has to hold the beam before the seeker gives up
+        this.beamTime = 0;
+        this.steering = new THREE.Vector3(); // Current lateral acceleration
+
+        // Warhead
+        this.fuseRadius = 4;
+        this.damage = 150;
+
+        // Smoke trail
+        this.trailTimer = 0;
+        this.trailInterval = 0.04;
+
+        this.createMesh();
+    }
+
+    createMesh() {
+        this.mesh = new THREE.Group();
+
+        // Body and nose along +Y, turned to face the direction of flight every frame
+        const body = new THREE.Mesh(
+            new THREE.CylinderGeometry(0.15, 0.15, 1.6, 8),
+            new THREE.MeshStandardMaterial({ color: 0xeeeeee, metalness: 0.4, roughness: 0.5 })
+        );
+        this.mesh.add(body);
+
+        const nose = new THREE.Mesh(
+            new THREE.ConeGeometry(0.15, 0.4, 8),
+            new THREE.MeshStandardMaterial({ color: 0xcc2222 })
+        );
+        nose.position.y = 1.0;
+        this.mesh.add(nose);
+
+        // Tail fins
+        const finGeometry = new THREE.BoxGeometry(0.6, 0.3, 0.04);
+        const finMaterial = new THREE.MeshStandardMaterial({ color: 0x888888 });
+        for (let i = 0; i < 2; i++) {
+            const fin = new THREE.Mesh(finGeometry, finMaterial);
+            fin.position.y = -0.65;
+            fin.rotation.y = i * Math.PI / 2;
+            this.mesh.add(fin);
+        }
+
+        // Motor flame - hidden when the fuel runs out
+        this.flame = new THREE.Mesh(
+            new THREE.ConeGeometry(0.12, 0.6, 8),
+            new THREE.MeshBasicMaterial({ color: 0xffaa33 })
+        );
+        this.flame.position.y = -1.1;
+        this.flame.rotation.x = Math.PI;
+        this.mesh.add(this.flame);
+
+        this.mesh.position.copy(this.position);
+        this.orientMesh();
+        this.game.scene.add(this.mesh);
+    }
+
+    orientMesh() {
+        if (this.velocity.lengthSq() < 0.0001) return;
+        this.mesh.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), this.velocity.clone().normalize());
+    }
+
+    get motorBurning() {
+        return this.age < this.burnTime;
+    }
+
+    // Advance the missile - returns a smoke puff position when one is due, for the launcher to draw
+    update(delta) {
+        this.age += delta;
+        this.previousPosition.copy(this.position);
+
+        // The target may have been shot down by something else
+        if (this.target && (this.target.health <= 0 || !this.game.enemyGrid.has(this.target))) {
+            this.target = null;
+        }
+
+        const speed = this.velocity.length();
+        const direction = this.velocity.clone().divideScalar(Math.max(speed, 0.001));
+
+        // Guidance - pure proportional navigation: accelerate across the line of sight
+        // in proportion to how fast the line of sight is rotating
+        const command = new THREE.Vector3();
+        if (this.target) {
+            const lineOfSight = new THREE.Vector3().subVectors(this.target.position, this.position);
+            const range = lineOfSight.length();
+
+            const targetVelocity = this.target.velocity || new THREE.Vector3();
+
+            if (direction.angleTo(lineOfSight) > this.seekerLimit) {
+                // Target slipped out of the seeker's view - it won't find it again
+                this.target = null;
+            } else if (this.isBeaming(lineOfSight, targetVelocity, delta)) {
+                // Target turned side-on and hid its exhaust - the seeker can't pick it out any more
+                this.target = null;
+            } else if (range > 0.001) {
+                const relativeVelocity = new THREE.Vector3().subVectors(targetVelocity, this.velocity);
+                const lineOfSightRate = new THREE.Vector3().crossVectors(lineOfSight, relativeVelocity)
+                    .divideScalar(range * range);
+                command.crossVectors(lineOfSightRate, this.velocity).multiplyScalar(this.navigationGain);
+            }
+        }
+
+        // Fins can only turn the missile so fast, and they need airspeed to work
+        const maxAcceleration = this.maxTurnRate * speed;
+        if (command.length() > maxAcceleration) {
+            command.setLength(maxAcceleration);
+        }
+        this.steering.lerp(command, Math.min(1, this.guidanceResponse * delta));
+        this.velocity.addScaledVector(this.steering, delta);
+
+        // Keep the steering from changing speed - only thrust and drag do that
+        const turnedSpeed = this.velocity.length();
+        if (turnedSpeed > 0) {
+            this.velocity.multiplyScalar(speed / turnedSpeed);
+        }
+
+        // Motor, then drag and gravity once it burns out
+        if (this.motorBurning) {
+            this.velocity.addScaledVector(direction, this.thrust * delta);
+            if (this.velocity.length() > this.maxSpeed) {
+                this.velocity.setLength(this.maxSpeed);
+            }
+        } else {
+            this.flame.visible = false;
+            this.velocity.multiplyScalar(Math.max(0, 1 - this.drag * delta));
+            this.velocity.y -= 9.81 * 0.7 * delta;
+        }
+
+        this.position.addScaledVector(this.velocity, delta);
+        this.mesh.position.copy(this.position);
+        this.orientMesh();
+
+        // Out of energy, out of time, into the ground or off the map
+        const distanceFromCenter = Math.sqrt(this.position.x * this.position.x + this.position.z * this.position.z);
+        if ((!this.motorBurning && this.velocity.length() < this.minSpeed) ||
+            this.age > this.lifetime ||
+            distanceFromCenter > this.game.worldRadius) {
+            this.alive = false;
+        } else if (this.position.y <= this.game.getGroundHeight(this.position.x, this.position.z)) {
+            this.game.createExplosion(this.position.x, this.position.y, this.position.z, 0.5);
+            this.alive = false;
+        }
+
+        this.trailTimer += delta;
+        if (this.motorBurning && this.trailTimer >= this.trailInterval) {
+            this.trailTimer = 0;
+            return this.position.clone();
+        }
+        return null;
+    }
+
+    // A target flying square across the line of sight shows the seeker its side, not its hot exhaust or intake.
+    // Only a pilot deliberately dodging holds it there long enough to matter - a plane just crossing
+    // the missile's path swings through the beam and stays locked.
+    isBeaming(lineOfSight, targetVelocity, delta) {
+        const sideOn = targetVelocity.lengthSq() >= 1 &&
+            Math.abs(targetVelocity.angleTo(lineOfSight) - Math.PI / 2) < this.beamLimit;
+        if (sideOn && this.target.isEvading()) {
+            this.beamTime += delta;
+        } else {
+            this.beamTime = 0;
+        }
+        return this.beamTime > this.beamHoldTime;
+    }
+
+    // Closest approach to the target during this frame's flight - fast missiles can skip straight past it
+    checkProximityFuse() {
+        if (!this.alive || !this.target) return false;
+
+        const segment = new THREE.Vector3().subVectors(this.position, this.previousPosition);
+        const toTarget = new THREE.Vector3().subVectors(this.target.position, this.previousPosition);
+        const lengthSq = segment.lengthSq();
+        const t = lengthSq > 0 ? THREE.MathUtils.clamp(toTarget.dot(segment) / lengthSq, 0, 1) : 0;
+        const closest = this.previousPosition.clone().addScaledVector(segment, t);
+
+        return closest.distanceTo(this.target.position) < this.fuseRadius;
+    }
+
+    dispose() {
+        this.game.scene.remove(this.mesh);
+        this.mesh.traverse(child => {
+            if (child.isMesh) {
+                child.geometry.dispose();
+                child.material.dispose();
+            }
+        });
+    }
+}
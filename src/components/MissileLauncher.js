@@ -0,0 +1,298 @@
+import * as THREE from 'three';
+import { Missile } from './Missile';
+
+// Secondary weapon - radar lock-on and homing missiles. Holding an enemy inside the lock cone
+// for the lock time locks it; only a locked target can be fired on.
+export class MissileLauncher {
+    constructor(game, player) {
+        this.game = game;
+        this.player = player;
+
+        // Ammo - the ground crew loads one missile at a time at the runway
+        this.maxMissiles = 4;
+        this.missiles = this.maxMissiles;
+        this.rearmTime = 2; // Seconds per missile
+        this.rearmTimer = 0;
+        this.launchCooldown = 0.8;
+        this.cooldownTimer = 0;
+
+        // Lock-on
+        this.lockRange = 350;
+        this.lockCone = THREE.MathUtils.degToRad(10); // Target must stay this close to the nose to lock
+        this.trackCone = THREE.MathUtils.degToRad(20); // A lock already made holds out to this angle
+        this.lockTime = 1.5; // Seconds to lock
+        this.lockCandidate = null;
+        this.lockProgress = 0;
+        this.lockedTarget = null;
+
+        // Enemies get a warning when a missile closes in
+        this.warningRange = 90;
+
+        this.activeMissiles = [];
+        this.smokePuffs = [];
+        this.smokeGeometry = new THREE.SphereGeometry(0.4, 6, 6);
+
+        this.createLockTone();
+        this.createLockBox();
+    }
+
+    // Growl while acquiring, steady tone once locked - synthesized like the stall horn
+    createLockTone() {
+        try {
+            const context = this.player.audioListener.context;
+            this.toneOscillator = context.createOscillator();
+            this.toneOscillator.type = 'sine';
+            this.toneOscillator.frequency.value = 900;
+            this.toneGain = context.createGain();
+            this.toneGain.gain.value = 0;
+            this.toneOscillator.connect(this.toneGain);
+            this.toneGain.connect(this.player.audioListener.getInput());
+            this.toneOscillator.start();
+        } catch (error) {
+            console.error("Error creating lock tone:", error);
+        }
+    }
+
+    setTone(frequency, volume) {
+        if (!this.toneGain) return;
+        const context = this.player.audioListener.context;
+        this.toneOscillator.frequency.setTargetAtTime(frequency, context.currentTime, 0.01);
+        this.toneGain.gain.setTargetAtTime(volume, context.currentTime, 0.01);
+    }
+
+    silence() {
+        this.setTone(900, 0);
+        this.lockBox.style.display = 'none';
+    }
+
+    // Box drawn over the target - closes in while acquiring and turns red when locked
+    createLockBox() {
+        this.lockBox = document.createElement('div');
+        this.lockBox.id = 'lock-box';
+        this.lockBox.style.position = 'absolute';
+        this.lockBox.style.border = '2px solid #ffeb3b';
+        this.lockBox.style.pointerEvents = 'none';
+        this.lockBox.style.zIndex = '40';
+        this.lockBox.style.display = 'none';
+        this.lockBox.style.color = '#f44336';
+        this.lockBox.style.fontFamily = 'Arial, sans-serif';
+        this.lockBox.style.fontSize = '12px';
+        this.lockBox.style.fontWeight = 'bold';
+        this.lockBox.style.textAlign = 'center';
+        document.body.appendChild(this.lockBox);
+    }
+
+    get isLocked() {
+        return this.lockedTarget !== null;
+    }
+
+    update(delta, fireRequested) {
+        this.cooldownTimer = Math.max(0, this.cooldownTimer - delta);
+
+        this.updateLock(delta);
+        if (fireRequested) {
+            this.fire();
+        }
+        this.updateMissiles(delta);
+        this.updateSmoke(delta);
+        this.updateLockDisplay();
+    }
+
+    // Angle between the nose and an enemy, or Infinity if it's out of range or behind the terrain
+    getTargetAngle(enemy) {
+        if (!enemy || enemy.health <= 0) return Infinity;
+
+        const toEnemy = new THREE.Vector3().subVectors(enemy.position, this.player.position);
+        const distance = toEnemy.length();
+        if (distance > this.lockRange || distance < 1) return Infinity;
+
+        // The radar can't see through hills
+        if (this.game.terrain && !this.game.terrain.hasLineOfSight(this.player.position, enemy.position)) {
+            return Infinity;
+        }
+
+        return this.player.getForwardDirection().angleTo(toEnemy);
+    }
+
+    updateLock(delta) {
+        // No radar on the ground
+        if (this.player.isGrounded) {
+            this.lockCandidate = null;
+            this.lockedTarget = null;
+            this.lockProgress = 0;
+            return;
+        }
+
+        // Hold an existing lock while the target stays in the wider tracking cone
+        if (this.lockedTarget) {
+            if (this.game.enemyGrid.has(this.lockedTarget) &&
+                this.getTargetAngle(this.lockedTarget) < this.trackCone) {
+                return;
+            }
+            console.log("Missile lock lost");
+            this.lockedTarget = null;
+            this.lockCandidate = null;
+            this.lockProgress = 0;
+        }
+
+        // The enemy closest to the nose is the one the seeker looks at
+        let bestEnemy = null;
+        let bestAngle = this.lockCone;
+        const position = this.player.position;
+        for (const enemy of this.game.enemyGrid.query(position.x, position.z, this.lockRange)) {
+            const angle = this.getTargetAngle(enemy);
+            if (angle < bestAngle) {
+                bestAngle = angle;
+                bestEnemy = enemy;
+            }
+        }
+
+        if (bestEnemy !== this.lockCandidate) {
+            this.lockCandidate = bestEnemy;
+            this.lockProgress = 0;
+        }
+        if (!this.lockCandidate) return;
+
+        this.lockProgress += delta;
+        if (this.lockProgress >= this.lockTime) {
+            this.lockedTarget = this.lockCandidate;
+            console.log("Missile lock");
+        }
+    }
+
+    fire() {
+        if (!this.isLocked || this.missiles <= 0 || this.cooldownTimer > 0) return;
+
+        // Drop clear of the plane and light the motor at the plane's own speed plus a kick
+        const forward = this.player.getForwardDirection();
+        const launchPosition = this.player.position.clone()
+            .addScaledVector(this.player.getUpDirection(), -0.8)
+            .addScaledVector(forward, 1.5);
+        const launchVelocity = this.player.velocity.clone().addScaledVector(forward, 10);
+
+        this.activeMissiles.push(new Missile(this.game, launchPosition, launchVelocity, this.lockedTarget));
+        this.missiles--;
+        this.cooldownTimer = this.launchCooldown;
+        console.log(`Missile away - ${this.missiles} left`);
+    }
+
+    updateMissiles(delta) {
+        for (let i = this.activeMissiles.length - 1; i >= 0; i--) {
+            const missile = this.activeMissiles[i];
+            const smokePosition = missile.update(delta);
+            if (smokePosition) {
+                this.addSmokePuff(smokePosition);
+            }
+
+            const target = missile.target;
+            if (target) {
+                const distance = missile.position.distanceTo(target.position);
+
+                // The target hears the missile coming and may break hard to dodge it
+                if (!missile.warned && distance < this.warningRange) {
+                    missile.warned = true;
+                    target.warnOfMissile(missile.position);
+                }
+
+                if (missile.checkProximityFuse()) {
+                    this.game.createExplosion(missile.position.x, missile.position.y, missile.position.z, 1.5);
+                    this.game.playExplosionSound(missile.position);
+                    target.damage(missile.damage);
+                    missile.alive = false;
+                }
+            }
+
+            if (!missile.alive) {
+                missile.dispose();
+                this.activeMissiles.splice(i, 1);
+            }
+        }
+    }
+
+    addSmokePuff(position) {
+        const material = new THREE.MeshBasicMaterial({ color: 0xdddddd, transparent: true, opacity: 0.6 });
+        const puff = new THREE.Mesh(this.smokeGeometry, material);
+        puff.position.copy(position);
+        this.game.scene.add(puff);
+        this.smokePuffs.push({ mesh: puff, age: 0, lifetime: 1.2 });
+    }
+
+    updateSmoke(delta) {
+        for (let i = this.smokePuffs.length - 1; i >= 0; i--) {
+            const puff = this.smokePuffs[i];
+            puff.age += delta;
+
+            // Spread out and fade away
+            const progress = puff.age / puff.lifetime;
+            puff.mesh.scale.setScalar(1 + progress * 2);
+            puff.mesh.material.opacity = 0.6 * (1 - progress);
+
+            if (puff.age >= puff.lifetime) {
+                this.game.scene.remove(puff.mesh);
+                puff.mesh.material.dispose();
+                this.smokePuffs.splice(i, 1);
+            }
+        }
+    }
+
+    updateLockDisplay() {
+        const target = this.lockedTarget || this.lockCandidate;
+        if (!target || this.game.paused || this.game.gameOver) {
+            this.silence();
+            return;
+        }
+
+        if (this.isLocked) {
+            this.setTone(1400, 0.05);
+        } else {
+            // Pulsing growl while acquiring
+            const pulse = Math.floor(this.lockProgress * 8) % 2 === 0;
+            this.setTone(900, pulse ? 0.04 : 0);
+        }
+
+        // Box closes in on the target as the lock builds
+        const progress = this.isLocked ? 1 : this.lockProgress / this.lockTime;
+        const size = Math.round(80 - progress * 40);
+        this.lockBox.style.width = `${size}px`;
+        this.lockBox.style.height = `${size}px`;
+        this.lockBox.style.marginLeft = `${-size / 2}px`;
+        this.lockBox.style.marginTop = `${-size / 2}px`;
+        this.lockBox.style.borderColor = this.isLocked ? '#f44336' : '#ffeb3b';
+        this.lockBox.textContent = this.isLocked ? 'LOCK' : '';
+        this.game.placeOnScreen(this.lockBox, target.position);
+    }
+
+    // Runway services load missiles one at a time
+    rearm(delta) {
+        if (this.missiles >= this.maxMissiles) {
+            this.rearmTimer = 0;
+            return;
+        }
+
+        this.rearmTimer += delta;
+        if (this.rearmTimer >= this.rearmTime) {
+            this.rearmTimer = 0;
+            this.missiles++;
+        }
+    }
+
+    dispose() {
+        for (const missile of this.activeMissiles) {
+            missile.dispose();
+        }
+        this.activeMissiles = [];
+        for (const puff of this.smokePuffs) {
+            this.game.scene.remove(puff.mesh);
+            puff.mesh.material.dispose();
+        }
+        this.smokePuffs = [];
+        this.smokeGeometry.dispose();
+
+        if (this.toneOscillator) {
+            this.toneOscillator.stop();
+        }
+        if (this.lockBox.parentNode) {
+            this.lockBox.parentNode.removeChild(this.lockBox);
+        }
+    }
+}
@@ -0,0 +1,72 @@
+import * as THREE from 'three';
+import { UPGRADES } from '../data/upgrades';
+
+// Floating power-up crate left behind by a destroyed enemy - fly through it to collect the upgrade
+export class Pickup {
+    constructor(game, position, upgradeId) {
+        this.game = game;
+        this.upgradeId = upgradeId;
+        this.definition = UPGRADES[upgradeId];
+        this.position = position.clone();
+        this.age = 0;
+        this.lifetime = 30; // Seconds before it disappears
+        this.collectRadius = 6;
+        this.spinRate = 1.5;
+
+        this.createMesh();
+    }
+
+    createMesh() {
+        this.mesh = new THREE.Group();
+
+        // Glowing gem in the upgrade's color inside a wireframe cage
+        const gem = new THREE.Mesh(
+            new THREE.OctahedronGeometry(1.5),
+            new THREE.MeshStandardMaterial({
+                color: this.definition.color,
+                emissive: this.definition.color,
+                emissiveIntensity: 0.6
+            })
+        );
+        this.mesh.add(gem);
+
+        const cage = new THREE.Mesh(
+            new THREE.BoxGeometry(3, 3, 3),
+            new THREE.MeshBasicMaterial({ color: 0xffffff, wireframe: true })
+        );
+        this.mesh.add(cage);
+        this.cage = cage;
+
+        this.mesh.position.copy(this.position);
+        this.game.scene.add(this.mesh);
+    }
+
+    // Spin and bob in place - returns false once it has timed out
+    update(delta) {
+        this.age += delta;
+
+        this.mesh.rotation.y += this.spinRate * delta;
+        this.cage.rotation.x += this.spinRate * 0.5 * delta;
+        this.mesh.position.y = this.position.y + Math.sin(this.age * 2) * 0.5;
+
+        // Blink during the last few seconds
+        const timeLeft = this.lifetime - this.age;
+        this.mesh.visible = timeLeft > 5 || Math.floor(timeLeft * 4) % 2 === 0;
+
+        return timeLeft > 0;
+    }
+
+    isTouching(position) {
+        return this.mesh.position.distanceTo(position) < this.collectRadius;
+    }
+
+    dispose() {
+        this.game.scene.remove(this.mesh);
+        this.mesh.traverse(child => {
+            if (child.isMesh) {
+                child.geometry.dispose();
+                child.material.dispose();
+            }
+        });
+    }
+}
@@ -1,61 +1,150 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader';
 import * as CANNON from 'cannon-es';
+import { AIRCRAFT_PROFILES, DEFAULT_AIRCRAFT } from '../data/aircraftProfiles';
+import { InputManager } from '../input/InputManager';
+import { MissileLauncher } from './MissileLauncher';
+import { MachineGun } from './MachineGun';
+import { UpgradeManager } from './UpgradeManager';
+
+// Progressive damage states, checked from most to least severe
+const DAMAGE_STATES = [
+    { name: 'critical', maxHealth: 0.25, controlAuthority: 0.55, sputterChance: 0.6, smokeRate: 12, smokeColor: 0x222222 },
+    { name: 'heavy', maxHealth: 0.5, controlAuthority: 0.75, sputterChance: 0.25, smokeRate: 7, smokeColor: 0x555555 },
+    { name: 'light', maxHealth: 0.75, controlAuthority: 0.9, sputterChance: 0, smokeRate: 3, smokeColor: 0x999999 },
+    { name: 'healthy', maxHealth: 1, controlAuthority: 1, sputterChance: 0, smokeRate: 0, smokeColor: 0xffffff }
+];
+
+// Game over messages for each damage source
+const DESTRUCTION_MESSAGES = {
+    enemyFire: 'Your plane was shot down!',
+    collision: 'You collided with an enemy plane!',
+    landing: 'Your plane broke apart on a hard landing!'
+};
+
+// Flight model presets - control laws layered on top of the same aerodynamics.
+// Attitude limits are in radians, null means unlimited.
+const FLIGHT_PRESETS = {
+    arcade: {
+        label: 'Arcade',
+        stabilityAssist: 1.0, // Levels wings and flight path when the stick is released
+        coordinatedTurns: true, // Banking swings the nose around without pulling back
+        spinProtection: true, // A stall drops the nose but never develops into a spin
+        maxPitch: Math.PI / 6,
+        maxBank: Math.PI / 3,
+        cameraFollowsAttitude: false
+    },
+    assisted: {
+        label: 'Assisted',
+        stabilityAssist: 0.4,
+        coordinatedTurns: true,
+        spinProtection: false,
+        maxPitch: null,
+        maxBank: null,
+        cameraFollowsAttitude: true
+    },
+    simulation: {
+        label: 'Simulation',
+        stabilityAssist: 0,
+        coordinatedTurns: false,
+        spinProtection: false,
+        maxPitch: null,
+        maxBank: null,
+        cameraFollowsAttitude: true
+    }
+};
+const FLIGHT_PRESET_ORDER = ['arcade', 'assisted', 'simulation'];
 
 export class Player {
-    constructor(game) {
+    constructor(game, aircraft = DEFAULT_AIRCRAFT) {
         console.log("Creating player instance");
         this.game = game;
         this.position = new THREE.Vector3(0, 1.0, 0);
-        this.rotation = new THREE.Euler(0, 0, 0);
+        this.quaternion = new THREE.Quaternion(); // Attitude - forward is +Z, up is +Y, left wing is +X
+        this.angularVelocity = new THREE.Vector3(0, 0, 0); // Body-axis rates - pitch about X, yaw about Y, roll about Z
         this.speed = 0;
-        this.maxSpeed = 100 / 3.6; // Increased from 78 km/h to 100 km/h
-        this.minSpeed = 5;
         this.throttle = 0;
         this.isGrounded = true;
         
-        // Flying physics
+        // Take-off and landing
+        this.groundClearance = 1.0; // Height of the plane's origin when sitting on its wheels
+        this.crashReason = null; // Set when a touchdown ends in a crash
+        
+        // Flying physics - forces are accelerations in units per second squared
         this.velocity = new THREE.Vector3(0, 0, 0);
         this.acceleration = new THREE.Vector3(0, 0, 0);
-        this.gravity = new THREE.Vector3(0, -9.81, 0);
-        this.drag = 0.002;
-        this.lift = 1.2;
-        this.thrustPower = 100; // Increased from 78 to 100
-        
-        // Control sensitivity
-        this.pitchRate = 1.0;
-        this.rollRate = 1.0;
-        this.yawRate = 0.3;
-        
-        // Auto-stabilization
-        this.stabilizationRate = 0.95;
-        
-        // Rotation constraints
-        this.maxPitch = Math.PI / 6;  // 30 degrees
-        this.maxRoll = Math.PI / 2;   // 90 degrees
-        
-        // Weapon properties
-        this.bullets = [];
-        this.bulletSpeed = 80; // Increased bullet speed from 60 to 80
-        this.bulletCooldown = 0.1; // Reduced from 0.2 to 0.1 for faster fire rate
-        this.lastShotTime = 0;
-        
-        // Create controls
-        this.controls = {
-            throttle: false,
-            brake: false,
-            left: false,
-            right: false,
-            up: false,
-            down: false,
-            shoot: false
-        };
-        
-        // Set up event listeners
-        this.handleKeyDown = this.handleKeyDown.bind(this);
-        this.handleKeyUp = this.handleKeyUp.bind(this);
-        window.addEventListener('keydown', this.handleKeyDown);
-        window.addEventListener('keyup', this.handleKeyUp);
+        this.gravity = new THREE.Vector3(0, -9.81 * 0.7, 0); // Reduced gravity
+        this.sideForce = 0.02; // Fuselage resistance to sideslip
+        this.angleOfAttack = 0;
+        this.sideslip = 0;
+        
+        // Speeds, lift, drag, thrust and control rates come from the aircraft profile
+        this.applyAircraftProfile(AIRCRAFT_PROFILES[aircraft] || AIRCRAFT_PROFILES[DEFAULT_AIRCRAFT]);
+        
+        // Stall and spin
+        this.isStalled = false;
+        this.isSpinning = false;
+        this.stallWarning = false; // Horn sounds when close to or past the stall
+        this.stallWarningMargin = 0.85; // Fraction of the critical angle where the horn starts
+        this.stallRollDirection = 1; // Which wing drops in a stall
+        this.spinDirection = 1; // 1 spins to the left, -1 to the right
+        this.spinEntrySideslip = 0.12; // Sideslip in a stall that starts autorotation
+        this.spinPitch = THREE.MathUtils.degToRad(55); // Nose-down attitude in a developed spin
+        this.spinRecovery = 0; // Progress toward breaking the spin, 0 to 1
+        this.spinCooldown = 0; // Time after a recovery before the plane can spin again
+        
+        this.controlResponse = 6; // How quickly the body rates follow the stick
+        this.groundSteerRate = 0.8; // Nosewheel steering while taxiing
+        this.maxRotationPitch = THREE.MathUtils.degToRad(15); // Nose-up limit while the wheels are down
+        
+        // Mouse-aim autopilot - flies toward controls.aimDirection whenever it is set
+        this.autopilotEngaged = false;
+        this.autopilotMaxBank = THREE.MathUtils.degToRad(70);
+        this.autopilotBankGain = 2.0; // Bank angle per radian of heading error
+        this.autopilotRollGain = 2.5;
+        this.autopilotPitchGain = 3.0;
+        this.autopilotYawGain = 1.5;
+        
+        // Natural stability - the airframe weathervanes into the airflow
+        this.pitchStability = 1.5;
+        this.yawStability = 2.0;
+        
+        // Flight model preset
+        this.flightPresetName = 'arcade';
+        this.flightPreset = FLIGHT_PRESETS[this.flightPresetName];
+        
+        // Health and damage
+        this.maxHealth = 100;
+        this.health = this.maxHealth;
+        this.isDestroyed = false;
+        this.lastDamageSource = null;
+        this.damageMultiplier = 1; // Upgrades like the shield soak up damage
+        this.damageState = DAMAGE_STATES[DAMAGE_STATES.length - 1];
+        this.controlAuthority = 1.0; // Multiplier on control rates, reduced as the plane gets damaged
+        this.collisionCooldown = 0; // Grace period after a mid-air contact
+        this.hardLandingSpeed = 4; // Descent speed above which a touchdown damages the plane
+        this.hardLandingDamage = 8; // Damage per unit of descent speed above the threshold
+        
+        // Fuel and engine
+        this.maxFuel = 100;
+        this.fuel = this.maxFuel;
+        this.fuelBurnRate = 0.8; // Fuel used per second at full throttle
+        this.engineRunning = true;
+        
+        // Runway services - refuel and repair while taxiing slowly on the runway
+        this.isBeingServiced = false;
+        this.serviceMaxSpeed = 12; // Must be slower than this to be serviced
+        this.refuelRate = 15; // Fuel per second
+        this.repairRate = 8; // Health per second
+        
+        // Damage effects
+        this.smokeParticles = [];
+        this.smokeTimer = 0;
+        this.sputterTimer = 0;
+        this.isSputtering = false;
+        
+        // Analog controls - filled in each frame by the game's input manager
+        this.controls = InputManager.createControlState();
         
         // Create the plane mesh
         this.createMesh();
@@ -63,6 +152,11 @@ export class Player {
         
         // Load sounds
         this.loadSounds();
+        
+        // Weapons - the gun plays the shooting sound, the missile lock tone needs the audio listener
+        this.gun = new MachineGun(game, this);
+        this.upgrades = new UpgradeManager(game, this);
+        this.missileLauncher = new MissileLauncher(game, this);
     }
     
     // Add sound loading function
@@ -94,6 +188,27 @@ export class Player {
             this.shootSound.setLoop(false);
             this.shootSound.setVolume(0.3);
         });
+        
+        // Stall warning horn - a synthesized tone that stays silent until needed
+        try {
+            const context = this.audioListener.context;
+            this.stallHornOscillator = context.createOscillator();
+            this.stallHornOscillator.type = 'square';
+            this.stallHornOscillator.frequency.value = 420;
+            this.stallHornGain = context.createGain();
+            this.stallHornGain.gain.value = 0;
+            this.stallHornOscillator.connect(this.stallHornGain);
+            this.stallHornGain.connect(this.audioListener.getInput());
+            this.stallHornOscillator.start();
+        } catch (error) {
+            console.error("Error creating stall horn:", error);
+        }
+    }
+    
+    setStallHorn(on) {
+        if (!this.stallHornGain) return;
+        const context = this.audioListener.context;
+        this.stallHornGain.gain.setTargetAtTime(on ? 0.08 : 0, context.currentTime, 0.05);
     }
     
     createMesh() {
@@ -175,214 +290,554 @@ export class Player {
         
         // Position the plane
         this.mesh.position.copy(this.position);
-        this.mesh.rotation.copy(this.rotation);
+        this.mesh.quaternion.copy(this.quaternion);
         
         // Add to scene
         this.game.scene.add(this.mesh);
         console.log("Player mesh added to scene");
     }
     
-    // Simple control handling
-    handleKeyDown(event) {
-        switch(event.key) {
-            case 'w': this.controls.throttle = true; break;
-            case 's': this.controls.brake = true; break;
-            case 'a': 
-            case 'ArrowLeft': this.controls.left = true; break;
-            case 'd':
-            case 'ArrowRight': this.controls.right = true; break;
-            case 'ArrowUp': this.controls.up = true; break;
-            case 'ArrowDown': this.controls.down = true; break;
-            case ' ': this.controls.shoot = true; break;
-        }
-    }
-    
-    handleKeyUp(event) {
-        switch(event.key) {
-            case 'w': this.controls.throttle = false; break;
-            case 's': this.controls.brake = false; break;
-            case 'a':
-            case 'ArrowLeft': this.controls.left = false; break;
-            case 'd':
-            case 'ArrowRight': this.controls.right = false; break;
-            case 'ArrowUp': this.controls.up = false; break;
-            case 'ArrowDown': this.controls.down = false; break;
-            case ' ': this.controls.shoot = false; break;
-        }
-    }
-    
     update(delta) {
         // Reset acceleration
         this.acceleration.set(0, 0, 0);
         
-        // Handle throttle control - no fuel dependency
-        if (this.controls.throttle) {
-            // Always allow throttle to increase
-            this.throttle = Math.min(1, this.throttle + delta * 2.0);
-        } else if (this.controls.brake) {
-            // Braking always works
-            this.throttle = Math.max(0, this.throttle - delta * 2.0);
-        }
-        
-        // Calculate forward direction
-        const forward = new THREE.Vector3(0, 0, 1);
-        forward.applyAxisAngle(new THREE.Vector3(0, 1, 0), this.rotation.y);
-        
-        // Calculate pitch-adjusted forward direction
-        const pitchAxis = new THREE.Vector3(1, 0, 0).applyAxisAngle(new THREE.Vector3(0, 1, 0), this.rotation.y);
-        forward.applyAxisAngle(pitchAxis, this.rotation.x);
-        forward.normalize();
-        
-        // Add lift based on current pitch and throttle
-        if (this.throttle > 0.1) {
-            // Base lift to counteract gravity when flying level
-            const baseLift = new THREE.Vector3(0, 1, 0).multiplyScalar(9.81 * 0.7 * delta); // Matches reduced gravity
-            this.acceleration.add(baseLift);
-            
-            // Additional lift from pitch
-            const pitchEffect = -this.rotation.x * 3.0; // Negative because pitch up is negative in our system
-            const pitchLift = new THREE.Vector3(0, pitchEffect * this.throttle * 20 * delta, 0);
-            this.acceleration.add(pitchLift);
+        // One-shot actions
+        if (this.controls.actions.includes('flightModel')) {
+            this.cycleFlightPreset();
         }
         
-        // Add forward thrust
-        const thrustForce = forward.clone().multiplyScalar(this.throttle * this.thrustPower * delta);
-        this.acceleration.add(thrustForce);
+        // Handle throttle control - a slider sets the lever position, keys and triggers move it
+        let throttleChange = (this.controls.throttleUp - this.controls.throttleDown) * delta * 2.0;
+        if (this.controls.throttleTarget !== null) {
+            const maxChange = delta * 2.0;
+            throttleChange = THREE.MathUtils.clamp(this.controls.throttleTarget - this.throttle, -maxChange, maxChange);
+        }
+        this.throttle = THREE.MathUtils.clamp(this.throttle + throttleChange, 0, 1);
         
-        // Apply reduced gravity
-        const gravityForce = this.gravity.clone().multiplyScalar(delta * 0.7); // Reduced gravity
-        this.acceleration.add(gravityForce);
+        // Burn fuel and flame out when the tank runs dry
+        this.updateFuel(delta);
         
-        // Apply minimal drag
-        const dragForce = this.velocity.clone().normalize().multiplyScalar(-this.drag * this.velocity.lengthSq());
-        this.acceleration.add(dragForce);
+        // A dead engine produces no thrust no matter where the throttle is
+        const effectiveThrottle = this.engineRunning ? this.throttle : 0;
         
-        // Update speed
-        this.speed = this.velocity.length();
+        // Mouse aim turns the reticle into stick inputs
+        this.applyAimAutopilot();
         
-        // Mark as flying
-        if (this.throttle > 0.5) {
-            this.isGrounded = false;
-        }
+        // Integrate attitude from the body rates
+        this.updateRotation(delta);
+        
+        // Lift, drag and side force from the airflow over the airframe
+        this.applyAerodynamics();
+        
+        // Stall, spin and the stall warning horn
+        this.updateStall(delta);
+        
+        // Add forward thrust - a damaged engine loses power while sputtering
+        const forward = this.getForwardDirection();
+        const enginePower = this.isSputtering ? 0.3 : 1.0;
+        this.acceleration.addScaledVector(forward, effectiveThrottle * this.thrustPower * enginePower);
+        
+        // Apply reduced gravity
+        this.acceleration.add(this.gravity);
         
         // Update velocity
-        this.velocity.add(this.acceleration);
+        this.velocity.addScaledVector(this.acceleration, delta);
         
         // Limit max speed
         if (this.velocity.length() > this.maxSpeed) {
             this.velocity.normalize().multiplyScalar(this.maxSpeed);
         }
         
-        // Ground collision
-        if (this.position.y < 1.0 && this.velocity.y < 0) {
-            this.position.y = 1.0;
-            this.velocity.y = 0;
+        // Ground contact - take-off and touchdown
+        this.updateGroundContact(delta);
+        
+        // Update speed
+        this.speed = this.velocity.length();
+        
+        // Update position
+        this.position.addScaledVector(this.velocity, delta);
+        
+        // Apply position and attitude to mesh
+        this.mesh.position.copy(this.position);
+        this.mesh.quaternion.copy(this.quaternion);
+        
+        // Rotate propeller based on throttle - a dead engine only windmills in the airflow
+        if (this.propeller) {
+            const propellerSpeed = this.engineRunning ?
+                delta * 15 * (0.5 + this.throttle * 5) :
+                delta * this.speed * 0.5;
+            this.propeller.rotation.x += propellerSpeed;
+        }
+        
+        // Count down pickup upgrades before the gun uses the stats they change
+        this.upgrades.update(delta);
+        
+        // Gun - ammo, heat and the rounds in flight
+        this.gun.update(delta, this.controls.shoot);
+        
+        // Missile lock-on, launches and missiles in flight
+        this.missileLauncher.update(delta, this.controls.actions.includes('missile'));
+        
+        // Refuel and repair when taxiing on the runway
+        this.updateRunwayServices(delta);
+        
+        // Update smoke and engine sputter for the current damage state
+        this.updateDamageEffects(delta);
+        
+        // Update HUD
+        this.updateHUD();
+    }
+    
+    updateGroundContact(delta) {
+        if (this.isGrounded) {
+            // Wheels stay down until the plane reaches rotation speed and the nose is raised
+            if (this.speed < this.rotationSpeed || this.getAttitude().pitch <= 0) {
+                this.velocity.y = Math.min(0, this.velocity.y);
+            }
+            
+            // Lift-off once climbing clear of the runway
+            if (this.position.y > this.groundClearance + 0.5 && this.velocity.y > 0) {
+                this.isGrounded = false;
+                if (this.game.landingGrader) {
+                    this.game.landingGrader.onTakeoff(this);
+                }
+                return;
+            }
+        } else if (this.position.y < this.groundClearance && this.velocity.y < 0) {
+            // First contact after flying - grade the touchdown
+            if (this.game.landingGrader) {
+                const result = this.game.landingGrader.evaluateTouchdown(this);
+                if (result.crashed) {
+                    this.crashReason = result.reason;
+                    return;
+                }
+            }
+            
+            // A survivable but hard touchdown still damages the plane
+            const descentSpeed = -this.velocity.y;
+            if (descentSpeed > this.hardLandingSpeed) {
+                this.damage((descentSpeed - this.hardLandingSpeed) * this.hardLandingDamage, 'landing');
+            }
+            
             this.isGrounded = true;
+        }
+        
+        // Keep the wheels on the ground
+        if (this.isGrounded && this.position.y < this.groundClearance && this.velocity.y < 0) {
+            this.position.y = this.groundClearance;
+            this.velocity.y = 0;
+            
+            // The wheels roll where the nose points - no sliding sideways
+            const heading = this.getHeading();
+            const groundSpeed = this.velocity.x * Math.sin(heading) + this.velocity.z * Math.cos(heading);
             
-            // Ground friction
-            this.velocity.x *= 0.95;
-            this.velocity.z *= 0.95;
+            // Rolling friction, with brakes when the throttle is closed
+            const friction = this.throttle < 0.05 ? 1.5 : 0.05;
+            const rolledSpeed = groundSpeed * Math.max(0, 1 - friction * delta);
+            this.velocity.x = Math.sin(heading) * rolledSpeed;
+            this.velocity.z = Math.cos(heading) * rolledSpeed;
         }
+    }
+    
+    // Current attitude - pitch is positive nose up, roll positive left wing down
+    getAttitude() {
+        const euler = new THREE.Euler().setFromQuaternion(this.quaternion, 'YXZ');
+        return {
+            pitch: -euler.x,
+            roll: -euler.z,
+            heading: this.getHeading()
+        };
+    }
+    
+    applyAircraftProfile(profile) {
+        this.aircraftName = profile.name;
+        this.maxSpeed = profile.maxSpeed;
+        this.thrustPower = profile.thrustPower;
+        this.drag = profile.drag;
+        this.inducedDrag = profile.inducedDrag;
+        this.lift = profile.lift;
+        this.liftSlope = profile.liftSlope;
+        this.zeroLiftAngle = profile.zeroLiftAngle;
+        this.criticalAngle = profile.criticalAngle;
+        this.postStallLift = profile.postStallLift;
+        this.stallSpeed = profile.stallSpeed;
+        this.pitchRate = profile.pitchRate;
+        this.rollRate = profile.rollRate;
+        this.yawRate = profile.yawRate;
+        this.spinRate = profile.spinRate;
+        this.spinRecoveryTime = profile.spinRecoveryTime;
+        
+        // Speed needed before the nose can be lifted
+        this.rotationSpeed = this.maxSpeed * 0.6;
+    }
+    
+    getForwardDirection() {
+        return new THREE.Vector3(0, 0, 1).applyQuaternion(this.quaternion);
+    }
+    
+    getUpDirection() {
+        return new THREE.Vector3(0, 1, 0).applyQuaternion(this.quaternion);
+    }
+    
+    // Compass heading of the nose in radians - 0 faces +Z, positive turns toward +X
+    getHeading() {
+        const forward = this.getForwardDirection();
+        return Math.atan2(forward.x, forward.z);
+    }
+    
+    // Point the plane wings-level along a heading
+    setHeading(heading) {
+        this.quaternion.setFromAxisAngle(new THREE.Vector3(0, 1, 0), heading);
+        this.angularVelocity.set(0, 0, 0);
+        if (this.mesh) {
+            this.mesh.quaternion.copy(this.quaternion);
+        }
+    }
+    
+    setFlightPreset(name) {
+        if (!FLIGHT_PRESETS[name]) {
+            console.warn(`Unknown flight model preset: ${name}`);
+            return;
+        }
+        this.flightPresetName = name;
+        this.flightPreset = FLIGHT_PRESETS[name];
+        console.log(`Flight model: ${this.flightPreset.label}`);
         
-        // Update position
-        this.position.add(this.velocity.clone().multiplyScalar(delta));
+        if (this.game.updateFlightModelDisplay) {
+            this.game.updateFlightModelDisplay();
+        }
+    }
+    
+    cycleFlightPreset() {
+        const index = FLIGHT_PRESET_ORDER.indexOf(this.flightPresetName);
+        this.setFlightPreset(FLIGHT_PRESET_ORDER[(index + 1) % FLIGHT_PRESET_ORDER.length]);
+    }
+    
+    updateFuel(delta) {
+        if (!this.engineRunning) return;
         
-        // Handle rotation - each axis independently
-        this.updateRotation(delta);
+        // Fuel burn is proportional to throttle
+        this.fuel = Math.max(0, this.fuel - this.throttle * this.fuelBurnRate * delta);
         
-        // Apply position to mesh
-        this.mesh.position.copy(this.position);
+        if (this.fuel <= 0) {
+            this.flameOut();
+        }
+    }
+    
+    flameOut() {
+        console.log("Engine flame-out - out of fuel");
+        this.engineRunning = false;
+        this.isSputtering = false;
         
-        // Apply quaternion rotation to mesh
-        const yawQ = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), this.rotation.y);
-        const pitchQ = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 0), this.rotation.x * 0.7);
+        if (this.engineSound && this.engineSound.isPlaying) {
+            this.engineSound.stop();
+        }
+    }
+    
+    restartEngine() {
+        console.log("Engine restarted");
+        this.engineRunning = true;
         
-        // Enhanced roll with limit
-        const maxVisualRoll = Math.PI / 2; // 90 degrees
-        const enhancedRoll = this.rotation.z * 1.4; // Stronger roll effect (140%)
-        const clampedRoll = Math.max(Math.min(enhancedRoll, maxVisualRoll), -maxVisualRoll);
-        const rollQ = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 0, 1), -clampedRoll);
+        if (this.engineSound && this.engineSound.buffer && !this.engineSound.isPlaying) {
+            this.engineSound.play();
+        }
+    }
+    
+    updateRunwayServices(delta) {
+        // Only serviced while rolling slowly along the runway
+        this.isBeingServiced = this.isGrounded &&
+            this.speed < this.serviceMaxSpeed &&
+            this.game.isPositionOverRunway(this.position.x, this.position.z);
         
-        // Create final rotation in YXZ order
-        const finalRotation = new THREE.Quaternion();
-        finalRotation.multiplyQuaternions(yawQ, pitchQ);
-        finalRotation.multiplyQuaternions(finalRotation, rollQ);
+        if (!this.isBeingServiced) return;
         
-        // Apply quaternion to mesh
-        this.mesh.quaternion.copy(finalRotation);
+        // Refuel
+        if (this.fuel < this.maxFuel) {
+            this.fuel = Math.min(this.maxFuel, this.fuel + this.refuelRate * delta);
+        }
         
-        // Rotate propeller based on throttle
-        if (this.propeller) {
-            const propellerSpeed = delta * 15 * (0.5 + this.throttle * 5);
-            this.propeller.rotation.x += propellerSpeed;
+        // Repair
+        if (this.health < this.maxHealth && !this.isDestroyed) {
+            this.health = Math.min(this.maxHealth, this.health + this.repairRate * delta);
+            this.updateDamageState();
         }
         
-        // Handle shooting
-        if (this.controls.shoot) {
-            this.shoot();
+        // Reload the gun and missiles
+        this.gun.reload(delta);
+        this.missileLauncher.rearm(delta);
+        
+        // Ground crew gets a dead engine going again once there is fuel in the tank
+        if (!this.engineRunning && this.fuel > 0) {
+            this.restartEngine();
+        }
+    }
+    
+    // Airflow in the plane's own frame, and the forces it produces
+    applyAerodynamics() {
+        const airspeed = this.velocity.length();
+        if (airspeed < 0.5) {
+            this.angleOfAttack = 0;
+            this.sideslip = 0;
+            return;
         }
         
-        // Update bullets
-        this.updateBullets(delta);
+        const localVelocity = this.velocity.clone().applyQuaternion(this.quaternion.clone().invert());
+        this.angleOfAttack = Math.atan2(-localVelocity.y, localVelocity.z);
+        this.sideslip = Math.atan2(localVelocity.x, localVelocity.z);
         
-        // Update HUD
-        this.updateHUD();
+        const airflow = this.velocity.clone().divideScalar(airspeed);
+        const left = new THREE.Vector3(1, 0, 0).applyQuaternion(this.quaternion);
+        const dynamicPressure = airspeed * airspeed;
+        const liftCoefficient = this.getLiftCoefficient(this.angleOfAttack);
+        
+        // Lift acts at right angles to the airflow, across the wings
+        const liftDirection = new THREE.Vector3().crossVectors(airflow, left).normalize();
+        this.acceleration.addScaledVector(liftDirection, this.lift * liftCoefficient * dynamicPressure);
+        
+        // Drag - parasitic plus the induced drag of making lift, and much more from a stalled wing
+        const stallDrag = this.isStalled ? 1.8 : 1;
+        const dragCoefficient = this.drag * stallDrag * (1 + this.inducedDrag * liftCoefficient * liftCoefficient);
+        this.acceleration.addScaledVector(airflow, -dragCoefficient * dynamicPressure);
+        
+        // The fuselage pushes back against sliding sideways
+        this.acceleration.addScaledVector(left, -this.sideForce * this.sideslip * dynamicPressure);
     }
     
-    // Handle rotation
-    updateRotation(delta) {
-        const rotationSpeed = delta * 2.0;
+    getLiftCoefficient(angleOfAttack) {
+        const absAngle = Math.abs(angleOfAttack);
+        
+        // Flying backwards produces no useful lift
+        if (absAngle > Math.PI / 2) return 0;
+        
+        const peakLift = this.liftSlope * (this.criticalAngle + this.zeroLiftAngle);
+        const stalledLift = peakLift * this.postStallLift;
         
-        // PITCH: Handle pitch with equal response up and down
-        if (this.controls.up) {
-            this.rotation.x = Math.max(
-                this.rotation.x - this.pitchRate * rotationSpeed,
-                -this.maxPitch
-            );
+        // Past the critical angle the airflow separates and lift collapses
+        if (absAngle > this.criticalAngle) {
+            const fade = 1 - (absAngle - this.criticalAngle) / (Math.PI / 2 - this.criticalAngle);
+            return Math.sign(angleOfAttack) * stalledLift * fade;
         }
-        if (this.controls.down) {
-            this.rotation.x = Math.min(
-                this.rotation.x + this.pitchRate * rotationSpeed,
-                this.maxPitch
-            );
+        
+        // A stalled wing doesn't recover its lift until the airflow reattaches
+        const liftCoefficient = this.liftSlope * (angleOfAttack + this.zeroLiftAngle);
+        if (this.isStalled) {
+            return THREE.MathUtils.clamp(liftCoefficient, -stalledLift, stalledLift);
+        }
+        return liftCoefficient;
+    }
+    
+    updateStall(delta) {
+        if (this.isGrounded) {
+            this.isStalled = false;
+            this.isSpinning = false;
+            this.stallWarning = false;
+            this.setStallHorn(this.stallWarning);
+            return;
+        }
+        
+        const angle = Math.abs(this.angleOfAttack);
+        const { pitch: pitchInput, roll: rollInput, yaw: yawInput } = this.controls;
+        
+        // Stall past the critical angle or below stall speed - recover once both are well clear
+        if (!this.isStalled) {
+            if (angle > this.criticalAngle || this.speed < this.stallSpeed) {
+                this.isStalled = true;
+                this.stallRollDirection = Math.random() < 0.5 ? 1 : -1;
+                console.log("Stall!");
+            }
+        } else if (!this.isSpinning && angle < this.criticalAngle * 0.8 && this.speed > this.stallSpeed * 1.1) {
+            this.isStalled = false;
+            console.log("Recovered from stall");
         }
         
-        // Auto-stabilize pitch when no input
-        if (!this.controls.up && !this.controls.down) {
-            this.rotation.x *= 0.95;
+        // Yaw or sideslip while stalled drops one wing further and the plane autorotates
+        this.spinCooldown = Math.max(0, this.spinCooldown - delta);
+        if (this.isStalled && !this.isSpinning && this.spinCooldown <= 0 && !this.flightPreset.spinProtection) {
+            const sideslipEntry = Math.abs(this.sideslip) > this.spinEntrySideslip;
+            const rudderEntry = Math.abs(yawInput) > 0.3;
+            if (rudderEntry || sideslipEntry) {
+                this.isSpinning = true;
+                this.spinRecovery = 0;
+                this.spinDirection = rudderEntry ? Math.sign(yawInput) : this.stallRollDirection;
+                console.log(`Entered a spin to the ${this.spinDirection > 0 ? 'left' : 'right'}`);
+            }
         }
         
-        // ROLL and YAW: Handle together for coordinated turns
-        if (this.controls.left || this.controls.right) {
-            const direction = this.controls.left ? 1 : -1;
+        if (this.isSpinning) {
+            // Recovery - opposite rudder, stick forward and ailerons neutral
+            const opposingRudder = yawInput * this.spinDirection < -0.3;
+            const aileronsNeutral = Math.abs(rollInput) < 0.2;
+            const correctInputs = opposingRudder && pitchInput <= 0.1 && aileronsNeutral;
+            const handsOff = Math.abs(pitchInput) < 0.1 && aileronsNeutral && Math.abs(yawInput) < 0.1;
             
-            // Apply roll (Z rotation) - REDUCED ROLL AMOUNT FOR BETTER VISUALS
-            const targetRoll = direction * this.maxRoll * 0.6; // Only use 60% of max roll
-            const rollDelta = rotationSpeed * this.rollRate * 0.7; // Slower roll rate
-            this.rotation.z = THREE.MathUtils.lerp(
-                this.rotation.z,
-                targetRoll,
-                rollDelta
-            );
+            let recoveryRate = 0;
+            if (correctInputs) {
+                // Full rudder and a firm push recover fastest
+                recoveryRate = Math.min(1, -yawInput * this.spinDirection);
+            } else if (handsOff) {
+                // Stability assist slowly flies the plane out by itself
+                recoveryRate = this.flightPreset.stabilityAssist * 0.5;
+            }
             
-            // Add yaw (Y rotation) only if we have enough speed
-            if (this.speed > this.minSpeed) {
-                // Calculate yaw amount, proportional to speed but with a maximum value
-                const yawAmount = Math.min(
-                    rotationSpeed * this.yawRate,
-                    Math.PI / 8 * delta // Limit yaw change per frame
-                );
-                
-                // Apply yaw - allow full 360 degree turning
-                this.rotation.y += direction * yawAmount;
+            this.spinRecovery += recoveryRate * delta / this.spinRecoveryTime;
+            if (this.spinRecovery >= 1) {
+                this.isSpinning = false;
+                this.spinRecovery = 0;
+                this.spinCooldown = 3;
+                console.log("Recovered from spin");
             }
+        }
+        
+        // Warn on the approach to the stall as well as once stalled
+        this.stallWarning = this.isStalled ||
+            angle > this.criticalAngle * this.stallWarningMargin ||
+            this.speed < this.stallSpeed * 1.2;
+        this.setStallHorn(this.stallWarning);
+    }
+    
+    // Fly toward the mouse-aim direction like an instructor would - bank toward the aim heading,
+    // then pull the nose onto it. Any axis the player is steering by hand is left alone.
+    applyAimAutopilot() {
+        const aim = this.controls.aimDirection;
+        this.autopilotEngaged = aim !== null;
+        if (!aim) return;
+        
+        const attitude = this.getAttitude();
+        const localAim = aim.clone().applyQuaternion(this.quaternion.clone().invert());
+        
+        // Bank harder the further the aim is off to the side - on the wheels this steers the nosewheel
+        const headingDifference = Math.atan2(aim.x, aim.z) - attitude.heading;
+        const headingError = Math.atan2(Math.sin(headingDifference), Math.cos(headingDifference));
+        const targetBank = THREE.MathUtils.clamp(headingError * this.autopilotBankGain,
+            -this.autopilotMaxBank, this.autopilotMaxBank);
+        const roll = (targetBank - attitude.roll) * this.autopilotRollGain;
+        
+        // Elevator and rudder chase the aim in the plane's own frame, so a bank turns into a turn.
+        // Aim behind the plane still pulls rather than pushing through the floor.
+        let pitch = Math.atan2(localAim.y, Math.max(localAim.z, 0.1)) * this.autopilotPitchGain;
+        const yaw = Math.atan2(localAim.x, Math.max(localAim.z, 0.1)) * this.autopilotYawGain;
+        
+        // Don't haul the plane into a stall
+        if (this.stallWarning || this.isStalled) {
+            pitch = Math.min(pitch, 0);
+        }
+        
+        const controls = this.controls;
+        const manual = 0.05;
+        if (Math.abs(controls.pitch) < manual) controls.pitch = THREE.MathUtils.clamp(pitch, -1, 1);
+        if (Math.abs(controls.roll) < manual) controls.roll = THREE.MathUtils.clamp(roll, -1, 1);
+        if (Math.abs(controls.yaw) < manual) controls.yaw = THREE.MathUtils.clamp(yaw, -1, 1);
+    }
+    
+    // Handle rotation - body rates integrated into the attitude quaternion
+    updateRotation(delta) {
+        const preset = this.flightPreset;
+        const attitude = this.getAttitude();
+        
+        // Stick inputs - positive is nose up, left wing down and nose left
+        const { pitch: pitchInput, roll: rollInput, yaw: yawInput } = this.controls;
+        
+        // Control surfaces need airflow, and damage reduces how quickly the plane responds
+        const airflow = THREE.MathUtils.clamp(this.speed / (this.maxSpeed * 0.5), 0.2, 1);
+        const authority = this.controlAuthority * airflow;
+        
+        // Commanded body rates - nose up is negative about X, left wing down is negative about Z
+        const targetRates = new THREE.Vector3(
+            -pitchInput * this.pitchRate * authority,
+            yawInput * this.yawRate * authority,
+            -rollInput * this.rollRate * authority
+        );
+        
+        if (this.isGrounded) {
+            // Wings stay level on the wheels and roll input steers the nosewheel
+            targetRates.z = 0;
+            targetRates.y += rollInput * this.groundSteerRate * Math.min(1, this.speed / 5);
+        } else if (this.isSpinning) {
+            // Autorotation - the controls barely bite while the plane corkscrews nose-down around the vertical
+            targetRates.multiplyScalar(0.2);
+            const spin = new THREE.Vector3(0, this.spinDirection * this.spinRate, 0)
+                .applyQuaternion(this.quaternion.clone().invert());
+            targetRates.add(spin);
+            targetRates.x += (attitude.pitch + this.spinPitch) * 1.5;
+            targetRates.z -= this.spinDirection * this.spinRate * 0.5;
         } else {
-            // Auto-level roll when no input - IMPROVED STABILITY
-            this.rotation.z *= this.stabilizationRate * 0.9; // Faster auto-level
+            // Stability assist levels the wings and the flight path, fading out as the stick moves
+            if (preset.stabilityAssist > 0 && !this.autopilotEngaged) {
+                targetRates.z += attitude.roll * 2.0 * preset.stabilityAssist * (1 - Math.abs(rollInput));
+                if (this.speed > 1 && !this.isStalled) {
+                    const flightPathAngle = Math.asin(THREE.MathUtils.clamp(this.velocity.y / this.speed, -1, 1));
+                    targetRates.x += flightPathAngle * 1.5 * preset.stabilityAssist * (1 - Math.abs(pitchInput));
+                }
+            }
+            
+            // Coordinated turns - bank angle turns the plane at the rate gravity allows
+            if (preset.coordinatedTurns && Math.abs(attitude.roll) < Math.PI / 2) {
+                const bank = THREE.MathUtils.clamp(attitude.roll, -1.2, 1.2);
+                const turnRate = -this.gravity.y * Math.tan(bank) / Math.max(this.speed, 8);
+                const worldTurn = new THREE.Vector3(0, turnRate, 0)
+                    .applyQuaternion(this.quaternion.clone().invert());
+                targetRates.add(worldTurn);
+            }
+            
+            // A stalled plane drops its nose and, without protection, a wing
+            if (this.isStalled) {
+                targetRates.x += 0.8;
+                if (!preset.spinProtection) {
+                    targetRates.z += this.stallRollDirection * 0.6;
+                }
+            }
+            
+            // The airframe weathervanes its nose back into the airflow
+            const stability = Math.min(1, this.speed / this.maxSpeed);
+            targetRates.x += this.pitchStability * this.angleOfAttack * stability;
+            targetRates.y += this.yawStability * this.sideslip * stability;
+        }
+        
+        // Rates build up and die away smoothly rather than snapping
+        this.angularVelocity.lerp(targetRates, Math.min(1, this.controlResponse * delta));
+        
+        // Rotate about the body axes
+        const angle = this.angularVelocity.length() * delta;
+        if (angle > 0) {
+            const axis = this.angularVelocity.clone().normalize();
+            const step = new THREE.Quaternion().setFromAxisAngle(axis, angle);
+            this.quaternion.multiply(step).normalize();
+        }
+        
+        this.applyAttitudeLimits(delta);
+    }
+    
+    // Clamp pitch and bank for the arcade preset and while the wheels are on the ground
+    applyAttitudeLimits(delta) {
+        const preset = this.flightPreset;
+        if (!this.isGrounded && preset.maxPitch === null && preset.maxBank === null) return;
+        
+        const euler = new THREE.Euler().setFromQuaternion(this.quaternion, 'YXZ');
+        let pitch = -euler.x;
+        let roll = -euler.z;
+        
+        if (this.isGrounded) {
+            // The nose can't be lifted off the runway below rotation speed
+            const maxNoseUp = this.speed < this.rotationSpeed ? 0 : this.maxRotationPitch;
+            pitch = THREE.MathUtils.clamp(pitch, 0, maxNoseUp);
+            roll = 0;
+        } else {
+            // A stall lets the nose drop past the limit to recover, then it eases back inside
+            if (preset.maxPitch !== null && !this.isStalled) {
+                const limitedPitch = THREE.MathUtils.clamp(pitch, -preset.maxPitch, preset.maxPitch);
+                const maxStep = this.pitchRate * delta;
+                pitch += THREE.MathUtils.clamp(limitedPitch - pitch, -maxStep, maxStep);
+            }
+            if (preset.maxBank !== null) {
+                roll = THREE.MathUtils.clamp(roll, -preset.maxBank, preset.maxBank);
+            }
         }
         
-        // Keep yaw angle between -PI and PI
-        this.rotation.y = ((this.rotation.y + Math.PI) % (Math.PI * 2)) - Math.PI;
+        if (pitch === -euler.x && roll === -euler.z) return;
+        
+        euler.x = -pitch;
+        euler.z = -roll;
+        this.quaternion.setFromEuler(euler);
     }
     
     // Update HUD with player status
@@ -397,139 +852,108 @@ export class Player {
     pitch(direction) { }
     roll(direction) { }
     
-    shoot() {
-        const now = performance.now() / 1000;
+    damage(amount, source = 'unknown') {
+        amount *= this.damageMultiplier * this.game.difficulty.playerDamage;
+        if (this.isDestroyed || amount <= 0) return;
         
-        // Check cooldown
-        if (now - this.lastShotTime < this.bulletCooldown) {
-            return;
-        }
+        this.health = Math.max(0, this.health - amount);
+        this.lastDamageSource = source;
+        this.updateDamageState();
         
-        // Play shooting sound
-        if (this.shootSound && this.shootSound.isPlaying) {
-            this.shootSound.stop();
-        }
-        if (this.shootSound && this.shootSound.buffer) {
-            this.shootSound.play();
+        if (this.health <= 0) {
+            console.log(`Player destroyed by ${source}`);
+            this.isDestroyed = true;
         }
-        
-        // Get the front center position of the plane
-        const frontPosition = new THREE.Vector3(0, 0, 2); // Position at the front of the plane
-        
-        // Get forward direction
-        const forward = new THREE.Vector3(0, 0, 1);
-        forward.applyQuaternion(this.mesh.quaternion);
-        forward.normalize();
-        
-        // Convert local front position to world position
-        frontPosition.applyMatrix4(this.mesh.matrixWorld);
-        
-        // Create fixed-size bullet with correct orientation
-        const bulletLength = 1.8; // Increased length for better visibility with smaller diameter
-        const bulletRadius = 0.1; // Reduced from 0.2 to 0.1 for thinner bullets
-        const bulletGeometry = new THREE.CylinderGeometry(bulletRadius, bulletRadius, bulletLength, 8);
-        const bulletMaterial = new THREE.MeshStandardMaterial({ 
-            color: 0xffff00, // Bright yellow
-            metalness: 0.6,
-            roughness: 0.3,
-            emissive: 0xffff00,
-            emissiveIntensity: 0.6 // Increased for better visibility with smaller diameter
-        });
-        
-        // Create and position the bullet
-        const bullet = new THREE.Mesh(bulletGeometry, bulletMaterial);
-        bullet.position.copy(frontPosition);
-        this.game.scene.add(bullet);
-        
-        // Align bullet with the direction of travel
-        const upVector = new THREE.Vector3(0, 1, 0);
-        bullet.quaternion.setFromUnitVectors(upVector, forward);
-        
-        // Calculate proper velocity based on forward direction and fixed bullet speed
-        const bulletVelocity = forward.clone().multiplyScalar(this.bulletSpeed);
-        
-        // Add bullet to tracking array with fixed scale
-        this.bullets.push({
-            mesh: bullet,
-            velocity: bulletVelocity,
-            createdAt: now,
-            originalScale: new THREE.Vector3(1, 1, 1), // Store original scale
-            direction: forward.clone() // Store original direction
-        });
-        
-        // Set last shot time
-        this.lastShotTime = now;
     }
     
-    updateBullets(delta) {
-        // Update bullet positions with optimized code
-        for (let i = 0; i < this.bullets.length; i++) {
-            const bullet = this.bullets[i];
-            if (!bullet.mesh) continue;
-            
-            // Use direct position update instead of creating a new vector each time
-            bullet.mesh.position.x += bullet.velocity.x * delta;
-            bullet.mesh.position.y += bullet.velocity.y * delta;
-            bullet.mesh.position.z += bullet.velocity.z * delta;
-            
-            // Ensure bullet maintains its original scale
-            if (bullet.originalScale) {
-                bullet.mesh.scale.copy(bullet.originalScale);
-            }
-            
-            // Ensure bullet maintains its original direction
-            if (bullet.direction) {
-                const upVector = new THREE.Vector3(0, 1, 0);
-                bullet.mesh.quaternion.setFromUnitVectors(upVector, bullet.direction);
-            }
+    updateDamageState() {
+        // Pick the most severe state the current health falls into
+        const healthRatio = this.health / this.maxHealth;
+        this.damageState = DAMAGE_STATES.find(state => healthRatio <= state.maxHealth) ||
+            DAMAGE_STATES[DAMAGE_STATES.length - 1];
+        this.controlAuthority = this.damageState.controlAuthority;
+    }
+    
+    getDestructionMessage() {
+        return DESTRUCTION_MESSAGES[this.lastDamageSource] || 'Your plane was destroyed!';
+    }
+    
+    updateDamageEffects(delta) {
+        // Count down mid-air collision grace period
+        if (this.collisionCooldown > 0) {
+            this.collisionCooldown = Math.max(0, this.collisionCooldown - delta);
+        }
+        
+        // Engine sputter - the damaged engine randomly cuts out for a moment
+        this.sputterTimer -= delta;
+        if (this.sputterTimer <= 0) {
+            this.isSputtering = this.throttle > 0.1 && Math.random() < this.damageState.sputterChance;
+            this.sputterTimer = this.isSputtering ? 0.2 + Math.random() * 0.3 : 0.5 + Math.random();
             
-            // Check if bullet is near world boundary
-            if (this.game.worldRadius) {
-                const bulletPos = bullet.mesh.position;
-                const distanceFromCenter = Math.sqrt(bulletPos.x * bulletPos.x + bulletPos.z * bulletPos.z);
-                
-                // If bullet is beyond world boundary, remove it
-                if (distanceFromCenter > this.game.worldRadius) {
-                    this.game.scene.remove(bullet.mesh);
-                    this.bullets.splice(i, 1);
-                    i--; // Adjust index since we removed an item
-                    continue;
-                }
+            if (this.engineSound && this.engineSound.buffer) {
+                this.engineSound.setVolume(this.isSputtering ? 0.15 : 0.5);
+                this.engineSound.setPlaybackRate(this.isSputtering ? 0.7 : 1.0);
             }
         }
         
-        // Remove bullets that are too old
-        const now = performance.now() / 1000;
-        for (let i = this.bullets.length - 1; i >= 0; i--) {
-            const bullet = this.bullets[i];
-            if (!bullet.mesh) continue;
-            
-            // Clean up bullets after 3 seconds (reduced from 5 for better performance)
-            const age = now - bullet.createdAt;
-            
-            if (age > 3) {
-                // Remove directly without fading for better performance
-                this.game.scene.remove(bullet.mesh);
-                this.bullets.splice(i, 1);
+        // Emit smoke puffs from the engine
+        if (this.damageState.smokeRate > 0) {
+            this.smokeTimer += delta;
+            const smokeInterval = 1 / this.damageState.smokeRate;
+            while (this.smokeTimer > smokeInterval) {
+                this.smokeTimer -= smokeInterval;
+                this.emitSmoke();
             }
         }
         
-        // Limit maximum number of bullets for performance
-        const MAX_BULLETS = 20; // Reduced from 30 for better performance
-        if (this.bullets.length > MAX_BULLETS) {
-            // Remove oldest bullets if we have too many
-            const bulletsToRemove = this.bullets.length - MAX_BULLETS;
-            for (let i = 0; i < bulletsToRemove; i++) {
-                if (this.bullets[i] && this.bullets[i].mesh) {
-                    this.game.scene.remove(this.bullets[i].mesh);
-                }
+        // Update existing smoke puffs
+        for (let i = this.smokeParticles.length - 1; i >= 0; i--) {
+            const puff = this.smokeParticles[i];
+            puff.age += delta;
+            
+            if (puff.age > puff.lifespan) {
+                this.game.scene.remove(puff.mesh);
+                puff.mesh.material.dispose();
+                this.smokeParticles.splice(i, 1);
+                continue;
             }
-            this.bullets.splice(0, bulletsToRemove);
+            
+            // Rise, grow and fade out
+            const progress = puff.age / puff.lifespan;
+            puff.mesh.position.y += delta * 2;
+            puff.mesh.scale.setScalar(1 + progress * 3);
+            puff.mesh.material.opacity = 0.6 * (1 - progress);
         }
     }
     
-    damage(amount) {
-        // No longer needed
+    emitSmoke() {
+        // Share one geometry between all smoke puffs
+        if (!this.smokeGeometry) {
+            this.smokeGeometry = new THREE.SphereGeometry(0.5, 6, 6);
+        }
+        
+        const material = new THREE.MeshBasicMaterial({
+            color: this.damageState.smokeColor,
+            transparent: true,
+            opacity: 0.6,
+            depthWrite: false
+        });
+        const puff = new THREE.Mesh(this.smokeGeometry, material);
+        
+        // Emit from just behind the propeller with a little jitter
+        const enginePosition = new THREE.Vector3(
+            (Math.random() - 0.5) * 0.4,
+            0.2,
+            1.2
+        ).applyMatrix4(this.mesh.matrixWorld);
+        puff.position.copy(enginePosition);
+        this.game.scene.add(puff);
+        
+        this.smokeParticles.push({
+            mesh: puff,
+            age: 0,
+            lifespan: 1.5
+        });
     }
     
     applyForce(force) {
@@ -686,11 +1110,16 @@ export class Player {
             this.game.scene.remove(this.mesh);
         }
         
-        for (const bullet of this.bullets) {
-            this.game.scene.remove(bullet.mesh);
+        for (const puff of this.smokeParticles) {
+            this.game.scene.remove(puff.mesh);
+        }
+        
+        if (this.stallHornOscillator) {
+            this.stallHornOscillator.stop();
         }
         
-        window.removeEventListener('keydown', this.handleKeyDown);
-        window.removeEventListener('keyup', this.handleKeyUp);
+        this.upgrades.dispose();
+        this.gun.dispose();
+        this.missileLauncher.dispose();
     }
 }
\ No newline at end of file
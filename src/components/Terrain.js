@@ -0,0 +1,409 @@
+import * as THREE from 'three';
+import { PerlinNoise } from '../utils/PerlinNoise';
+
+// Ground shades, blended per vertex
+const COLORS = {
+    grass: new THREE.Color(0x4caf50),
+    darkGrass: new THREE.Color(0x2e7d32),
+    lightGrass: new THREE.Color(0x81c784),
+    dirt: new THREE.Color(0x8d6e63),
+    riverbed: new THREE.Color(0x9e8a6a),
+    sand: new THREE.Color(0xd8c690),
+    rock: new THREE.Color(0x7c7c7c),
+    snow: new THREE.Color(0xffffff)
+};
+
+// Heightmap ground for the whole arena - rolling noise hills with the mountains raised out of
+// the same surface, basins under the lakes and dry riverbeds between them, flattened out around
+// the runways. Heights are stored per vertex and read back across the same triangles the mesh
+// draws, so collisions line up exactly with what's on screen.
+export class Terrain {
+    constructor(game, {
+        mountains = [], lakes = [], random = Math.random,
+        hillHeight = 22, hillScale = 0.004, snowLine = 150, rivers = true
+    } = {}) {
+        this.game = game;
+        this.radius = game.worldRadius;
+        this.mountains = mountains; // { position, radius, height }
+        this.lakes = lakes; // { position, radius } - water level and extent are filled in here
+        this.noise = new PerlinNoise(random);
+
+        // Shape of the land
+        this.cellSize = 8; // Distance between heightmap samples
+        this.hillHeight = hillHeight; // Tallest rolling hills
+        this.hillScale = hillScale; // Inverse of hill size - 0.004 makes hills a few hundred units across
+        this.lakeShore = 1.6; // Water spreads out to this many lake radii where the basin is low enough
+        this.riverDepth = 3;
+        this.riverWidth = 10;
+        this.runwayFlatMargin = 40; // Dead flat this far around the runway...
+        this.runwayBlendDistance = 120; // ...then easing up into the hills
+        this.snowLine = snowLine;
+        this.maxPlacementSlope = 0.6; // Steepest ground a tree can stand on (rise over run)
+
+        // Square grid of samples covering the whole world circle
+        this.halfSize = this.radius + this.cellSize;
+        this.segments = Math.ceil(this.halfSize * 2 / this.cellSize);
+        this.rowLength = this.segments + 1;
+        this.heights = new Float32Array(this.rowLength * this.rowLength);
+        this.riverbed = new Float32Array(this.rowLength * this.rowLength); // How far each sample sits in a riverbed, 0-1
+        this.maxHeight = 0;
+
+        this.rivers = rivers ? this.planRivers() : [];
+        this.setWaterLevels();
+        this.generateHeights();
+        this.createMesh();
+        this.createWater();
+    }
+
+    // Rolling hills everywhere plus the mountains, before anything is carved out
+    getBaseHeight(x, z) {
+        let height = (0.5 + 0.5 * this.noise.fbm(x * this.hillScale, z * this.hillScale, 4)) * this.hillHeight;
+
+        for (const mountain of this.mountains) {
+            const dx = x - mountain.position.x;
+            const dz = z - mountain.position.z;
+            const distance = Math.sqrt(dx * dx + dz * dz);
+            if (distance >= mountain.radius * 1.15) continue;
+
+            // Ragged foothills rather than a perfect circle, and ridges down the slopes
+            const extent = mountain.radius * (0.85 + 0.15 * (1 + this.noise.noise(x * 0.015, z * 0.015)));
+            const u = distance / extent;
+            if (u >= 1) continue;
+            const ridges = 0.9 + 0.1 * this.noise.noise(x * 0.05, z * 0.05);
+            height += mountain.height * Math.pow(1 - u, 1.6) * ridges;
+        }
+
+        return height * this.getRunwayFactor(x, z);
+    }
+
+    // 0 on and around the runways, rising to 1 once clear of them
+    getRunwayFactor(x, z) {
+        const distance = this.getRunwayDistance(x, z);
+        return THREE.MathUtils.smoothstep(distance, this.runwayFlatMargin, this.runwayFlatMargin + this.runwayBlendDistance);
+    }
+
+    // How far a point is outside the nearest runway's bounds
+    getRunwayDistance(x, z) {
+        let nearest = Infinity;
+        for (const { bounds } of this.game.runways) {
+            const dx = Math.max(bounds.minX - x, 0, x - bounds.maxX);
+            const dz = Math.max(bounds.minZ - z, 0, z - bounds.maxZ);
+            nearest = Math.min(nearest, Math.sqrt(dx * dx + dz * dz));
+        }
+        return nearest;
+    }
+
+    // Each lake drains to its nearest neighbour down a dry riverbed, unless a mountain is in the way
+    planRivers() {
+        const rivers = [];
+        for (let i = 0; i < this.lakes.length; i++) {
+            const from = this.lakes[i].position;
+
+            let nearest = -1;
+            let nearestDistance = Infinity;
+            for (let j = 0; j < this.lakes.length; j++) {
+                if (j === i) continue;
+                const distance = from.distanceTo(this.lakes[j].position);
+                if (distance < nearestDistance) {
+                    nearestDistance = distance;
+                    nearest = j;
+                }
+            }
+            if (nearest === -1 || nearestDistance > 400) continue;
+
+            // Both lakes pick each other when they're mutual neighbours - only dig that river once
+            if (rivers.some(river => river.lakes.includes(i) && river.lakes.includes(nearest))) continue;
+
+            const to = this.lakes[nearest].position;
+            const blocked = this.mountains.some(mountain =>
+                this.distanceToSegment(mountain.position.x, mountain.position.z, from, to) < mountain.radius * 1.2);
+            if (blocked) continue;
+
+            rivers.push({ lakes: [i, nearest], start: from, end: to });
+        }
+        return rivers;
+    }
+
+    // The water sits just below the lowest point of the ground around the lake, so it never spills over
+    setWaterLevels() {
+        for (const lake of this.lakes) {
+            lake.waterRadius = lake.radius * this.lakeShore;
+            lake.depth = 4 + lake.radius * 0.05;
+
+            let rim = Infinity;
+            for (let i = 0; i < 24; i++) {
+                const angle = (i / 24) * Math.PI * 2;
+                rim = Math.min(rim, this.getBaseHeight(
+                    lake.position.x + Math.sin(angle) * lake.waterRadius,
+                    lake.position.z + Math.cos(angle) * lake.waterRadius
+                ));
+            }
+            lake.waterLevel = rim - 0.5;
+
+            // Close to a runway the ground is held flat, so the water has to stay below it
+            const runwayDistance = this.getRunwayDistance(lake.position.x, lake.position.z);
+            if (runwayDistance - lake.waterRadius < this.runwayFlatMargin + this.runwayBlendDistance) {
+                lake.waterLevel = Math.min(lake.waterLevel, -0.5);
+            }
+        }
+    }
+
+    generateHeights() {
+        for (let row = 0; row < this.rowLength; row++) {
+            const z = -this.halfSize + row * this.cellSize;
+            for (let column = 0; column < this.rowLength; column++) {
+                const x = -this.halfSize + column * this.cellSize;
+                const index = row * this.rowLength + column;
+
+                const baseHeight = this.getBaseHeight(x, z);
+                let height = baseHeight;
+
+                // Scoop out the lake basins, deepest in the middle
+                for (const lake of this.lakes) {
+                    const distance = Math.hypot(x - lake.position.x, z - lake.position.z);
+                    if (distance >= lake.waterRadius) continue;
+                    const t = 1 - THREE.MathUtils.smoothstep(distance, lake.radius * 0.6, lake.waterRadius);
+                    height = Math.min(height, THREE.MathUtils.lerp(height, lake.waterLevel - lake.depth, t));
+                }
+
+                // Riverbeds wander a little either side of the straight line between their lakes
+                const wanderX = x + this.noise.noise(x * 0.01, z * 0.01 + 50) * 20;
+                const wanderZ = z + this.noise.noise(x * 0.01 + 50, z * 0.01) * 20;
+                let bed = 0;
+                for (const river of this.rivers) {
+                    const distance = this.distanceToSegment(wanderX, wanderZ, river.start, river.end);
+                    if (distance >= this.riverWidth) continue;
+                    bed = Math.max(bed, 1 - THREE.MathUtils.smoothstep(distance, this.riverWidth * 0.4, this.riverWidth));
+                }
+                height -= this.riverDepth * bed;
+
+                // Nothing gets dug out of the flat ground around the runway
+                const runwayFactor = this.getRunwayFactor(x, z);
+                height = baseHeight + (height - baseHeight) * runwayFactor;
+                bed *= runwayFactor;
+
+                this.heights[index] = height;
+                this.riverbed[index] = bed;
+                this.maxHeight = Math.max(this.maxHeight, height);
+            }
+        }
+    }
+
+    distanceToSegment(x, z, start, end) {
+        const dx = end.x - start.x;
+        const dz = end.z - start.z;
+        const lengthSq = dx * dx + dz * dz;
+        const t = lengthSq > 0 ?
+            THREE.MathUtils.clamp(((x - start.x) * dx + (z - start.z) * dz) / lengthSq, 0, 1) : 0;
+        return Math.hypot(start.x + dx * t - x, start.z + dz * t - z);
+    }
+
+    // Ground height anywhere, interpolated across the same two triangles per cell as the mesh
+    getHeight(x, z) {
+        const gridX = THREE.MathUtils.clamp((x + this.halfSize) / this.cellSize, 0, this.segments - 0.0001);
+        const gridZ = THREE.MathUtils.clamp((z + this.halfSize) / this.cellSize, 0, this.segments - 0.0001);
+        const column = Math.floor(gridX);
+        const row = Math.floor(gridZ);
+        const fx = gridX - column;
+        const fz = gridZ - row;
+
+        const index = row * this.rowLength + column;
+        const h00 = this.heights[index];
+        const h10 = this.heights[index + 1];
+        const h01 = this.heights[index + this.rowLength];
+        const h11 = this.heights[index + this.rowLength + 1];
+
+        if (fx + fz <= 1) {
+            return h00 + (h10 - h00) * fx + (h01 - h00) * fz;
+        }
+        return h11 + (h01 - h11) * (1 - fx) + (h10 - h11) * (1 - fz);
+    }
+
+    // Rise over run of the ground at a point
+    getSlope(x, z) {
+        const step = this.cellSize;
+        const dx = (this.getHeight(x + step, z) - this.getHeight(x - step, z)) / (step * 2);
+        const dz = (this.getHeight(x, z + step) - this.getHeight(x, z - step)) / (step * 2);
+        return Math.sqrt(dx * dx + dz * dz);
+    }
+
+    // True when nothing but air lies between two points - used by the radar
+    hasLineOfSight(from, to) {
+        const distance = from.distanceTo(to);
+        const steps = Math.max(1, Math.ceil(distance / (this.cellSize * 2)));
+        for (let step = 1; step < steps; step++) {
+            const t = step / steps;
+            const y = from.y + (to.y - from.y) * t;
+            if (y > this.maxHeight) continue;
+            if (y < this.getHeight(from.x + (to.x - from.x) * t, from.z + (to.z - from.z) * t)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    createMesh() {
+        const vertexCount = this.rowLength * this.rowLength;
+        const positions = new Float32Array(vertexCount * 3);
+        const colors = new Float32Array(vertexCount * 3);
+        const color = new THREE.Color();
+
+        for (let row = 0; row < this.rowLength; row++) {
+            for (let column = 0; column < this.rowLength; column++) {
+                const index = row * this.rowLength + column;
+                const x = -this.halfSize + column * this.cellSize;
+                const z = -this.halfSize + row * this.cellSize;
+                positions[index * 3] = x;
+                positions[index * 3 + 1] = this.heights[index];
+                positions[index * 3 + 2] = z;
+
+                this.getGroundColor(x, z, index, color);
+                colors[index * 3] = color.r;
+                colors[index * 3 + 1] = color.g;
+                colors[index * 3 + 2] = color.b;
+            }
+        }
+
+        // Two triangles per cell, leaving out the cells past the edge of the world
+        const indices = [];
+        for (let row = 0; row < this.segments; row++) {
+            for (let column = 0; column < this.segments; column++) {
+                const centerX = -this.halfSize + (column + 0.5) * this.cellSize;
+                const centerZ = -this.halfSize + (row + 0.5) * this.cellSize;
+                if (Math.sqrt(centerX * centerX + centerZ * centerZ) > this.radius + this.cellSize * 0.5) continue;
+
+                const a = row * this.rowLength + column;
+                const b = a + this.rowLength;
+                indices.push(a, b, a + 1);
+                indices.push(b, b + 1, a + 1);
+            }
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        geometry.setIndex(indices);
+        geometry.computeVertexNormals();
+
+        const material = new THREE.MeshStandardMaterial({
+            vertexColors: true,
+            roughness: 0.85,
+            metalness: 0.05
+        });
+
+        this.mesh = new THREE.Mesh(geometry, material);
+        this.mesh.receiveShadow = true;
+        this.game.scene.add(this.mesh);
+    }
+
+    // Grass in patches of light and dark, dirt in the riverbeds, sand at the water's edge,
+    // bare rock on the steep slopes and snow on the peaks
+    getGroundColor(x, z, index, color) {
+        const height = this.heights[index];
+
+        const patch = this.noise.noise(x * 0.02, z * 0.02);
+        color.copy(COLORS.grass);
+        if (patch < 0) {
+            color.lerp(COLORS.darkGrass, Math.min(1, -patch * 1.5));
+        } else {
+            color.lerp(COLORS.lightGrass, Math.min(1, patch * 1.2));
+        }
+
+        const dirt = this.noise.noise(x * 0.03 + 100, z * 0.03 + 100);
+        if (dirt > 0.35) {
+            color.lerp(COLORS.dirt, Math.min(1, (dirt - 0.35) * 4));
+        }
+
+        if (this.riverbed[index] > 0) {
+            color.lerp(COLORS.riverbed, this.riverbed[index]);
+        }
+
+        for (const lake of this.lakes) {
+            const distance = Math.hypot(x - lake.position.x, z - lake.position.z);
+            if (distance < lake.waterRadius && height < lake.waterLevel + 1.5) {
+                color.copy(COLORS.sand);
+            }
+        }
+
+        const rock = Math.max(
+            THREE.MathUtils.smoothstep(this.getSlope(x, z), 0.45, 0.9),
+            THREE.MathUtils.smoothstep(height, 45, 90)
+        );
+        if (rock > 0) {
+            color.lerp(COLORS.rock, rock);
+        }
+
+        const snowLine = this.snowLine + this.noise.noise(x * 0.04, z * 0.04) * 15;
+        if (height > snowLine) {
+            color.lerp(COLORS.snow, Math.min(1, (height - snowLine) / 10));
+        }
+    }
+
+    createWater() {
+        const waterMaterial = new THREE.MeshPhongMaterial({
+            color: 0x0077be,
+            shininess: 100,
+            specular: 0x111111
+        });
+
+        // Each lake is a flat disc at its water level - where the ground rises above it, the ground hides it
+        for (const lake of this.lakes) {
+            const water = new THREE.Mesh(new THREE.CircleGeometry(lake.waterRadius, 48), waterMaterial);
+            water.rotation.x = -Math.PI / 2;
+            water.position.set(lake.position.x, lake.waterLevel, lake.position.z);
+            this.game.scene.add(water);
+            lake.mesh = water;
+        }
+    }
+
+    // Top-down relief map for the radar - heights shaded from green lowlands to white peaks, water in blue
+    createRadarImage(size) {
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        const context = canvas.getContext('2d');
+        if (!context) return null;
+
+        const block = 2; // Pixels per sample - plenty for a map this small
+        const worldPerPixel = (this.radius * 2) / size;
+        for (let py = 0; py < size; py += block) {
+            for (let px = 0; px < size; px += block) {
+                const x = -this.radius + (px + block / 2) * worldPerPixel;
+                const z = -this.radius + (py + block / 2) * worldPerPixel;
+                if (x * x + z * z > this.radius * this.radius) continue;
+
+                const height = this.getHeight(x, z);
+                const underwater = this.lakes.some(lake =>
+                    lake.waterLevel > height &&
+                    Math.hypot(x - lake.position.x, z - lake.position.z) < lake.waterRadius);
+
+                if (underwater) {
+                    context.fillStyle = 'rgb(20, 90, 160)';
+                } else if (height > this.snowLine) {
+                    context.fillStyle = 'rgb(220, 220, 220)';
+                } else if (height > 45) {
+                    const shade = Math.round(90 + (height - 45) * 0.8);
+                    context.fillStyle = `rgb(${shade}, ${shade}, ${shade})`;
+                } else {
+                    const shade = Math.round(50 + height * 3);
+                    context.fillStyle = `rgb(30, ${shade}, 40)`;
+                }
+                context.fillRect(px, py, block, block);
+            }
+        }
+        return canvas;
+    }
+
+    // Take the ground and water out of the scene for good
+    dispose() {
+        this.game.scene.remove(this.mesh);
+        this.mesh.geometry.dispose();
+        this.mesh.material.dispose();
+        for (const lake of this.lakes) {
+            if (!lake.mesh) continue;
+            this.game.scene.remove(lake.mesh);
+            lake.mesh.geometry.dispose();
+            lake.mesh.material.dispose();
+        }
+    }
+}
@@ -0,0 +1,122 @@
+import * as THREE from 'three';
+import { UPGRADES } from '../data/upgrades';
+
+// Runs the player's temporary upgrades - applies their modifiers on top of the base stats
+// and puts the stats back when they run out
+export class UpgradeManager {
+    constructor(game, player) {
+        this.game = game;
+        this.player = player;
+
+        this.active = []; // { id, definition, timeLeft }
+        this.baseValues = new Map(); // 'target.stat' -> { object, stat, value } before any upgrade touched it
+        this.auras = new Map(); // Upgrade id -> bubble mesh around the plane
+        this.auraGeometry = new THREE.SphereGeometry(4, 16, 12);
+    }
+
+    apply(id) {
+        const definition = UPGRADES[id];
+        if (!definition) {
+            console.error(`Unknown upgrade: ${id}`);
+            return;
+        }
+
+        // Picking up one that's already running just tops up the timer
+        const existing = this.active.find(upgrade => upgrade.id === id);
+        if (existing) {
+            existing.timeLeft = definition.duration;
+        } else {
+            this.active.push({ id, definition, timeLeft: definition.duration });
+            this.applyModifiers();
+            if (definition.aura) {
+                this.createAura(id, definition.color);
+            }
+        }
+        console.log(`Upgrade: ${definition.name} for ${definition.duration}s`);
+    }
+
+    update(delta) {
+        let expired = false;
+        for (let i = this.active.length - 1; i >= 0; i--) {
+            const upgrade = this.active[i];
+            upgrade.timeLeft -= delta;
+            if (upgrade.timeLeft <= 0) {
+                console.log(`Upgrade expired: ${upgrade.definition.name}`);
+                this.removeAura(upgrade.id);
+                this.active.splice(i, 1);
+                expired = true;
+            }
+        }
+        if (expired) {
+            this.applyModifiers();
+        }
+
+        this.updateAuras();
+    }
+
+    getTargetObject(target) {
+        return target === 'gun' ? this.player.gun.config : this.player;
+    }
+
+    // Put every touched stat back to its base value, then layer the active upgrades on top in pickup order
+    applyModifiers() {
+        for (const base of this.baseValues.values()) {
+            base.object[base.stat] = base.value;
+        }
+
+        for (const upgrade of this.active) {
+            for (const modifier of upgrade.definition.modifiers) {
+                const object = this.getTargetObject(modifier.target);
+                const key = `${modifier.target}.${modifier.stat}`;
+                if (!this.baseValues.has(key)) {
+                    this.baseValues.set(key, { object, stat: modifier.stat, value: object[modifier.stat] });
+                }
+
+                if (modifier.set !== undefined) {
+                    object[modifier.stat] = modifier.set;
+                } else if (modifier.multiply !== undefined) {
+                    object[modifier.stat] *= modifier.multiply;
+                }
+            }
+        }
+    }
+
+    createAura(id, color) {
+        const material = new THREE.MeshBasicMaterial({
+            color,
+            transparent: true,
+            opacity: 0.25,
+            depthWrite: false
+        });
+        const aura = new THREE.Mesh(this.auraGeometry, material);
+        this.game.scene.add(aura);
+        this.auras.set(id, aura);
+    }
+
+    removeAura(id) {
+        const aura = this.auras.get(id);
+        if (!aura) return;
+        this.game.scene.remove(aura);
+        aura.material.dispose();
+        this.auras.delete(id);
+    }
+
+    updateAuras() {
+        for (const [id, aura] of this.auras) {
+            aura.position.copy(this.player.position);
+
+            // Flicker for the last few seconds as a warning it's about to drop
+            const upgrade = this.active.find(active => active.id === id);
+            aura.visible = upgrade.timeLeft > 3 || Math.floor(upgrade.timeLeft * 6) % 2 === 0;
+        }
+    }
+
+    dispose() {
+        for (const id of [...this.auras.keys()]) {
+            this.removeAura(id);
+        }
+        this.auraGeometry.dispose();
+        this.active = [];
+        this.applyModifiers();
+    }
+}
@@ -0,0 +1,62 @@
+import * as THREE from 'three';
+
+// Flight characteristics for each plane the player can fly.
+// Forces are accelerations in units per second squared, rates in radians per second.
+export const AIRCRAFT_PROFILES = {
+    cub: {
+        name: 'Pig Cub',
+        maxSpeed: 100 / 3.6,
+        thrustPower: 6, // Less than the plane's weight - climbing steeply bleeds off speed
+        drag: 0.004, // Parasitic drag per squared airspeed
+        inducedDrag: 0.5, // Extra drag from generating lift
+        lift: 0.0224, // Lift per unit of lift coefficient and squared airspeed
+        liftSlope: 5.0, // Lift coefficient gained per radian of angle of attack
+        zeroLiftAngle: 0.08, // Cambered wing still lifts with the nose on the flight path
+        criticalAngle: THREE.MathUtils.degToRad(15), // Angle of attack where the wing stalls
+        postStallLift: 0.55, // Fraction of peak lift left once stalled
+        stallSpeed: 12, // Below this the wing can't carry the plane at any angle
+        pitchRate: 1.2,
+        rollRate: 2.2,
+        yawRate: 0.5,
+        spinRate: 1.6, // Yaw rate once autorotating
+        spinRecoveryTime: 1.2 // Seconds of correct recovery input to stop a spin
+    },
+    racer: {
+        name: 'Hog Racer',
+        maxSpeed: 130 / 3.6,
+        thrustPower: 8,
+        drag: 0.003,
+        inducedDrag: 0.6,
+        lift: 0.0135,
+        liftSlope: 5.0,
+        zeroLiftAngle: 0.08,
+        criticalAngle: THREE.MathUtils.degToRad(13),
+        postStallLift: 0.45,
+        stallSpeed: 17,
+        pitchRate: 1.4,
+        rollRate: 3.0,
+        yawRate: 0.6,
+        spinRate: 2.2,
+        spinRecoveryTime: 2.0
+    },
+    biplane: {
+        name: 'Sow Biplane',
+        maxSpeed: 80 / 3.6,
+        thrustPower: 5,
+        drag: 0.006,
+        inducedDrag: 0.4,
+        lift: 0.035,
+        liftSlope: 5.0,
+        zeroLiftAngle: 0.08,
+        criticalAngle: THREE.MathUtils.degToRad(18),
+        postStallLift: 0.7,
+        stallSpeed: 9,
+        pitchRate: 1.0,
+        rollRate: 1.6,
+        yawRate: 0.5,
+        spinRate: 1.2,
+        spinRecoveryTime: 0.8
+    }
+};
+
+export const DEFAULT_AIRCRAFT = 'cub';
@@ -0,0 +1,118 @@
+import * as THREE from 'three';
+
+// Boss aircraft - one turns up once the player has rescued enough animals (the map's "boss" section).
+// A boss is a big hull with parts bolted on that can be shot away one at a time:
+//   engine - every engine lost slows it down
+//   turret - a gunner with an EnemyGun; gun gives the gun's options, aimed out from the turret
+//   cargoBay - shooting one open sets its animals free
+//
+//   health - the hull's strength; speed - cruising speed with every engine running
+//   turnRate - radians per second; orbit - it circles the map this far out, as a share of the world radius
+//   altitude - height it keeps above the ground under and ahead of it; ceiling - its gunners
+//              won't fire at a player above this
+//   animals - [min, max] released from the wreck, on top of what's left in the cargo bays
+//   model - hull parts, built like enemy types' models (see enemyTypes.js) and scaled up by scale
+//   hitboxes - hull boxes in the scaled model's space, with hitboxRadius enclosing the whole boss
+//   components - name, kind, health, position and hit box size in model units, and model parts
+//                placed relative to the component
+//   phases - the boss moves on to the last phase whose "when" holds, never back. hullDamage is the
+//            share of damage the hull takes, fireRate speeds up the turrets, escorts is how many
+//            fighters scramble as the phase begins, altitude overrides the cruising height and
+//            message is shown as it starts
+//   escort - the enemy type its escorts fly (see enemyTypes.js)
+
+const ENGINE_PARTS = [
+    { shape: 'cylinder', radius: [0.35, 0.3], length: 1.4, color: 0x3b3f46 }, // Nacelle
+    { shape: 'box', size: [1.6, 0.12, 0.06], position: [0, 0, 0.75], color: 0x222222, spins: true } // Propeller
+];
+
+const TURRET_PARTS = [
+    { shape: 'sphere', radius: 0.4, color: 0x2b2b2b },
+    { shape: 'box', size: [0.08, 0.08, 0.9], position: [0.12, 0, 0.45], color: 0x111111 }, // Twin barrels
+    { shape: 'box', size: [0.08, 0.08, 0.9], position: [-0.12, 0, 0.45], color: 0x111111 }
+];
+
+const CARGO_BAY_PARTS = [
+    { shape: 'box', size: [1.0, 0.15, 0.9], color: 0x6b5a45, door: true } // Bay door, swung open when shot away
+];
+
+const TURRET_GUN = {
+    range: 220,
+    fireCone: THREE.MathUtils.degToRad(80),
+    bulletSpeed: 100,
+    damage: 4,
+    burstLength: 6,
+    cooldown: 2.5
+};
+
+export const BOSSES = {
+    // A patched-up cargo airship, its gondola packed with smuggled animals
+    mothership: {
+        name: 'Smuggler Mothership',
+        health: 3000,
+        speed: 9,
+        turnRate: 0.08,
+        orbit: 0.45,
+        altitude: 70,
+        ceiling: 300,
+        animals: [10, 15],
+        model: {
+            scale: 6,
+            paint: 0x8a7b66, // Weathered canvas
+            parts: [
+                { shape: 'sphere', radius: 2, scale: [1, 1, 3] }, // Envelope
+                { shape: 'box', size: [1.4, 0.8, 4], position: [0, -2.2, 0.5], color: 0x3b3f46 }, // Gondola
+                { shape: 'box', size: [0.1, 1.6, 1.4], position: [0, 1.9, -5.2] }, // Fins
+                { shape: 'box', size: [0.1, 1.4, 1.4], position: [0, -1.8, -5.2] },
+                { shape: 'box', size: [3.4, 0.1, 1.4], position: [0, 0, -5.2] },
+                { shape: 'box', size: [0.9, 0.12, 0.4], position: [-2.2, -0.6, 2.5], color: 0x3b3f46 }, // Engine pylons
+                { shape: 'box', size: [0.9, 0.12, 0.4], position: [2.2, -0.6, 2.5], color: 0x3b3f46 },
+                { shape: 'box', size: [0.9, 0.12, 0.4], position: [-2.2, -0.6, -2.5], color: 0x3b3f46 },
+                { shape: 'box', size: [0.9, 0.12, 0.4], position: [2.2, -0.6, -2.5], color: 0x3b3f46 }
+            ]
+        },
+        hitboxes: [
+            { part: 'envelope', center: new THREE.Vector3(0, 0, 0), halfSize: new THREE.Vector3(12, 12, 36) },
+            { part: 'gondola', center: new THREE.Vector3(0, -13.2, 3), halfSize: new THREE.Vector3(4.2, 2.4, 12) }
+        ],
+        hitboxRadius: 45,
+        components: [
+            { name: 'left front engine', kind: 'engine', health: 400, position: [-2.6, -0.6, 2.5], size: [1, 1, 1.8], parts: ENGINE_PARTS },
+            { name: 'right front engine', kind: 'engine', health: 400, position: [2.6, -0.6, 2.5], size: [1, 1, 1.8], parts: ENGINE_PARTS },
+            { name: 'left rear engine', kind: 'engine', health: 400, position: [-2.6, -0.6, -2.5], size: [1, 1, 1.8], parts: ENGINE_PARTS },
+            { name: 'right rear engine', kind: 'engine', health: 400, position: [2.6, -0.6, -2.5], size: [1, 1, 1.8], parts: ENGINE_PARTS },
+            { name: 'top turret', kind: 'turret', health: 300, position: [0, 1.95, 1.5], size: [1, 1, 1], parts: TURRET_PARTS,
+                gun: { ...TURRET_GUN, aim: [0, 1, 0] } },
+            { name: 'tail turret', kind: 'turret', health: 300, position: [0, 1.8, -2.6], size: [1, 1, 1], parts: TURRET_PARTS,
+                gun: { ...TURRET_GUN, aim: [0, 0.5, -1] } },
+            { name: 'belly turret', kind: 'turret', health: 300, position: [0, -2.75, 2.2], size: [1, 1, 1], parts: TURRET_PARTS,
+                gun: { ...TURRET_GUN, aim: [0, -1, 0] } },
+            { name: 'forward cargo bay', kind: 'cargoBay', health: 300, position: [0, -2.7, 1.1], size: [1.1, 0.5, 1], parts: CARGO_BAY_PARTS, animals: 12 },
+            { name: 'middle cargo bay', kind: 'cargoBay', health: 300, position: [0, -2.7, 0], size: [1.1, 0.5, 1], parts: CARGO_BAY_PARTS, animals: 12 },
+            { name: 'aft cargo bay', kind: 'cargoBay', health: 300, position: [0, -2.7, -1.1], size: [1.1, 0.5, 1], parts: CARGO_BAY_PARTS, animals: 12 }
+        ],
+        phases: [
+            { name: 'Cruising', hullDamage: 0.25, fireRate: 1, escorts: 4 },
+            {
+                name: 'Calling for help',
+                when: boss => boss.components.filter(component => component.destroyed).length >= 3,
+                hullDamage: 0.25,
+                fireRate: 1.5,
+                escorts: 3,
+                message: 'The mothership is calling in more escorts!'
+            },
+            {
+                name: 'Going down',
+                when: boss => boss.countComponents('engine').working === 0,
+                hullDamage: 1,
+                fireRate: 2,
+                escorts: 0,
+                altitude: 35,
+                message: 'Engines out - the mothership is sinking and its hull is exposed!'
+            }
+        ],
+        escort: 'escort'
+    }
+};
+
+export const DEFAULT_BOSS = 'mothership';
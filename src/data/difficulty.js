@@ -0,0 +1,58 @@
+// Difficulty presets, picked on the intro screen or with ?difficulty=<key> in the URL.
+// Values are multipliers on the Normal game unless noted.
+export const DIFFICULTIES = {
+    easy: {
+        name: 'Easy',
+        reactionTime: 1.6, // Time between an enemy pilot's looks around - higher is slower to notice threats
+        reactionChance: 0.6, // Chance to break when threatened, hit or chased by a missile
+        accuracy: 0.6, // Enemy gun accuracy
+        aggression: 0.5, // Chance to hunt the player, from spawning and when spotting them
+        maneuverRate: 0.6, // How often enemies throw in dives, jinks and rolls
+        speed: 0.9,
+        turnRate: 0.85,
+        enemyCount: 0.6, // Planes in each wave
+        respawnDelay: 6, // Seconds before a respawning wave replaces a plane
+        playerDamage: 0.6 // Damage the player takes
+    },
+    normal: {
+        name: 'Normal',
+        reactionTime: 1,
+        reactionChance: 1,
+        accuracy: 1,
+        aggression: 1,
+        maneuverRate: 1,
+        speed: 1,
+        turnRate: 1,
+        enemyCount: 1,
+        respawnDelay: 2,
+        playerDamage: 1
+    },
+    hard: {
+        name: 'Hard',
+        reactionTime: 0.7,
+        reactionChance: 1.3,
+        accuracy: 1.25,
+        aggression: 1.4,
+        maneuverRate: 1.3,
+        speed: 1.1,
+        turnRate: 1.15,
+        enemyCount: 1.25,
+        respawnDelay: 1,
+        playerDamage: 1.25
+    },
+    ace: {
+        name: 'Ace',
+        reactionTime: 0.5,
+        reactionChance: 1.6,
+        accuracy: 1.5,
+        aggression: 1.8,
+        maneuverRate: 1.6,
+        speed: 1.2,
+        turnRate: 1.3,
+        enemyCount: 1.5,
+        respawnDelay: 0,
+        playerDamage: 1.5
+    }
+};
+
+export const DEFAULT_DIFFICULTY = 'normal';
@@ -0,0 +1,385 @@
+import * as THREE from 'three';
+import {
+    all, any, not, stunt, finished, nearBoundary, hunting, lostPlayer, playerSpotted, playerInSight, playerWithin,
+    missileIncoming, flinched, underGuns, canDive, diveOnPlayer, wingmanNearby, formedUp, leadingFormation,
+    followingFormation, formationOrdered, regroupDue, escorting, strayedFromCharge
+} from '../ai/conditions';
+
+// Pilot temperaments - each enemy draws one at random, tuning how its behaviours fly.
+// headingChangeTime is the range of seconds between new headings while cruising,
+// aimNoise how loosely it heads for the player, sidestepChance how often it cuts across
+// the player's path instead, diveRate how often per second it dives on a nearby player.
+export const PILOT_STYLES = {
+    cautious: { headingChangeTime: [2, 5], aimNoise: 0.2, sidestepChance: 0, speedFactor: 0.9, diveRate: 0, joinsFormations: false },
+    aggressive: { headingChangeTime: [1, 3], aimNoise: 0.1, sidestepChance: 0, speedFactor: 1.2, diveRate: 0.05, joinsFormations: false },
+    jumpy: { headingChangeTime: [0.5, 1.5], aimNoise: 0.4, sidestepChance: 0.3, speedFactor: 1.0, diveRate: 0, joinsFormations: false },
+    diver: { headingChangeTime: [2, 5], aimNoise: 0.2, sidestepChance: 0, speedFactor: 1.0, diveRate: 0.1, joinsFormations: false },
+    wingman: { headingChangeTime: [2, 5], aimNoise: 0.2, sidestepChance: 0, speedFactor: 1.0, diveRate: 0, joinsFormations: true }
+};
+
+const CRUISING = ['patrol', 'pursue', 'formation'];
+const MANEUVERS = ['evade', 'dive', 'roll', 'reversal', 'pincer', 'break'];
+
+// How fighters fly. Transitions are checked top to bottom and the first match wins,
+// so staying on the map comes before reacting to threats, which comes before picking fights.
+// breakState is how the pilot answers the player's guns lining up on it when flying alone -
+// in formation, the whole formation breaks together.
+function fighterTransitions(breakState) {
+    return [
+        // Stay on the map - wingmen in their slots follow their leader home
+        { from: ['patrol', 'pursue', ...MANEUVERS], to: 'return', when: nearBoundary },
+        { from: 'return', to: 'pursue', when: all(finished, hunting) },
+        { from: 'return', to: 'patrol', when: finished },
+
+        // React to threats - a missile interrupts anything, even another break
+        { from: [...CRUISING, ...MANEUVERS], to: 'evade', when: missileIncoming },
+        { from: [...CRUISING, 'dive', 'roll'], to: 'evade', when: flinched },
+        { from: [...CRUISING, 'dive'], to: 'break', when: all(formedUp, underGuns) },
+        { from: CRUISING, to: 'break', when: formationOrdered('break') },
+        { from: [...CRUISING, 'dive'], to: breakState, when: underGuns },
+
+        // Finish maneuvers and go back to what we were doing - after a break, form up again
+        { from: 'break', to: 'formation', when: all(finished, followingFormation) },
+        { from: [...MANEUVERS, 'formation'], to: 'pursue', when: all(finished, hunting) },
+        { from: [...MANEUVERS, 'formation'], to: 'patrol', when: finished },
+
+        // A formation attacks together - the leader calls a pincer and the wingmen swing out wide.
+        // Wingmen who have fought on their own for a while form up again.
+        { from: ['patrol', 'pursue'], to: 'pincer', when: all(leadingFormation, formedUp, playerInSight, playerWithin(250)) },
+        { from: 'formation', to: 'pincer', when: formationOrdered('pincer') },
+        { from: 'pursue', to: 'formation', when: regroupDue(15) },
+
+        // Pick fights, or give up on them
+        { from: 'patrol', to: 'pursue', when: playerSpotted },
+        { from: 'pursue', to: 'patrol', when: lostPlayer },
+        { from: 'patrol', to: 'formation', when: any(followingFormation, wingmanNearby) },
+        { from: 'pursue', to: 'dive', when: all(canDive, diveOnPlayer(100)) },
+
+        // Now and then, show off - but not while leading a formation that's trying to keep up
+        { from: ['patrol', 'pursue'], to: 'dive', when: all(not(formedUp), canDive, stunt(0.4)) },
+        { from: ['patrol', 'pursue'], to: 'evade', when: all(not(formedUp), stunt(0.3)) },
+        { from: ['patrol', 'pursue'], to: 'roll', when: all(not(formedUp), stunt(0.3)) }
+    ];
+}
+
+// Big slow planes don't fight - they lumber about and try to get away from the player
+const TRANSPORT_TRANSITIONS = [
+    { from: ['patrol', 'flee', 'evade'], to: 'return', when: nearBoundary },
+    { from: 'return', to: 'patrol', when: finished },
+    { from: ['patrol', 'flee', 'evade'], to: 'evade', when: missileIncoming },
+    { from: ['patrol', 'flee'], to: 'evade', when: flinched },
+    { from: ['evade', 'flee'], to: 'patrol', when: finished },
+    { from: 'patrol', to: 'flee', when: playerWithin(200) }
+];
+
+// Escorts stay with the plane they guard (see data/bosses.js), peel off after a player who
+// comes close, and head back once they've been drawn too far away or lose the player.
+// With nothing left to guard they fly on as ordinary fighters.
+const ESCORT_TRANSITIONS = [
+    { from: ['escort', 'pursue', 'patrol', 'evade'], to: 'return', when: nearBoundary },
+    { from: 'return', to: 'escort', when: all(finished, escorting) },
+    { from: 'return', to: 'patrol', when: finished },
+
+    { from: ['escort', 'pursue', 'patrol', 'evade'], to: 'evade', when: missileIncoming },
+    { from: ['escort', 'pursue', 'patrol'], to: 'evade', when: flinched },
+    { from: 'evade', to: 'pursue', when: all(finished, hunting) },
+    { from: 'evade', to: 'escort', when: all(finished, escorting) },
+    { from: 'evade', to: 'patrol', when: finished },
+
+    { from: 'escort', to: 'patrol', when: finished },
+    { from: 'escort', to: 'pursue', when: playerWithin(250) },
+    { from: 'pursue', to: 'escort', when: all(escorting, any(lostPlayer, strayedFromCharge(400))) },
+    { from: 'pursue', to: 'patrol', when: lostPlayer },
+    { from: 'patrol', to: 'pursue', when: playerSpotted }
+];
+
+const FIGHTER_STATES = {
+    patrol: { behavior: 'patrol' },
+    pursue: { behavior: 'pursue' },
+    formation: { behavior: 'formation' },
+    pincer: { behavior: 'pincer' },
+    break: { behavior: 'break' },
+    evade: { behavior: 'evade' },
+    dive: { behavior: 'dive' },
+    roll: { behavior: 'barrelRoll' },
+    return: { behavior: 'return' }
+};
+
+const TRANSPORT_STATES = {
+    patrol: { behavior: 'patrol' },
+    flee: { behavior: 'flee' },
+    evade: { behavior: 'evade', options: { duration: [2, 3] } },
+    return: { behavior: 'return', options: { giveUpChance: 0 } }
+};
+
+const ESCORT_STATES = {
+    escort: { behavior: 'escort' },
+    patrol: { behavior: 'patrol' },
+    pursue: { behavior: 'pursue' },
+    evade: { behavior: 'evade' },
+    return: { behavior: 'return', options: { giveUpChance: 0 } }
+};
+
+// Wingmen spawned in formation start out in their slots
+const startHunting = plane => {
+    if (plane.formation && !plane.formation.isLeader(plane)) return 'formation';
+    return plane.hunting ? 'pursue' : 'patrol';
+};
+
+// Model parts for the standard fighter, before scaling - also the ace's airframe
+const FIGHTER_PARTS = [
+    { shape: 'cylinder', radius: [0.75, 0.45], length: 4.5 }, // Fuselage, tapering to the tail
+    { shape: 'dome', radius: 0.75, scale: [1.0, 0.7, 1.2], position: [0, 0.3, 0.75], color: 0x333333, opacity: 0.7 }, // Cockpit
+    { shape: 'box', size: [3.75, 0.15, 1.2] }, // Wings
+    { shape: 'box', size: [1.5, 0.15, 0.75], position: [0, 0, -1.8] }, // Tail
+    { shape: 'box', size: [0.15, 0.9, 1.05], position: [0, 0.45, -1.8] }, // Vertical stabilizer
+    { shape: 'box', size: [1.5, 0.15, 0.075], position: [0, 0, 2.4], color: 0x333333, spins: true } // Propeller
+];
+
+// Hit boxes sized to the scaled-up fighter model.
+// Boxes are a little thicker than the thin wing and tail panels so grazing rounds still count.
+const FIGHTER_HITBOXES = [
+    { part: 'fuselage', center: new THREE.Vector3(0, 0.3, 0.4), halfSize: new THREE.Vector3(1.5, 1.6, 5.2), damageMultiplier: 1.0 },
+    { part: 'wings', center: new THREE.Vector3(0, 0, 0), halfSize: new THREE.Vector3(3.75, 0.4, 1.2), damageMultiplier: 0.6 },
+    { part: 'tail', center: new THREE.Vector3(0, 0.6, -3.6), halfSize: new THREE.Vector3(1.5, 1.3, 1.05), damageMultiplier: 0.8 }
+];
+
+// Enemy aircraft. Each type is pure data - add a new entry here and use its key in a map's waves.
+//   health, speed and turnRate - speed and turnRate are [min, max] ranges, each plane gets its own
+//   animals - [min, max] animals released when it's shot down
+//   model - parts built from simple shapes, in the model's own units, then scaled up by scale.
+//           Parts without a color take the paint color; spinning parts are propellers.
+//   hitboxes - boxes in the scaled plane's space, with hitboxRadius enclosing them all
+//   accuracy - [min, max] range for the crew's aim, shared by all its guns
+//   guns - EnemyGun options for each gun. Fixed guns point forward from the nose; turrets
+//          give a mount and aim direction in the plane's space and a wide fire cone.
+//   states - each state name mapped to a registered behaviour (see src/ai/behaviors) and its
+//            options; the same behaviour can back several states
+//   transitions, initial - the behaviour state machine (see src/ai/StateMachine.js)
+//   pilotStyles - temperaments the pilot is drawn from
+//   ai - the pilot's reaction tuning; huntChance is the chance to start out after the player
+export const ENEMY_TYPES = {
+    fighter: {
+        name: 'Fighter',
+        health: 150,
+        speed: [8.32, 14.56],
+        turnRate: [0.2, 0.5],
+        animals: [2, 4],
+        model: { scale: 2, paint: 0x4b5320, parts: FIGHTER_PARTS }, // Military green
+        hitboxes: FIGHTER_HITBOXES,
+        hitboxRadius: 7, // Wingtip to tail
+        accuracy: [0.25, 0.7],
+        guns: [{}],
+        states: FIGHTER_STATES,
+        transitions: fighterTransitions('evade'),
+        initial: startHunting,
+        pilotStyles: ['cautious', 'aggressive', 'jumpy', 'diver', 'wingman'],
+        ai: {
+            huntChance: 0.5,
+            threatReactionChance: 0.35, // Chance to break per look around while the player's guns are on us
+            hitReactionChance: 0.7, // Chance to jink when hit
+            missileEvadeChance: 0.6, // Chance to break when a missile closes in
+            aggression: 0.1, // Chance per look around to go after a player in sight
+            maneuverRate: 0.6 // Random stunts per second
+        }
+    },
+
+    // Fast and light - comes straight for the player but can't take much punishment
+    interceptor: {
+        name: 'Interceptor',
+        health: 100,
+        speed: [16, 20],
+        turnRate: [0.45, 0.6],
+        animals: [1, 2],
+        model: {
+            scale: 2,
+            paint: 0x6d7f93, // Steel blue
+            parts: [
+                { shape: 'cylinder', radius: [0.6, 0.35], length: 5.2 },
+                { shape: 'dome', radius: 0.6, scale: [1.0, 0.7, 1.4], position: [0, 0.25, 0.9], color: 0x333333, opacity: 0.7 },
+                { shape: 'box', size: [3.0, 0.12, 1.4], position: [0, 0, -0.3] },
+                { shape: 'box', size: [1.3, 0.12, 0.6], position: [0, 0, -2.2] },
+                { shape: 'box', size: [0.12, 1.0, 0.9], position: [0, 0.5, -2.2] },
+                { shape: 'box', size: [1.3, 0.12, 0.06], position: [0, 0, 2.7], color: 0x333333, spins: true }
+            ]
+        },
+        hitboxes: [
+            { part: 'fuselage', center: new THREE.Vector3(0, 0.3, 0.4), halfSize: new THREE.Vector3(1.2, 1.4, 5.6), damageMultiplier: 1.0 },
+            { part: 'wings', center: new THREE.Vector3(0, 0, -0.6), halfSize: new THREE.Vector3(3.0, 0.4, 1.4), damageMultiplier: 0.6 },
+            { part: 'tail', center: new THREE.Vector3(0, 0.6, -4.4), halfSize: new THREE.Vector3(1.3, 1.4, 0.9), damageMultiplier: 0.8 }
+        ],
+        hitboxRadius: 7,
+        accuracy: [0.35, 0.6],
+        guns: [{ bulletSpeed: 110, cooldown: 1.8 }],
+        states: FIGHTER_STATES,
+        transitions: fighterTransitions('evade'),
+        initial: startHunting,
+        pilotStyles: ['aggressive'],
+        ai: {
+            huntChance: 0.9,
+            threatReactionChance: 0.3,
+            hitReactionChance: 0.5,
+            missileEvadeChance: 0.5,
+            aggression: 0.3,
+            maneuverRate: 0.4
+        }
+    },
+
+    // A seasoned pilot - quick to react, a sharp shot, and turns the tables when chased
+    ace: {
+        name: 'Ace',
+        health: 220,
+        speed: [12, 15],
+        turnRate: [0.5, 0.7],
+        animals: [3, 5],
+        model: {
+            scale: 2,
+            paint: 0x9b1c1c, // Red
+            parts: [
+                ...FIGHTER_PARTS,
+                { shape: 'cylinder', radius: [0.2, 0.5], length: 0.6, position: [0, 0, 2.45], color: 0xd4a017 } // Yellow nose
+            ]
+        },
+        hitboxes: FIGHTER_HITBOXES,
+        hitboxRadius: 7,
+        accuracy: [0.7, 0.85],
+        guns: [{ burstLength: 6 }],
+        states: { ...FIGHTER_STATES, reversal: { behavior: 'reversal' } },
+        transitions: fighterTransitions('reversal'),
+        initial: startHunting,
+        pilotStyles: ['aggressive'],
+        ai: {
+            huntChance: 1,
+            threatReactionChance: 0.8,
+            hitReactionChance: 0.9,
+            missileEvadeChance: 0.85,
+            aggression: 0.5,
+            maneuverRate: 0.8
+        }
+    },
+
+    // Slow, heavily armoured and packed with animals - no guns, it just tries to get away
+    cargo: {
+        name: 'Cargo Plane',
+        health: 700,
+        speed: [5.5, 7],
+        turnRate: [0.1, 0.15],
+        animals: [8, 12],
+        model: {
+            scale: 3,
+            paint: 0x8b7d5b, // Khaki
+            parts: [
+                { shape: 'cylinder', radius: [1.1, 0.8], length: 6.5, segments: 10 },
+                { shape: 'dome', radius: 0.9, scale: [1.0, 0.7, 1.2], position: [0, 0.5, 2.2], color: 0x333333, opacity: 0.7 },
+                { shape: 'box', size: [9, 0.2, 1.6], position: [0, 0.6, 0.3] },
+                { shape: 'cylinder', radius: [0.35, 0.3], length: 1.6, position: [-2.2, 0.5, 1.0] }, // Engines
+                { shape: 'cylinder', radius: [0.35, 0.3], length: 1.6, position: [2.2, 0.5, 1.0] },
+                { shape: 'box', size: [1.4, 0.1, 0.06], position: [-2.2, 0.5, 1.85], color: 0x333333, spins: true },
+                { shape: 'box', size: [1.4, 0.1, 0.06], position: [2.2, 0.5, 1.85], color: 0x333333, spins: true },
+                { shape: 'box', size: [3, 0.15, 1], position: [0, 0.4, -3] },
+                { shape: 'box', size: [0.15, 1.6, 1.2], position: [0, 1.2, -3] }
+            ]
+        },
+        hitboxes: [
+            { part: 'fuselage', center: new THREE.Vector3(0, 0, 0), halfSize: new THREE.Vector3(3.3, 3.3, 9.8), damageMultiplier: 1.0 },
+            { part: 'wings', center: new THREE.Vector3(0, 1.8, 0.9), halfSize: new THREE.Vector3(13.5, 0.8, 2.6), damageMultiplier: 0.6 },
+            { part: 'tail', center: new THREE.Vector3(0, 2.4, -9), halfSize: new THREE.Vector3(4.5, 2.4, 1.8), damageMultiplier: 0.8 }
+        ],
+        hitboxRadius: 14,
+        accuracy: [0, 0],
+        guns: [],
+        states: TRANSPORT_STATES,
+        transitions: TRANSPORT_TRANSITIONS,
+        initial: 'patrol',
+        pilotStyles: ['cautious'],
+        ai: {
+            huntChance: 0,
+            threatReactionChance: 0,
+            hitReactionChance: 0.3,
+            missileEvadeChance: 0.3,
+            aggression: 0,
+            maneuverRate: 0
+        }
+    },
+
+    // A heavy twin with gunners in turrets on top and underneath, covering its tail.
+    // It runs from the player, so anyone chasing it flies into the turrets' fire.
+    gunship: {
+        name: 'Gunship',
+        health: 450,
+        speed: [7, 9],
+        turnRate: [0.15, 0.22],
+        animals: [4, 6],
+        model: {
+            scale: 2.5,
+            paint: 0x3b3f46, // Gunmetal
+            parts: [
+                { shape: 'cylinder', radius: [1.0, 0.7], length: 5.5 },
+                { shape: 'dome', radius: 0.8, scale: [1.0, 0.7, 1.2], position: [0, 0.4, 1.5], color: 0x333333, opacity: 0.7 },
+                { shape: 'box', size: [6.5, 0.18, 1.5], position: [0, 0.2, 0.2] },
+                { shape: 'cylinder', radius: [0.3, 0.25], length: 1.3, position: [-1.8, 0.2, 0.8] }, // Engines
+                { shape: 'cylinder', radius: [0.3, 0.25], length: 1.3, position: [1.8, 0.2, 0.8] },
+                { shape: 'box', size: [1.2, 0.1, 0.06], position: [-1.8, 0.2, 1.5], color: 0x333333, spins: true },
+                { shape: 'box', size: [1.2, 0.1, 0.06], position: [1.8, 0.2, 1.5], color: 0x333333, spins: true },
+                { shape: 'box', size: [2.4, 0.15, 0.9], position: [0, 0.3, -2.5] },
+                { shape: 'box', size: [0.12, 1.0, 0.9], position: [-1.2, 0.7, -2.5] }, // Twin tail fins
+                { shape: 'box', size: [0.12, 1.0, 0.9], position: [1.2, 0.7, -2.5] },
+                { shape: 'sphere', radius: 0.35, position: [0, 0.95, -1.6], color: 0x222222 }, // Top turret
+                { shape: 'box', size: [0.08, 0.08, 0.9], position: [0, 0.95, -2.1], color: 0x222222 },
+                { shape: 'sphere', radius: 0.35, position: [0, -0.85, -1.4], color: 0x222222 }, // Belly turret
+                { shape: 'box', size: [0.08, 0.08, 0.9], position: [0, -0.85, -1.9], color: 0x222222 }
+            ]
+        },
+        hitboxes: [
+            { part: 'fuselage', center: new THREE.Vector3(0, 0, 0), halfSize: new THREE.Vector3(2.5, 2.5, 6.9), damageMultiplier: 1.0 },
+            { part: 'wings', center: new THREE.Vector3(0, 0.5, 0.5), halfSize: new THREE.Vector3(8.1, 0.6, 1.9), damageMultiplier: 0.6 },
+            { part: 'tail', center: new THREE.Vector3(0, 1.75, -6.25), halfSize: new THREE.Vector3(3.0, 1.8, 1.2), damageMultiplier: 0.8 }
+        ],
+        hitboxRadius: 9,
+        accuracy: [0.3, 0.5],
+        guns: [
+            { mount: [0, 2.4, -6.5], aim: [0, 0.3, -1], fireCone: THREE.MathUtils.degToRad(60), range: 170, damage: 3, burstLength: 5 },
+            { mount: [0, -2.1, -6], aim: [0, -0.3, -1], fireCone: THREE.MathUtils.degToRad(60), range: 170, damage: 3, burstLength: 5 }
+        ],
+        states: TRANSPORT_STATES,
+        transitions: TRANSPORT_TRANSITIONS,
+        initial: 'patrol',
+        pilotStyles: ['cautious'],
+        ai: {
+            huntChance: 0,
+            threatReactionChance: 0,
+            hitReactionChance: 0.2,
+            missileEvadeChance: 0.4,
+            aggression: 0,
+            maneuverRate: 0
+        }
+    },
+
+    // Smugglers' fighters, scrambled to guard a boss - they stick close to it rather than roam
+    escort: {
+        name: 'Escort Fighter',
+        health: 180,
+        speed: [11, 14],
+        turnRate: [0.4, 0.55],
+        animals: [2, 3],
+        model: { scale: 2, paint: 0x4a2c5e, parts: FIGHTER_PARTS }, // Smugglers' purple
+        hitboxes: FIGHTER_HITBOXES,
+        hitboxRadius: 7,
+        accuracy: [0.4, 0.7],
+        guns: [{}],
+        states: ESCORT_STATES,
+        transitions: ESCORT_TRANSITIONS,
+        initial: 'escort',
+        pilotStyles: ['aggressive', 'cautious'],
+        ai: {
+            huntChance: 0,
+            threatReactionChance: 0,
+            hitReactionChance: 0.6,
+            missileEvadeChance: 0.6,
+            aggression: 0.3,
+            maneuverRate: 0
+        }
+    }
+};
+
+export const DEFAULT_ENEMY_TYPE = 'fighter';
@@ -0,0 +1,38 @@
+// Formation shapes for groups of enemy planes (see src/ai/Formation.js).
+// The leader flies at the point of the formation; slot(n) places the nth wingman as
+// [sideways, back] in multiples of the spacing - positive sideways is off the leader's left wing.
+//   size - the most planes, leader included, the shape has room for
+//   spacing - distance between neighbouring slots
+export const FORMATIONS = {
+    // Wingmen alternate left and right, each pair a step further back
+    v: {
+        name: 'V',
+        size: 5,
+        spacing: 18,
+        slot: n => {
+            const rank = Math.ceil(n / 2);
+            return [n % 2 === 1 ? rank : -rank, -rank];
+        }
+    },
+
+    // A diagonal line stepping back off the leader's right wing
+    echelon: {
+        name: 'Echelon',
+        size: 4,
+        spacing: 18,
+        slot: n => [-n, -n]
+    },
+
+    // Side by side, alternating left and right of the leader
+    lineAbreast: {
+        name: 'Line abreast',
+        size: 4,
+        spacing: 22,
+        slot: n => {
+            const rank = Math.ceil(n / 2);
+            return [n % 2 === 1 ? rank : -rank, 0];
+        }
+    }
+};
+
+export const DEFAULT_FORMATION = 'v';
@@ -0,0 +1,37 @@
+import classic from './maps/classic.json';
+import highlands from './maps/highlands.json';
+import lakeland from './maps/lakeland.json';
+
+// World maps that ship with the game, picked with ?map=<key>. Each is a world definition
+// file (see utils/WorldMap.js for the format) and is checked when it's loaded.
+export const MAPS = {
+    classic,
+    highlands,
+    lakeland
+};
+
+export const DEFAULT_MAP = 'classic';
+
+// The map editor's map, kept in the browser so it can be played with ?map=custom
+export const CUSTOM_MAP = 'custom';
+
+const CUSTOM_MAP_STORAGE_KEY = 'whenPigsFly.customMap';
+
+export function loadCustomMap() {
+    try {
+        return JSON.parse(window.localStorage.getItem(CUSTOM_MAP_STORAGE_KEY));
+    } catch (error) {
+        console.error("Error loading custom map:", error);
+        return null;
+    }
+}
+
+export function saveCustomMap(data) {
+    try {
+        window.localStorage.setItem(CUSTOM_MAP_STORAGE_KEY, JSON.stringify(data));
+        return true;
+    } catch (error) {
+        console.error("Error saving custom map:", error);
+        return false;
+    }
+}
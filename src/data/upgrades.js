@@ -0,0 +1,52 @@
+// Temporary upgrades dropped as pickups. Each modifier changes one stat on the player's gun
+// ('gun', a key of its weapon config) or on the player itself ('player') while the upgrade lasts.
+// Modifiers either multiply the stat or set it outright; picking up an upgrade that's already
+// running just resets its timer.
+export const UPGRADES = {
+    twinGuns: {
+        name: 'Twin guns',
+        color: 0xffc107,
+        duration: 20, // Seconds
+        modifiers: [
+            { target: 'gun', stat: 'barrels', set: 2 }
+        ]
+    },
+    spreadShot: {
+        name: 'Spread shot',
+        color: 0xff5722,
+        duration: 15,
+        modifiers: [
+            { target: 'gun', stat: 'pellets', set: 3 }
+        ]
+    },
+    fastBullets: {
+        name: 'Fast bullets',
+        color: 0x00bcd4,
+        duration: 20,
+        modifiers: [
+            { target: 'gun', stat: 'bulletSpeed', multiply: 1.6 },
+            { target: 'gun', stat: 'heatPerShot', multiply: 0.6 }
+        ]
+    },
+    shield: {
+        name: 'Shield',
+        color: 0x2196f3,
+        duration: 12,
+        aura: true, // Draw a bubble around the plane while it lasts
+        modifiers: [
+            { target: 'player', stat: 'damageMultiplier', set: 0 }
+        ]
+    },
+    speedBoost: {
+        name: 'Speed boost',
+        color: 0x8bc34a,
+        duration: 10,
+        modifiers: [
+            { target: 'player', stat: 'thrustPower', multiply: 1.6 },
+            { target: 'player', stat: 'maxSpeed', multiply: 1.3 }
+        ]
+    }
+};
+
+// Chance a destroyed enemy leaves a pickup behind
+export const PICKUP_DROP_CHANCE = 0.35;
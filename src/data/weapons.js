@@ -0,0 +1,30 @@
+import * as THREE from 'three';
+
+// Gun configurations for the player's planes.
+// Heat is 0..1 - reaching 1 locks the gun out until it has cooled back down to resumeHeat.
+// Spread is the half-angle of the cone rounds leave the barrel in, growing the longer the trigger is held.
+export const WEAPONS = {
+    machineGun: {
+        name: 'Machine gun',
+        fireInterval: 0.1, // Seconds between rounds
+        ammo: 500, // Rounds carried - reloaded by the ground crew at the runway
+        reloadRate: 100, // Rounds per second loaded on the runway
+        damage: 25,
+        bulletSpeed: 80,
+        bulletLifetime: 3, // Seconds before a round falls away harmlessly
+        heatPerShot: 0.05, // With cooling, about 4 seconds of continuous fire to overheat
+        coolingRate: 0.25, // Heat lost per second
+        resumeHeat: 0.4, // An overheated gun fires again once cooled to this
+        baseSpread: THREE.MathUtils.degToRad(0.3),
+        maxSpread: THREE.MathUtils.degToRad(3),
+        spreadPerShot: THREE.MathUtils.degToRad(0.15), // Barrel walk added by each round
+        spreadRecovery: THREE.MathUtils.degToRad(4), // Spread recovered per second off the trigger
+        tracerEvery: 4, // Every Nth round glows so the stream can be walked onto a target
+        barrels: 1, // Guns firing together - more than one are spread out along the wings
+        barrelSpacing: 3,
+        pellets: 1, // Rounds per barrel per shot, fanned out side to side
+        pelletAngle: THREE.MathUtils.degToRad(4) // Angle between neighbouring pellets
+    }
+};
+
+export const DEFAULT_WEAPON = 'machineGun';
@@ -0,0 +1,203 @@
+// Every rebindable keyboard action, in the order the settings screen lists them.
+// Held actions are read every frame, one-shot actions fire once per key press.
+export const ACTIONS = [
+    { id: 'pitchUp', label: 'Pitch up', type: 'held' },
+    { id: 'pitchDown', label: 'Pitch down', type: 'held' },
+    { id: 'rollLeft', label: 'Roll left', type: 'held' },
+    { id: 'rollRight', label: 'Roll right', type: 'held' },
+    { id: 'yawLeft', label: 'Yaw left', type: 'held' },
+    { id: 'yawRight', label: 'Yaw right', type: 'held' },
+    { id: 'throttle', label: 'Throttle up', type: 'held' },
+    { id: 'brake', label: 'Throttle down / brake', type: 'held' },
+    { id: 'fire', label: 'Fire', type: 'held' },
+    { id: 'missile', label: 'Fire missile', type: 'oneShot' },
+    { id: 'camera', label: 'Change camera', type: 'oneShot' },
+    { id: 'flightModel', label: 'Switch flight model', type: 'oneShot' },
+    { id: 'mouseAim', label: 'Toggle mouse aim', type: 'oneShot' },
+    { id: 'pause', label: 'Pause', type: 'oneShot' }
+];
+
+// Each action has up to two keys - a primary and an alternate
+export const DEFAULT_BINDINGS = {
+    pitchUp: ['ArrowUp', null],
+    pitchDown: ['ArrowDown', null],
+    rollLeft: ['a', 'ArrowLeft'],
+    rollRight: ['d', 'ArrowRight'],
+    yawLeft: ['q', null],
+    yawRight: ['e', null],
+    throttle: ['w', null],
+    brake: ['s', null],
+    fire: [' ', null],
+    missile: ['f', null],
+    camera: ['c', null],
+    flightModel: ['m', null],
+    mouseAim: ['v', null],
+    pause: ['p', 'Escape']
+};
+
+// Related actions share a line in the compact control lists on the intro screen and HUD
+export const CONTROL_SUMMARY = [
+    { actions: ['pitchUp', 'pitchDown'], label: 'Pitch up/down' },
+    { actions: ['rollLeft', 'rollRight'], label: 'Roll left/right' },
+    { actions: ['yawLeft', 'yawRight'], label: 'Rudder - yaw left/right' },
+    { actions: ['throttle', 'brake'], label: 'Throttle up/down' },
+    { actions: ['fire'], label: 'Fire' },
+    { actions: ['missile'], label: 'Fire missile (lock on first)' },
+    { actions: ['camera'], label: 'Change camera' },
+    { actions: ['flightModel'], label: 'Switch flight model' },
+    { actions: ['mouseAim'], label: 'Mouse aim on/off' },
+    { actions: ['pause'], label: 'Pause' }
+];
+
+const STORAGE_KEY = 'whenPigsFly.keyBindings';
+
+const KEY_NAMES = {
+    ' ': 'Space',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    Escape: 'Esc'
+};
+
+// Letters are stored lower case so Shift and Caps Lock don't break bindings
+export function normalizeKey(key) {
+    return key.length === 1 ? key.toLowerCase() : key;
+}
+
+export function formatKey(key) {
+    if (!key) return '-';
+    if (KEY_NAMES[key]) return KEY_NAMES[key];
+    return key.length === 1 ? key.toUpperCase() : key;
+}
+
+export class ActionMap {
+    constructor() {
+        this.listeners = [];
+        this.bindings = this.load();
+    }
+
+    static copyBindings(bindings) {
+        const copy = {};
+        for (const action of ACTIONS) {
+            copy[action.id] = [...bindings[action.id]];
+        }
+        return copy;
+    }
+
+    load() {
+        const bindings = ActionMap.copyBindings(DEFAULT_BINDINGS);
+
+        try {
+            const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+            if (saved) {
+                // Only take well-formed entries for actions that still exist
+                for (const action of ACTIONS) {
+                    const keys = saved[action.id];
+                    if (Array.isArray(keys) && keys.length === 2 &&
+                        keys.every(key => key === null || typeof key === 'string')) {
+                        bindings[action.id] = keys;
+                    }
+                }
+            }
+        } catch (error) {
+            console.error("Error loading key bindings:", error);
+        }
+
+        // A hand-edited or outdated save could bind one key twice - drop the later duplicates
+        const seen = new Set();
+        for (const action of ACTIONS) {
+            bindings[action.id] = bindings[action.id].map(key => {
+                if (key === null || seen.has(key)) return null;
+                seen.add(key);
+                return key;
+            });
+        }
+
+        return bindings;
+    }
+
+    save() {
+        try {
+            window.localStorage.setItem(STORAGE_KEY, JSON.stringify(this.bindings));
+        } catch (error) {
+            console.error("Error saving key bindings:", error);
+        }
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notifyChange() {
+        this.save();
+        for (const listener of this.listeners) {
+            listener(this);
+        }
+    }
+
+    getKeys(actionId) {
+        return this.bindings[actionId].filter(key => key !== null);
+    }
+
+    // Actions a key is bound to - normally at most one
+    getActionsForKey(key) {
+        const normalized = normalizeKey(key);
+        return ACTIONS
+            .filter(action => this.bindings[action.id].includes(normalized))
+            .map(action => action.id);
+    }
+
+    // The action already using a key, ignoring the slot being rebound
+    findConflict(key, actionId, slot) {
+        const normalized = normalizeKey(key);
+        for (const action of ACTIONS) {
+            const keys = this.bindings[action.id];
+            for (let i = 0; i < keys.length; i++) {
+                if (keys[i] === normalized && !(action.id === actionId && i === slot)) {
+                    return { actionId: action.id, slot: i };
+                }
+            }
+        }
+        return null;
+    }
+
+    // Bind a key to one slot of an action. A key can only do one thing, so it is
+    // taken away from any action that already had it - returns that conflict, if any.
+    bind(actionId, slot, key) {
+        const normalized = normalizeKey(key);
+        const conflict = this.findConflict(normalized, actionId, slot);
+        if (conflict) {
+            this.bindings[conflict.actionId][conflict.slot] = null;
+        }
+        this.bindings[actionId][slot] = normalized;
+        this.notifyChange();
+        return conflict;
+    }
+
+    unbind(actionId, slot) {
+        this.bindings[actionId][slot] = null;
+        this.notifyChange();
+    }
+
+    resetToDefaults() {
+        this.bindings = ActionMap.copyBindings(DEFAULT_BINDINGS);
+        this.notifyChange();
+    }
+
+    // Human readable keys for an action, e.g. "A / ←"
+    describe(actionId) {
+        const keys = this.getKeys(actionId);
+        return keys.length > 0 ? keys.map(formatKey).join(' / ') : 'Unbound';
+    }
+
+    // Keys for several actions on one line, e.g. "↑, ↓"
+    describeGroup(actionIds) {
+        return actionIds.map(actionId => this.describe(actionId)).join(', ');
+    }
+
+    getLabel(actionId) {
+        const action = ACTIONS.find(a => a.id === actionId);
+        return action ? action.label : actionId;
+    }
+}
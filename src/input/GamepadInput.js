@@ -0,0 +1,131 @@
+// Default controller layout for the browser's "standard" gamepad mapping.
+// Axis values are -1..1, buttons report a pressure value of 0..1.
+export const DEFAULT_GAMEPAD_CONFIG = {
+    axes: {
+        roll: { index: 0, invert: true, deadZone: 0.12, expo: 0.4 }, // Left stick X - left is negative
+        pitch: { index: 1, invert: false, deadZone: 0.12, expo: 0.4 }, // Left stick Y - pulling back is positive
+        yaw: { index: 2, invert: true, deadZone: 0.2, expo: 0.2 } // Right stick X
+    },
+    triggers: {
+        throttleUp: { index: 7, deadZone: 0.05 }, // Right trigger
+        throttleDown: { index: 6, deadZone: 0.05 } // Left trigger
+    },
+    buttons: {
+        shoot: [0, 5], // A / cross, or right bumper
+        missile: [1, 4], // B / circle, or left bumper
+        flightModel: [3], // Y / triangle
+        camera: [8], // Back / select
+        pause: [9] // Start
+    },
+    buttonThreshold: 0.5 // Pressure needed for a button to count as held
+};
+
+// Remove the dead zone, rescale what is left to the full range, then apply
+// an expo curve - 0 is linear, 1 is fully cubic for fine control near centre
+export function applyResponseCurve(value, deadZone, expo) {
+    const magnitude = Math.abs(value);
+    if (magnitude <= deadZone) return 0;
+
+    const scaled = Math.min(1, (magnitude - deadZone) / (1 - deadZone));
+    const curved = (1 - expo) * scaled + expo * scaled * scaled * scaled;
+    return Math.sign(value) * curved;
+}
+
+// Gamepad source - polled every frame, the Gamepad API has no input events
+export class GamepadInput {
+    constructor(config = {}) {
+        this.config = { ...DEFAULT_GAMEPAD_CONFIG, ...config };
+        this.gamepadIndex = null;
+        this.previousButtons = {}; // Button states from the last poll, for one-shot actions
+
+        this.handleConnected = this.handleConnected.bind(this);
+        this.handleDisconnected = this.handleDisconnected.bind(this);
+        window.addEventListener('gamepadconnected', this.handleConnected);
+        window.addEventListener('gamepaddisconnected', this.handleDisconnected);
+    }
+
+    handleConnected(event) {
+        console.log(`Gamepad connected: ${event.gamepad.id}`);
+        if (this.gamepadIndex === null) {
+            this.gamepadIndex = event.gamepad.index;
+        }
+    }
+
+    handleDisconnected(event) {
+        console.log(`Gamepad disconnected: ${event.gamepad.id}`);
+        if (this.gamepadIndex === event.gamepad.index) {
+            this.gamepadIndex = null;
+            this.previousButtons = {};
+        }
+    }
+
+    get connected() {
+        return this.getGamepad() !== null;
+    }
+
+    getGamepad() {
+        if (!navigator.getGamepads) return null;
+
+        const gamepads = navigator.getGamepads();
+        if (this.gamepadIndex !== null && gamepads[this.gamepadIndex]) {
+            return gamepads[this.gamepadIndex];
+        }
+
+        // Some browsers only expose pads after a button press and skip the connected event
+        for (const gamepad of gamepads) {
+            if (gamepad && gamepad.connected) {
+                this.gamepadIndex = gamepad.index;
+                return gamepad;
+            }
+        }
+        return null;
+    }
+
+    readAxis(gamepad, axis) {
+        const raw = gamepad.axes[axis.index] || 0;
+        const value = applyResponseCurve(raw, axis.deadZone, axis.expo);
+        return axis.invert ? -value : value;
+    }
+
+    readTrigger(gamepad, trigger) {
+        const button = gamepad.buttons[trigger.index];
+        if (!button) return 0;
+        return applyResponseCurve(button.value, trigger.deadZone, 0);
+    }
+
+    isButtonHeld(gamepad, indices) {
+        return indices.some(index => {
+            const button = gamepad.buttons[index];
+            return button && (button.pressed || button.value > this.config.buttonThreshold);
+        });
+    }
+
+    // Add this source's input into the combined control state
+    read(state) {
+        const gamepad = this.getGamepad();
+        if (!gamepad) return;
+
+        const { axes, triggers, buttons } = this.config;
+        state.pitch += this.readAxis(gamepad, axes.pitch);
+        state.roll += this.readAxis(gamepad, axes.roll);
+        state.yaw += this.readAxis(gamepad, axes.yaw);
+        state.throttleUp = Math.max(state.throttleUp, this.readTrigger(gamepad, triggers.throttleUp));
+        state.throttleDown = Math.max(state.throttleDown, this.readTrigger(gamepad, triggers.throttleDown));
+        state.shoot = state.shoot || this.isButtonHeld(gamepad, buttons.shoot);
+
+        // Actions fire once when their button goes down
+        for (const action of Object.keys(buttons)) {
+            if (action === 'shoot') continue;
+            const held = this.isButtonHeld(gamepad, buttons[action]);
+            if (held && !this.previousButtons[action]) {
+                state.actions.push(action);
+            }
+            this.previousButtons[action] = held;
+        }
+    }
+
+    dispose() {
+        window.removeEventListener('gamepadconnected', this.handleConnected);
+        window.removeEventListener('gamepaddisconnected', this.handleDisconnected);
+    }
+}
@@ -0,0 +1,65 @@
+import { ActionMap } from './ActionMap';
+import { KeyboardInput } from './KeyboardInput';
+import { GamepadInput } from './GamepadInput';
+import { TouchInput } from './TouchInput';
+import { MouseAimInput } from './MouseAimInput';
+
+// Combines every input source into one analog control state each frame.
+// Axes are -1..1 (pitch positive nose up, roll positive left wing down, yaw positive nose left),
+// throttle rates are 0..1, throttleTarget is an absolute throttle position from a slider
+// (null when no source sets one), aimDirection is a world-space direction for the autopilot
+// to fly toward in mouse-aim mode (null otherwise) and actions lists the one-shot buttons pressed this frame.
+export class InputManager {
+    constructor(options = {}) {
+        this.actionMap = new ActionMap();
+        this.keyboard = new KeyboardInput(this.actionMap);
+        this.gamepad = new GamepadInput(options.gamepad);
+        this.touch = new TouchInput(options.touch !== undefined ? options.touch : TouchInput.isTouchDevice());
+        this.mouseAim = new MouseAimInput(options.mouseElement);
+        this.sources = [this.keyboard, this.gamepad, this.touch, this.mouseAim];
+    }
+
+    static createControlState() {
+        return {
+            pitch: 0,
+            roll: 0,
+            yaw: 0,
+            throttleUp: 0,
+            throttleDown: 0,
+            throttleTarget: null,
+            aimDirection: null,
+            shoot: false,
+            actions: []
+        };
+    }
+
+    // Poll every source into the given control state
+    update(state) {
+        state.pitch = 0;
+        state.roll = 0;
+        state.yaw = 0;
+        state.throttleUp = 0;
+        state.throttleDown = 0;
+        state.throttleTarget = null;
+        state.aimDirection = null;
+        state.shoot = false;
+        state.actions.length = 0;
+
+        for (const source of this.sources) {
+            source.read(state);
+        }
+
+        // Keyboard and stick together can't exceed full deflection
+        state.pitch = Math.max(-1, Math.min(1, state.pitch));
+        state.roll = Math.max(-1, Math.min(1, state.roll));
+        state.yaw = Math.max(-1, Math.min(1, state.yaw));
+
+        return state;
+    }
+
+    dispose() {
+        for (const source of this.sources) {
+            source.dispose();
+        }
+    }
+}
@@ -0,0 +1,65 @@
+import { ACTIONS, normalizeKey } from './ActionMap';
+
+// Keyboard source - keys are looked up through the action map,
+// and digital keys give full deflection on the analog axes
+export class KeyboardInput {
+    constructor(actionMap) {
+        this.actionMap = actionMap;
+        this.keys = {};
+        this.pressedKeys = []; // Keys pressed since the last read, for one-shot actions
+
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleKeyUp = this.handleKeyUp.bind(this);
+        window.addEventListener('keydown', this.handleKeyDown);
+        window.addEventListener('keyup', this.handleKeyUp);
+    }
+
+    handleKeyDown(event) {
+        const key = normalizeKey(event.key);
+        if (!event.repeat) {
+            this.pressedKeys.push(key);
+        }
+        this.keys[key] = true;
+    }
+
+    handleKeyUp(event) {
+        this.keys[normalizeKey(event.key)] = false;
+    }
+
+    isDown(...keys) {
+        return keys.some(key => this.keys[normalizeKey(key)]);
+    }
+
+    isActionDown(actionId) {
+        return this.isDown(...this.actionMap.getKeys(actionId));
+    }
+
+    axis(positiveAction, negativeAction) {
+        return (this.isActionDown(positiveAction) ? 1 : 0) - (this.isActionDown(negativeAction) ? 1 : 0);
+    }
+
+    // Add this source's input into the combined control state
+    read(state) {
+        state.pitch += this.axis('pitchUp', 'pitchDown');
+        state.roll += this.axis('rollLeft', 'rollRight');
+        state.yaw += this.axis('yawLeft', 'yawRight');
+        state.throttleUp = Math.max(state.throttleUp, this.isActionDown('throttle') ? 1 : 0);
+        state.throttleDown = Math.max(state.throttleDown, this.isActionDown('brake') ? 1 : 0);
+        state.shoot = state.shoot || this.isActionDown('fire');
+
+        for (const key of this.pressedKeys) {
+            for (const actionId of this.actionMap.getActionsForKey(key)) {
+                const action = ACTIONS.find(a => a.id === actionId);
+                if (action.type === 'oneShot') {
+                    state.actions.push(actionId);
+                }
+            }
+        }
+        this.pressedKeys = [];
+    }
+
+    dispose() {
+        window.removeEventListener('keydown', this.handleKeyDown);
+        window.removeEventListener('keyup', this.handleKeyUp);
+    }
+}
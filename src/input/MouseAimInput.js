@@ -0,0 +1,160 @@
+import * as THREE from 'three';
+
+// Mouse-aim source - the mouse moves a reticle around the sky (Pointer Lock API)
+// and the player's autopilot flies toward it. Left click fires the guns, right click a missile.
+export class MouseAimInput {
+    constructor(element) {
+        this.element = element; // The game canvas, which takes the pointer lock
+        this.enabled = false;
+        this.locked = false;
+        this.releasing = false; // Set while the game gives the pointer back on purpose
+        this.firing = false;
+        this.pendingActions = [];
+
+        // Aim as a compass heading and an elevation - positive heading turns toward +X like the plane's
+        this.aimHeading = 0;
+        this.aimPitch = 0;
+        this.aimDirection = new THREE.Vector3(0, 0, 1);
+        this.sensitivity = 0.0025; // Radians per pixel of mouse movement
+        this.maxAimPitch = THREE.MathUtils.degToRad(75);
+
+        this.handleMouseDown = this.handleMouseDown.bind(this);
+        this.handleMouseUp = this.handleMouseUp.bind(this);
+        this.handleMouseMove = this.handleMouseMove.bind(this);
+        this.handlePointerLockChange = this.handlePointerLockChange.bind(this);
+        this.handleContextMenu = (event) => {
+            if (this.enabled) event.preventDefault();
+        };
+
+        if (this.element) {
+            this.element.addEventListener('mousedown', this.handleMouseDown);
+            this.element.addEventListener('contextmenu', this.handleContextMenu);
+        }
+        window.addEventListener('mouseup', this.handleMouseUp);
+        document.addEventListener('mousemove', this.handleMouseMove);
+        document.addEventListener('pointerlockchange', this.handlePointerLockChange);
+    }
+
+    // Turning mouse aim on starts the reticle wherever the plane is pointing
+    setEnabled(enabled, forward) {
+        this.enabled = enabled;
+        this.firing = false;
+
+        if (enabled) {
+            if (forward) {
+                this.aimHeading = Math.atan2(forward.x, forward.z);
+                this.aimPitch = Math.asin(THREE.MathUtils.clamp(forward.y, -1, 1));
+                this.updateAimDirection();
+            }
+        } else {
+            this.release();
+        }
+        console.log(`Mouse aim ${enabled ? 'on' : 'off'}`);
+    }
+
+    requestLock() {
+        if (!this.element || !this.element.requestPointerLock || this.locked) return;
+
+        try {
+            // Newer browsers return a promise that rejects without a user gesture
+            const request = this.element.requestPointerLock();
+            if (request && request.catch) {
+                request.catch(error => console.warn("Pointer lock refused:", error.message));
+            }
+        } catch (error) {
+            console.error("Error requesting pointer lock:", error);
+        }
+    }
+
+    // Give the mouse pointer back, e.g. when the game pauses
+    release() {
+        this.firing = false;
+        if (this.locked && document.exitPointerLock) {
+            this.releasing = true;
+            document.exitPointerLock();
+        }
+    }
+
+    handleMouseDown(event) {
+        if (!this.enabled) return;
+
+        // The first click only grabs the pointer
+        if (!this.locked) {
+            if (event.button === 0) {
+                this.requestLock();
+            }
+            return;
+        }
+
+        if (event.button === 0) {
+            this.firing = true;
+        } else if (event.button === 2) {
+            this.pendingActions.push('missile');
+        }
+    }
+
+    handleMouseUp(event) {
+        if (event.button === 0) {
+            this.firing = false;
+        }
+    }
+
+    handleMouseMove(event) {
+        if (!this.enabled || !this.locked) return;
+
+        // Moving right turns the aim toward -X, moving up raises it
+        this.aimHeading -= (event.movementX || 0) * this.sensitivity;
+        this.aimPitch = THREE.MathUtils.clamp(
+            this.aimPitch - (event.movementY || 0) * this.sensitivity,
+            -this.maxAimPitch,
+            this.maxAimPitch
+        );
+        this.updateAimDirection();
+    }
+
+    handlePointerLockChange() {
+        const locked = document.pointerLockElement === this.element;
+
+        // The browser took the pointer back (usually Esc) - let the game pause
+        if (this.locked && !locked && !this.releasing && this.enabled) {
+            this.pendingActions.push('mouseAimLost');
+        }
+        if (!locked) {
+            this.firing = false;
+        }
+
+        this.locked = locked;
+        this.releasing = false;
+    }
+
+    updateAimDirection() {
+        const cosPitch = Math.cos(this.aimPitch);
+        this.aimDirection.set(
+            Math.sin(this.aimHeading) * cosPitch,
+            Math.sin(this.aimPitch),
+            Math.cos(this.aimHeading) * cosPitch
+        );
+    }
+
+    // Add this source's input into the combined control state
+    read(state) {
+        state.actions.push(...this.pendingActions);
+        this.pendingActions = [];
+
+        if (!this.enabled) return;
+
+        state.aimDirection = this.aimDirection;
+        state.shoot = state.shoot || this.firing;
+    }
+
+    dispose() {
+        this.release();
+        if (this.element) {
+            this.element.removeEventListener('mousedown', this.handleMouseDown);
+            this.element.removeEventListener('contextmenu', this.handleContextMenu);
+        }
+        window.removeEventListener('mouseup', this.handleMouseUp);
+        document.removeEventListener('mousemove', this.handleMouseMove);
+        document.removeEventListener('pointerlockchange', this.handlePointerLockChange);
+    }
+}
@@ -0,0 +1,350 @@
+import { applyResponseCurve } from './GamepadInput';
+
+// Touch source - on-screen joystick, throttle slider and fire button,
+// with optional tilt steering from the device orientation sensors
+export class TouchInput {
+    constructor(enabled = TouchInput.isTouchDevice()) {
+        this.enabled = enabled;
+
+        // Current values from the on-screen controls
+        this.stick = { x: 0, y: 0 }; // -1..1, y positive when pulled down (back)
+        this.stickPointerId = null;
+        this.throttle = 0; // Slider position 0..1, only steers the lever while the slider is held
+        this.throttlePointerId = null;
+        this.firing = false;
+        this.firePointerId = null;
+        this.pendingActions = [];
+
+        // Tilt steering
+        this.deadZone = 0.08;
+        this.expo = 0.3;
+        this.tiltEnabled = false;
+        this.maxTilt = 30; // Degrees of tilt for full deflection
+        this.tiltDeadZone = 3; // Degrees
+        this.tilt = null; // Latest { roll, pitch } reading in degrees
+        this.tiltNeutral = null; // Reading (and screen angle) captured when tilt was enabled or the screen rotated
+
+        this.handleOrientation = this.handleOrientation.bind(this);
+
+        if (this.enabled) {
+            this.createControls();
+            this.layout();
+            console.log("Touch controls enabled");
+        }
+    }
+
+    static isTouchDevice() {
+        return 'ontouchstart' in window || (navigator.maxTouchPoints || 0) > 0;
+    }
+
+    createControls() {
+        this.container = document.createElement('div');
+        this.container.id = 'touch-controls';
+        this.container.style.position = 'absolute';
+        this.container.style.top = '0';
+        this.container.style.left = '0';
+        this.container.style.width = '100%';
+        this.container.style.height = '100%';
+        this.container.style.pointerEvents = 'none'; // Only the controls themselves take touches
+        this.container.style.zIndex = '50'; // Below the intro and game over screens
+        this.container.style.userSelect = 'none';
+
+        // Virtual joystick - base and knob
+        this.stickBase = this.createControlElement('rgba(255, 255, 255, 0.15)');
+        this.stickBase.style.borderRadius = '50%';
+        this.stickBase.style.border = '2px solid rgba(255, 255, 255, 0.5)';
+        this.stickKnob = document.createElement('div');
+        this.stickKnob.style.position = 'absolute';
+        this.stickKnob.style.borderRadius = '50%';
+        this.stickKnob.style.backgroundColor = 'rgba(255, 255, 255, 0.6)';
+        this.stickKnob.style.pointerEvents = 'none';
+        this.stickBase.appendChild(this.stickKnob);
+        this.addPointerHandlers(this.stickBase, 'stickPointerId', (event) => this.updateStick(event), () => {
+            this.stick.x = 0;
+            this.stick.y = 0;
+            this.updateStickKnob();
+        });
+
+        // Throttle slider
+        this.throttleTrack = this.createControlElement('rgba(255, 255, 255, 0.15)');
+        this.throttleTrack.style.borderRadius = '10px';
+        this.throttleTrack.style.border = '2px solid rgba(255, 255, 255, 0.5)';
+        this.throttleFill = document.createElement('div');
+        this.throttleFill.style.position = 'absolute';
+        this.throttleFill.style.left = '0';
+        this.throttleFill.style.bottom = '0';
+        this.throttleFill.style.width = '100%';
+        this.throttleFill.style.height = '0%';
+        this.throttleFill.style.borderRadius = '8px';
+        this.throttleFill.style.backgroundColor = 'rgba(76, 175, 80, 0.7)';
+        this.throttleFill.style.pointerEvents = 'none';
+        this.throttleTrack.appendChild(this.throttleFill);
+        this.addPointerHandlers(this.throttleTrack, 'throttlePointerId', (event) => this.updateThrottle(event));
+
+        // Fire button
+        this.fireButton = this.createControlElement('rgba(244, 67, 54, 0.6)', 'FIRE');
+        this.fireButton.style.borderRadius = '50%';
+        this.addPointerHandlers(this.fireButton, 'firePointerId',
+            () => { this.firing = true; },
+            () => { this.firing = false; });
+
+        // Missile button, beside the fire button
+        this.missileButton = this.createControlElement('rgba(255, 152, 0, 0.6)', 'MSL');
+        this.missileButton.style.borderRadius = '50%';
+        this.missileButton.addEventListener('pointerdown', (event) => {
+            event.preventDefault();
+            this.pendingActions.push('missile');
+        });
+
+        // Small buttons in a row along the top - tilt steering toggle, flight model and pause
+        this.buttonRow = document.createElement('div');
+        this.buttonRow.style.position = 'absolute';
+        this.buttonRow.style.left = '50%';
+        this.buttonRow.style.transform = 'translateX(-50%)';
+        this.buttonRow.style.display = 'flex';
+        this.buttonRow.style.gap = '10px';
+        this.container.appendChild(this.buttonRow);
+
+        this.tiltButton = this.createControlElement('rgba(0, 0, 0, 0.5)', 'Tilt: off');
+        this.tiltButton.style.borderRadius = '5px';
+        this.tiltButton.addEventListener('click', () => this.toggleTilt());
+
+        this.flightModelButton = this.createControlElement('rgba(0, 0, 0, 0.5)', 'Flight model');
+        this.flightModelButton.style.borderRadius = '5px';
+        this.flightModelButton.addEventListener('click', () => this.pendingActions.push('flightModel'));
+
+        this.pauseButton = this.createControlElement('rgba(0, 0, 0, 0.5)', 'Pause');
+        this.pauseButton.style.borderRadius = '5px';
+        this.pauseButton.addEventListener('click', () => this.pendingActions.push('pause'));
+
+        for (const button of [this.tiltButton, this.flightModelButton, this.pauseButton]) {
+            button.style.position = 'relative';
+            this.buttonRow.appendChild(button);
+        }
+
+        document.body.appendChild(this.container);
+    }
+
+    createControlElement(background, label = '') {
+        const element = document.createElement('div');
+        element.style.position = 'absolute';
+        element.style.backgroundColor = background;
+        element.style.pointerEvents = 'auto';
+        element.style.touchAction = 'none'; // Stop the browser scrolling or zooming
+        element.style.color = 'white';
+        element.style.fontFamily = 'Arial, sans-serif';
+        element.style.fontWeight = 'bold';
+        element.style.display = 'flex';
+        element.style.justifyContent = 'center';
+        element.style.alignItems = 'center';
+        element.textContent = label;
+        this.container.appendChild(element);
+        return element;
+    }
+
+    // Track one pointer per control so several fingers can be used at once
+    addPointerHandlers(element, pointerKey, onMove, onRelease) {
+        element.addEventListener('pointerdown', (event) => {
+            event.preventDefault();
+            this[pointerKey] = event.pointerId;
+            if (element.setPointerCapture) {
+                element.setPointerCapture(event.pointerId);
+            }
+            onMove(event);
+        });
+        element.addEventListener('pointermove', (event) => {
+            if (event.pointerId !== this[pointerKey]) return;
+            event.preventDefault();
+            onMove(event);
+        });
+        const release = (event) => {
+            if (event.pointerId !== this[pointerKey]) return;
+            this[pointerKey] = null;
+            if (onRelease) onRelease(event);
+        };
+        element.addEventListener('pointerup', release);
+        element.addEventListener('pointercancel', release);
+    }
+
+    // Size and place the controls for the current screen - called again on resize and rotation
+    layout() {
+        if (!this.container) return;
+
+        const shortSide = Math.min(window.innerWidth, window.innerHeight);
+        const stickSize = Math.max(100, Math.min(180, shortSide * 0.32));
+        const fireSize = stickSize * 0.6;
+        const margin = 20;
+
+        this.stickSize = stickSize;
+        this.stickBase.style.left = `${margin}px`;
+        this.stickBase.style.bottom = `${margin}px`;
+        this.stickBase.style.width = `${stickSize}px`;
+        this.stickBase.style.height = `${stickSize}px`;
+        this.stickKnob.style.width = `${stickSize * 0.4}px`;
+        this.stickKnob.style.height = `${stickSize * 0.4}px`;
+        this.updateStickKnob();
+
+        this.fireButton.style.right = `${margin}px`;
+        this.fireButton.style.bottom = `${margin}px`;
+        this.fireButton.style.width = `${fireSize}px`;
+        this.fireButton.style.height = `${fireSize}px`;
+        this.fireButton.style.fontSize = `${Math.round(fireSize * 0.2)}px`;
+
+        const missileSize = fireSize * 0.6;
+        this.missileButton.style.right = `${margin + (fireSize - missileSize) / 2}px`;
+        this.missileButton.style.bottom = `${margin * 1.5 + fireSize}px`;
+        this.missileButton.style.width = `${missileSize}px`;
+        this.missileButton.style.height = `${missileSize}px`;
+        this.missileButton.style.fontSize = `${Math.round(missileSize * 0.25)}px`;
+
+        this.throttleTrack.style.right = `${margin * 2 + fireSize}px`;
+        this.throttleTrack.style.bottom = `${margin}px`;
+        this.throttleTrack.style.width = `${Math.round(stickSize * 0.3)}px`;
+        this.throttleTrack.style.height = `${stickSize}px`;
+
+        this.buttonRow.style.top = `${margin / 2}px`;
+        for (const button of [this.tiltButton, this.flightModelButton, this.pauseButton]) {
+            button.style.padding = '8px 12px';
+            button.style.fontSize = '14px';
+        }
+    }
+
+    updateStick(event) {
+        const rect = this.stickBase.getBoundingClientRect();
+        const radius = rect.width / 2;
+        let x = (event.clientX - (rect.left + radius)) / radius;
+        let y = (event.clientY - (rect.top + radius)) / radius;
+
+        // Keep the knob inside the base
+        const length = Math.sqrt(x * x + y * y);
+        if (length > 1) {
+            x /= length;
+            y /= length;
+        }
+        this.stick.x = x;
+        this.stick.y = y;
+        this.updateStickKnob();
+    }
+
+    updateStickKnob() {
+        if (!this.stickKnob || !this.stickSize) return;
+        const radius = this.stickSize / 2;
+        const knobRadius = this.stickSize * 0.2;
+        this.stickKnob.style.left = `${radius + this.stick.x * radius * 0.7 - knobRadius}px`;
+        this.stickKnob.style.top = `${radius + this.stick.y * radius * 0.7 - knobRadius}px`;
+    }
+
+    updateThrottle(event) {
+        const rect = this.throttleTrack.getBoundingClientRect();
+        const position = 1 - (event.clientY - rect.top) / rect.height;
+        this.throttle = Math.max(0, Math.min(1, position));
+    }
+
+    // The slider fill shows where the lever actually is, however it was moved
+    showThrottle(throttle) {
+        if (!this.throttleFill) return;
+        this.throttleFill.style.height = `${Math.round(throttle * 100)}%`;
+    }
+
+    toggleTilt() {
+        if (this.tiltEnabled) {
+            this.tiltEnabled = false;
+            window.removeEventListener('deviceorientation', this.handleOrientation);
+            this.tiltButton.textContent = 'Tilt: off';
+            return;
+        }
+
+        const enable = () => {
+            this.tiltEnabled = true;
+            this.tilt = null;
+            this.tiltNeutral = null;
+            window.addEventListener('deviceorientation', this.handleOrientation);
+            this.tiltButton.textContent = 'Tilt: on';
+        };
+
+        // iOS only grants sensor access from a user gesture
+        if (window.DeviceOrientationEvent && typeof DeviceOrientationEvent.requestPermission === 'function') {
+            DeviceOrientationEvent.requestPermission()
+                .then(state => {
+                    if (state === 'granted') {
+                        enable();
+                    } else {
+                        console.warn("Tilt steering permission denied");
+                    }
+                })
+                .catch(error => console.error("Error requesting tilt permission:", error));
+        } else {
+            enable();
+        }
+    }
+
+    getScreenAngle() {
+        if (window.screen && window.screen.orientation) {
+            return window.screen.orientation.angle;
+        }
+        return window.orientation || 0;
+    }
+
+    handleOrientation(event) {
+        if (event.beta === null || event.gamma === null) return;
+
+        // Map the sensor axes to screen-relative bank and pitch for the current orientation
+        const angle = this.getScreenAngle();
+        let roll;
+        let pitch;
+        if (angle === 90) {
+            roll = -event.beta;
+            pitch = -event.gamma;
+        } else if (angle === -90 || angle === 270) {
+            roll = event.beta;
+            pitch = event.gamma;
+        } else {
+            roll = -event.gamma;
+            pitch = event.beta;
+        }
+
+        this.tilt = { roll, pitch };
+
+        // However the device is being held when tilt starts counts as centred. Screen rotation
+        // swaps the axes, so capture a fresh neutral position when the screen angle changes -
+        // but not on every resize, which mobile browsers fire as the address bar comes and goes.
+        if (!this.tiltNeutral || this.tiltNeutral.angle !== angle) {
+            this.tiltNeutral = { roll, pitch, angle };
+        }
+    }
+
+    readTiltAxis(value, neutral) {
+        const normalized = (value - neutral) / this.maxTilt;
+        return applyResponseCurve(Math.max(-1, Math.min(1, normalized)), this.tiltDeadZone / this.maxTilt, this.expo);
+    }
+
+    // Add this source's input into the combined control state
+    read(state) {
+        if (!this.enabled) return;
+
+        // The joystick takes over from tilt while it is being touched
+        if (this.stickPointerId !== null) {
+            state.roll -= applyResponseCurve(this.stick.x, this.deadZone, this.expo);
+            state.pitch += applyResponseCurve(this.stick.y, this.deadZone, this.expo);
+        } else if (this.tiltEnabled && this.tilt && this.tiltNeutral) {
+            state.roll += this.readTiltAxis(this.tilt.roll, this.tiltNeutral.roll);
+            state.pitch += this.readTiltAxis(this.tilt.pitch, this.tiltNeutral.pitch);
+        }
+
+        // Once the slider is let go, keys and triggers can move the lever again
+        if (this.throttlePointerId !== null) {
+            state.throttleTarget = this.throttle;
+        }
+        state.shoot = state.shoot || this.firing;
+
+        state.actions.push(...this.pendingActions);
+        this.pendingActions = [];
+    }
+
+    dispose() {
+        window.removeEventListener('deviceorientation', this.handleOrientation);
+        if (this.container && this.container.parentNode) {
+            this.container.parentNode.removeChild(this.container);
+        }
+    }
+}
@@ -0,0 +1,78 @@
+// Classic 2D gradient noise for terrain. Smooth values in roughly -1..1 that vary
+// over about one unit, so scale the inputs down for broad features.
+// Takes the random function to shuffle with, so the same source gives the same landscape.
+export class PerlinNoise {
+    constructor(random = Math.random) {
+        // Shuffled 0-255, doubled up so lookups never need wrapping
+        const table = [];
+        for (let i = 0; i < 256; i++) {
+            table.push(i);
+        }
+        for (let i = 255; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [table[i], table[j]] = [table[j], table[i]];
+        }
+        this.permutation = new Uint8Array(512);
+        for (let i = 0; i < 512; i++) {
+            this.permutation[i] = table[i & 255];
+        }
+    }
+
+    // Smootherstep easing between grid points
+    fade(t) {
+        return t * t * t * (t * (t * 6 - 15) + 10);
+    }
+
+    // Dot product with one of eight gradient directions picked by the hash
+    gradient(hash, x, y) {
+        switch (hash & 7) {
+            case 0: return x + y;
+            case 1: return x - y;
+            case 2: return -x + y;
+            case 3: return -x - y;
+            case 4: return x;
+            case 5: return -x;
+            case 6: return y;
+            default: return -y;
+        }
+    }
+
+    noise(x, y) {
+        const cellX = Math.floor(x);
+        const cellY = Math.floor(y);
+        const fx = x - cellX;
+        const fy = y - cellY;
+        const ix = cellX & 255;
+        const iy = cellY & 255;
+
+        const p = this.permutation;
+        const a = p[ix] + iy;
+        const b = p[ix + 1] + iy;
+
+        const u = this.fade(fx);
+        const v = this.fade(fy);
+
+        const bottom = this.lerp(this.gradient(p[a], fx, fy), this.gradient(p[b], fx - 1, fy), u);
+        const top = this.lerp(this.gradient(p[a + 1], fx, fy - 1), this.gradient(p[b + 1], fx - 1, fy - 1), u);
+        return this.lerp(bottom, top, v);
+    }
+
+    // Several octaves layered - big shapes with finer detail on top
+    fbm(x, y, octaves = 4, lacunarity = 2, gain = 0.5) {
+        let total = 0;
+        let amplitude = 1;
+        let frequency = 1;
+        let range = 0;
+        for (let i = 0; i < octaves; i++) {
+            total += this.noise(x * frequency, y * frequency) * amplitude;
+            range += amplitude;
+            amplitude *= gain;
+            frequency *= lacunarity;
+        }
+        return total / range;
+    }
+
+    lerp(a, b, t) {
+        return a + (b - a) * t;
+    }
+}
@@ -0,0 +1,38 @@
+// Repeatable random numbers - the same seed always gives the same sequence, so a world can be
+// shared and rebuilt exactly. Drop-in for Math.random() via next().
+// Seeds can be numbers or any text; numeric seeds are used as-is, text is hashed.
+export class SeededRandom {
+    constructor(seed) {
+        this.seed = seed;
+        this.state = SeededRandom.hashSeed(seed);
+    }
+
+    // A fresh seed that's short enough to read out or type in
+    static createSeed() {
+        return String(Math.floor(Math.random() * 1000000));
+    }
+
+    static hashSeed(seed) {
+        const text = String(seed);
+        if (/^\d+$/.test(text)) {
+            return Number(text) >>> 0;
+        }
+
+        // FNV-1a
+        let hash = 2166136261;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        return hash >>> 0;
+    }
+
+    // Next number in 0-1, like Math.random() (mulberry32)
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+}
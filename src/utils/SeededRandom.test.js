@@ -0,0 +1,33 @@
+import { SeededRandom } from './SeededRandom';
+
+function take(random, count) {
+    return Array.from({ length: count }, () => random.next());
+}
+
+describe('SeededRandom', () => {
+    test('the same seed always gives the same sequence', () => {
+        expect(take(new SeededRandom(1234), 20)).toEqual(take(new SeededRandom(1234), 20));
+        expect(take(new SeededRandom('pigs'), 20)).toEqual(take(new SeededRandom('pigs'), 20));
+    });
+
+    test('different seeds give different sequences', () => {
+        expect(take(new SeededRandom(1234), 20)).not.toEqual(take(new SeededRandom(1235), 20));
+        expect(take(new SeededRandom('pigs'), 20)).not.toEqual(take(new SeededRandom('hogs'), 20));
+    });
+
+    test('numeric seeds read the same typed in as text', () => {
+        expect(take(new SeededRandom('1234'), 20)).toEqual(take(new SeededRandom(1234), 20));
+        expect(SeededRandom.hashSeed('1234')).toBe(1234);
+    });
+
+    test('numbers stay in 0-1 like Math.random()', () => {
+        for (const value of take(new SeededRandom(42), 1000)) {
+            expect(value).toBeGreaterThanOrEqual(0);
+            expect(value).toBeLessThan(1);
+        }
+    });
+
+    test('new seeds are short numbers', () => {
+        expect(SeededRandom.createSeed()).toMatch(/^\d{1,6}$/);
+    });
+});
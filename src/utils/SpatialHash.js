@@ -0,0 +1,150 @@
+// Uniform grid over the ground plane (x/z) for finding what's near a point or a path
+// without looping over everything. Items are any object; moving items are re-filed with
+// update() each frame, which only touches the grid when they cross into a different cell.
+// Queries return candidates from the overlapping cells - callers still do their own exact test.
+export class SpatialHash {
+    constructor(cellSize = 50) {
+        this.cellSize = cellSize;
+        this.cells = new Map(); // Cell key -> array of items
+        this.entries = new Map(); // Item -> { keys, stamp }
+        this.queryStamp = 0; // Marks items already returned by the current query
+    }
+
+    // Cell coordinates packed into one number - fine for worlds up to ±32768 cells across
+    cellKey(cellX, cellZ) {
+        return (cellX + 32768) * 65536 + (cellZ + 32768);
+    }
+
+    cellCoordinate(value) {
+        return Math.floor(value / this.cellSize);
+    }
+
+    // Every cell key covered by a circle on the ground
+    keysForArea(x, z, radius) {
+        const keys = [];
+        const minX = this.cellCoordinate(x - radius);
+        const maxX = this.cellCoordinate(x + radius);
+        const minZ = this.cellCoordinate(z - radius);
+        const maxZ = this.cellCoordinate(z + radius);
+        for (let cellX = minX; cellX <= maxX; cellX++) {
+            for (let cellZ = minZ; cellZ <= maxZ; cellZ++) {
+                keys.push(this.cellKey(cellX, cellZ));
+            }
+        }
+        return keys;
+    }
+
+    // File an item - with a radius it goes in every cell it overlaps (trees, lakes)
+    insert(item, x, z, radius = 0) {
+        if (this.entries.has(item)) {
+            this.remove(item);
+        }
+
+        const keys = this.keysForArea(x, z, radius);
+        for (const key of keys) {
+            let cell = this.cells.get(key);
+            if (!cell) {
+                cell = [];
+                this.cells.set(key, cell);
+            }
+            cell.push(item);
+        }
+        this.entries.set(item, { keys, stamp: 0 });
+    }
+
+    remove(item) {
+        const entry = this.entries.get(item);
+        if (!entry) return;
+
+        for (const key of entry.keys) {
+            const cell = this.cells.get(key);
+            if (!cell) continue;
+            const index = cell.indexOf(item);
+            if (index !== -1) {
+                cell.splice(index, 1);
+            }
+            if (cell.length === 0) {
+                this.cells.delete(key);
+            }
+        }
+        this.entries.delete(item);
+    }
+
+    // Re-file a moving point item - cheap when it hasn't left its cell, and handles wrapping
+    // to the far side of the world like any other move
+    update(item, x, z) {
+        const entry = this.entries.get(item);
+        const key = this.cellKey(this.cellCoordinate(x), this.cellCoordinate(z));
+        if (entry && entry.keys.length === 1 && entry.keys[0] === key) return;
+
+        this.insert(item, x, z);
+    }
+
+    has(item) {
+        return this.entries.has(item);
+    }
+
+    // Gather the items in a set of cells once each
+    collect(keys, results) {
+        this.queryStamp++;
+        for (const key of keys) {
+            const cell = this.cells.get(key);
+            if (!cell) continue;
+            for (const item of cell) {
+                const entry = this.entries.get(item);
+                if (entry.stamp === this.queryStamp) continue;
+                entry.stamp = this.queryStamp;
+                results.push(item);
+            }
+        }
+        return results;
+    }
+
+    // Items that may be within radius of a point on the ground
+    query(x, z, radius, results = []) {
+        const minX = this.cellCoordinate(x - radius);
+        const maxX = this.cellCoordinate(x + radius);
+        const minZ = this.cellCoordinate(z - radius);
+        const maxZ = this.cellCoordinate(z + radius);
+
+        // A huge area (like the radar's) covers more cells than are in use - walk the used ones instead
+        if ((maxX - minX + 1) * (maxZ - minZ + 1) > this.cells.size) {
+            const keys = [];
+            for (const key of this.cells.keys()) {
+                const cellX = Math.floor(key / 65536) - 32768;
+                const cellZ = (key % 65536) - 32768;
+                if (cellX >= minX && cellX <= maxX && cellZ >= minZ && cellZ <= maxZ) {
+                    keys.push(key);
+                }
+            }
+            return this.collect(keys, results);
+        }
+
+        return this.collect(this.keysForArea(x, z, radius), results);
+    }
+
+    // Items that may be within padding of a straight path - walks the cells along it
+    querySegment(start, end, padding = 0, results = []) {
+        const dx = end.x - start.x;
+        const dz = end.z - start.z;
+        const length = Math.sqrt(dx * dx + dz * dz);
+
+        // Sample the path every half cell, each sample covering half a step either side,
+        // so every cell the path crosses is included
+        const steps = Math.max(1, Math.ceil(length / (this.cellSize * 0.5)));
+        const reach = padding + length / steps / 2;
+        const keys = new Set();
+        for (let step = 0; step <= steps; step++) {
+            const t = step / steps;
+            for (const key of this.keysForArea(start.x + dx * t, start.z + dz * t, reach)) {
+                keys.add(key);
+            }
+        }
+        return this.collect(keys, results);
+    }
+
+    clear() {
+        this.cells.clear();
+        this.entries.clear();
+    }
+}
@@ -0,0 +1,402 @@
+// World definition files - everything that makes one map different from another, as JSON.
+// A map can place features exactly (the "list" entries) and/or ask for a number scattered at
+// random from the world seed ("count" plus the size and distance ranges). Anything left out
+// falls back to the classic map's settings, scaled to the map's radius.
+//
+// {
+//   "version": 1,
+//   "name": "Classic",
+//   "radius": 845,                                   // World edge, distance from the center
+//   "terrain": { "hillHeight": 22, "hillScale": 0.004, "snowLine": 150, "rivers": true,
+//                "seed": 1234 },                     // Optional - fixes the hills whatever the world seed
+//   "runways": [{ "x": 0, "z": 0, "width": 20, "length": 100 }],   // Run north-south; the first is home
+//   "mountains": { "count": 18, "radius": [60, 110], "height": [150, 300], "distance": [180, 630],
+//                  "list": [{ "x": 300, "z": 200, "radius": 80, "height": 200 }] },
+//   "lakes": { "count": 18, "radius": [30, 70], "distance": [135, 710], "list": [{ "x": 0, "z": 400, "radius": 50 }] },
+//   "trees": { "count": 135, "distance": [90, 755], "list": [{ "x": 120, "z": 80, "type": "oak" }] },
+//   "forests": [{ "x": -300, "z": 250, "radius": 60, "count": 25 }],
+//   "spawnZones": [{ "name": "runway", "x": 0, "z": 0, "radius": [50, 150], "altitude": [30, 100] }],
+//   "waves": [{ "count": 40, "zone": "runway", "respawn": true, "delay": 3,
+//               "types": { "fighter": 8, "cargo": 1 },    // Optional mix of enemy types - all fighters if left out
+//               "formation": { "shape": "v", "size": 3 } }],  // Optional - fly in groups instead of alone
+//   "boss": { "type": "mothership", "rescuedBirds": 50, "zone": "runway" },  // Optional - no boss if left out
+//   "winConditions": { "rescuedBirds": 100, "enemiesDestroyed": 50, "allWavesCleared": true, "bossDestroyed": true }
+// }
+//
+// Waves run in order - each starts "delay" seconds after the one before is shot down (the first
+// is waiting from the start). A wave with "respawn" replaces every plane shot down, so it never
+// ends and has to be the last one. A wave's "types" are relative weights - { "fighter": 8, "cargo": 1 }
+// makes roughly one plane in nine a cargo plane. A wave's "formation" groups the planes that can fly
+// in formation ("v", "echelon" or "lineAbreast") - "size" planes to a group, the shape's most if left out.
+// Replacements in a respawning wave arrive alone.
+// The boss turns up once "rescuedBirds" animals have been rescued, from the named spawn zone.
+// Every win condition given has to be met to win.
+
+import { ENEMY_TYPES } from '../data/enemyTypes';
+import { BOSSES } from '../data/bosses';
+import { FORMATIONS } from '../data/formations';
+
+export const WORLD_MAP_VERSION = 1;
+
+export const TREE_TYPES = ['pine', 'oak', 'bush'];
+
+const SECTIONS = [
+    'version', 'name', 'radius', 'terrain', 'runways', 'mountains', 'lakes', 'trees', 'forests',
+    'spawnZones', 'waves', 'boss', 'winConditions'
+];
+
+// Classic settings, with distances worked out for the map's size
+function getDefaults(radius) {
+    return {
+        name: 'Untitled',
+        terrain: { hillHeight: 22, hillScale: 0.004, snowLine: 150, rivers: true },
+        runways: [{ x: 0, z: 0, width: 20, length: 100 }],
+        mountains: {
+            count: 18,
+            radius: [60, 110],
+            height: [150, 300],
+            distance: [Math.round(radius * 0.21), Math.round(radius * 0.75)],
+            list: []
+        },
+        lakes: {
+            count: 18,
+            radius: [30, 70],
+            distance: [Math.round(radius * 0.16), Math.round(radius * 0.84)],
+            list: []
+        },
+        trees: {
+            count: 135,
+            distance: [Math.round(radius * 0.11), Math.round(radius * 0.89)],
+            list: []
+        },
+        forests: [],
+        spawnZones: [{ name: 'runway', x: 0, z: 0, radius: [50, 150], altitude: [30, 100] }],
+        waves: [{ count: 40, respawn: true }],
+        boss: null,
+        winConditions: { rescuedBirds: 100 }
+    };
+}
+
+export class WorldMapError extends Error {
+    constructor(errors) {
+        super(`Invalid world map:\n- ${errors.join('\n- ')}`);
+        this.name = 'WorldMapError';
+        this.errors = errors;
+    }
+}
+
+// A checked map with every section filled in. Throws WorldMapError listing everything wrong with it.
+export class WorldMap {
+    constructor(data) {
+        const errors = [];
+        this.errors = errors; // Collected by the checks below
+
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new WorldMapError(['the map must be a JSON object']);
+        }
+
+        for (const key of Object.keys(data)) {
+            if (!SECTIONS.includes(key)) {
+                errors.push(`unknown section "${key}" - expected one of ${SECTIONS.join(', ')}`);
+            }
+        }
+
+        if (data.version !== WORLD_MAP_VERSION) {
+            errors.push(data.version === undefined ?
+                `version is missing - this game reads version ${WORLD_MAP_VERSION}` :
+                `version ${JSON.stringify(data.version)} isn't supported - this game reads version ${WORLD_MAP_VERSION}`);
+        }
+
+        this.checkNumber(data.radius, 'radius', { min: 200, max: 5000 });
+        const radius = typeof data.radius === 'number' ? data.radius : 845;
+        const defaults = getDefaults(radius);
+
+        this.radius = radius;
+        this.name = data.name === undefined ? defaults.name : data.name;
+        if (typeof this.name !== 'string' || !this.name.trim()) {
+            errors.push('name must be a non-empty string');
+        }
+
+        this.terrain = this.readSection(data, 'terrain', defaults);
+        this.checkKeys(this.terrain, 'terrain', ['hillHeight', 'hillScale', 'snowLine', 'rivers', 'seed']);
+        this.checkNumber(this.terrain.hillHeight, 'terrain.hillHeight', { min: 0, max: 200 });
+        this.checkNumber(this.terrain.hillScale, 'terrain.hillScale', { min: 0.0001, max: 0.1 });
+        this.checkNumber(this.terrain.snowLine, 'terrain.snowLine', { min: 0 });
+        this.checkBoolean(this.terrain.rivers, 'terrain.rivers');
+        if (this.terrain.seed !== undefined && typeof this.terrain.seed !== 'string' && typeof this.terrain.seed !== 'number') {
+            errors.push('terrain.seed must be a number or text');
+        }
+
+        this.runways = this.readList(data, 'runways', defaults, 1);
+        this.runways.forEach((runway, i) => {
+            const path = `runways[${i}]`;
+            this.checkKeys(runway, path, ['x', 'z', 'width', 'length']);
+            this.checkNumber(runway.width, `${path}.width`, { min: 5, max: 100 });
+            this.checkNumber(runway.length, `${path}.length`, { min: 20, max: 1000 });
+            this.checkPosition(runway, path, Math.hypot(runway.width || 0, runway.length || 0) / 2);
+        });
+
+        this.mountains = this.readSection(data, 'mountains', defaults);
+        this.checkScatter(this.mountains, 'mountains', ['radius', 'height']);
+        this.checkList(this.mountains.list, 'mountains.list', (mountain, path) => {
+            this.checkKeys(mountain, path, ['x', 'z', 'radius', 'height']);
+            this.checkNumber(mountain.radius, `${path}.radius`, { min: 10, max: 1000 });
+            this.checkNumber(mountain.height, `${path}.height`, { min: 5, max: 2000 });
+            this.checkPosition(mountain, path);
+        });
+
+        this.lakes = this.readSection(data, 'lakes', defaults);
+        this.checkScatter(this.lakes, 'lakes', ['radius']);
+        this.checkList(this.lakes.list, 'lakes.list', (lake, path) => {
+            this.checkKeys(lake, path, ['x', 'z', 'radius']);
+            this.checkNumber(lake.radius, `${path}.radius`, { min: 5, max: 1000 });
+            this.checkPosition(lake, path);
+        });
+
+        this.trees = this.readSection(data, 'trees', defaults);
+        this.checkScatter(this.trees, 'trees', []);
+        this.checkList(this.trees.list, 'trees.list', (tree, path) => {
+            this.checkKeys(tree, path, ['x', 'z', 'type']);
+            if (tree.type !== undefined && !TREE_TYPES.includes(tree.type)) {
+                errors.push(`${path}.type "${tree.type}" isn't a tree - use ${TREE_TYPES.join(', ')}`);
+            }
+            this.checkPosition(tree, path);
+        });
+
+        this.forests = this.readList(data, 'forests', defaults, 0);
+        this.forests.forEach((forest, i) => {
+            const path = `forests[${i}]`;
+            this.checkKeys(forest, path, ['x', 'z', 'radius', 'count']);
+            this.checkNumber(forest.radius, `${path}.radius`, { min: 5, max: radius });
+            this.checkNumber(forest.count, `${path}.count`, { min: 1, max: 1000, integer: true });
+            this.checkPosition(forest, path);
+        });
+
+        this.spawnZones = this.readList(data, 'spawnZones', defaults, 1);
+        const zoneNames = new Set();
+        this.spawnZones.forEach((zone, i) => {
+            const path = `spawnZones[${i}]`;
+            this.checkKeys(zone, path, ['name', 'x', 'z', 'radius', 'altitude']);
+            if (typeof zone.name !== 'string' || !zone.name) {
+                errors.push(`${path}.name must be a non-empty string`);
+            } else if (zoneNames.has(zone.name)) {
+                errors.push(`${path}.name "${zone.name}" is used by another spawn zone`);
+            }
+            zoneNames.add(zone.name);
+            this.checkRange(zone.radius, `${path}.radius`, { min: 0, max: radius });
+            this.checkRange(zone.altitude, `${path}.altitude`, { min: 0, max: 1000 });
+            this.checkPosition(zone, path);
+        });
+
+        this.waves = this.readList(data, 'waves', defaults, 1);
+        this.waves.forEach((wave, i) => {
+            const path = `waves[${i}]`;
+            this.checkKeys(wave, path, ['count', 'zone', 'respawn', 'delay', 'types', 'formation']);
+            this.checkNumber(wave.count, `${path}.count`, { min: 1, max: 200, integer: true });
+            if (wave.zone !== undefined && !zoneNames.has(wave.zone)) {
+                errors.push(`${path}.zone "${wave.zone}" doesn't match any spawn zone`);
+            }
+            if (wave.respawn !== undefined) {
+                this.checkBoolean(wave.respawn, `${path}.respawn`);
+                if (wave.respawn && i < this.waves.length - 1) {
+                    errors.push(`${path} respawns forever, so the waves after it would never come - make it the last wave`);
+                }
+            }
+            if (wave.delay !== undefined) {
+                this.checkNumber(wave.delay, `${path}.delay`, { min: 0, max: 600 });
+            }
+            if (wave.types !== undefined && this.isObject(wave.types, `${path}.types`)) {
+                const types = Object.keys(wave.types);
+                if (types.length === 0) {
+                    errors.push(`${path}.types needs at least one enemy type`);
+                }
+                for (const type of types) {
+                    if (!ENEMY_TYPES[type]) {
+                        errors.push(`${path}.types has an unknown enemy type "${type}" - expected ${Object.keys(ENEMY_TYPES).join(', ')}`);
+                    } else {
+                        this.checkNumber(wave.types[type], `${path}.types.${type}`, { min: 0.01, max: 1000 });
+                    }
+                }
+            }
+            if (wave.formation !== undefined && this.isObject(wave.formation, `${path}.formation`)) {
+                const formation = wave.formation;
+                this.checkKeys(formation, `${path}.formation`, ['shape', 'size']);
+                const shape = FORMATIONS[formation.shape];
+                if (!shape) {
+                    errors.push(`${path}.formation.shape "${formation.shape}" isn't a formation - expected ${Object.keys(FORMATIONS).join(', ')}`);
+                } else if (formation.size !== undefined) {
+                    this.checkNumber(formation.size, `${path}.formation.size`, { min: 2, max: shape.size, integer: true });
+                }
+            }
+        });
+
+        this.boss = data.boss === undefined ? defaults.boss : data.boss;
+        if (this.boss !== null && this.isObject(this.boss, 'boss')) {
+            const boss = this.boss;
+            this.checkKeys(boss, 'boss', ['type', 'rescuedBirds', 'zone']);
+            if (!BOSSES[boss.type]) {
+                errors.push(`boss.type "${boss.type}" isn't a boss - expected ${Object.keys(BOSSES).join(', ')}`);
+            }
+            this.checkNumber(boss.rescuedBirds, 'boss.rescuedBirds', { min: 0, integer: true });
+            if (boss.zone !== undefined && !zoneNames.has(boss.zone)) {
+                errors.push(`boss.zone "${boss.zone}" doesn't match any spawn zone`);
+            }
+        }
+
+        this.winConditions = data.winConditions === undefined ? defaults.winConditions : data.winConditions;
+        if (this.isObject(this.winConditions, 'winConditions')) {
+            const conditions = this.winConditions;
+            this.checkKeys(conditions, 'winConditions', ['rescuedBirds', 'enemiesDestroyed', 'allWavesCleared', 'bossDestroyed']);
+            if (Object.keys(conditions).length === 0) {
+                errors.push('winConditions needs at least one of rescuedBirds, enemiesDestroyed, allWavesCleared or bossDestroyed');
+            }
+            if (conditions.rescuedBirds !== undefined) {
+                this.checkNumber(conditions.rescuedBirds, 'winConditions.rescuedBirds', { min: 1, integer: true });
+            }
+            if (conditions.enemiesDestroyed !== undefined) {
+                this.checkNumber(conditions.enemiesDestroyed, 'winConditions.enemiesDestroyed', { min: 1, integer: true });
+            }
+            if (conditions.allWavesCleared !== undefined) {
+                this.checkBoolean(conditions.allWavesCleared, 'winConditions.allWavesCleared');
+                const lastWave = this.waves[this.waves.length - 1];
+                if (conditions.allWavesCleared && lastWave && lastWave.respawn) {
+                    errors.push('winConditions.allWavesCleared can never happen - the last wave respawns forever');
+                }
+            }
+            if (conditions.bossDestroyed !== undefined) {
+                this.checkBoolean(conditions.bossDestroyed, 'winConditions.bossDestroyed');
+                if (conditions.bossDestroyed && !this.boss) {
+                    errors.push('winConditions.bossDestroyed can never happen - the map has no boss');
+                }
+            }
+        }
+
+        delete this.errors;
+        if (errors.length > 0) {
+            throw new WorldMapError(errors);
+        }
+    }
+
+    // Parse a map file's text, turning JSON syntax errors into map errors
+    static fromJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new WorldMapError([`the file isn't valid JSON (${error.message})`]);
+        }
+        return new WorldMap(data);
+    }
+
+    // Back to plain data in the file format
+    toJSON() {
+        const data = { version: WORLD_MAP_VERSION };
+        for (const key of SECTIONS) {
+            if (key !== 'version') {
+                data[key] = this[key];
+            }
+        }
+        return JSON.parse(JSON.stringify(data));
+    }
+
+    // A whole object section, with any settings it leaves out taken from the defaults
+    readSection(data, key, defaults) {
+        if (data[key] === undefined) {
+            return JSON.parse(JSON.stringify(defaults[key]));
+        }
+        if (!this.isObject(data[key], key)) {
+            return JSON.parse(JSON.stringify(defaults[key]));
+        }
+        return { ...JSON.parse(JSON.stringify(defaults[key])), ...data[key] };
+    }
+
+    readList(data, key, defaults, minLength) {
+        const list = data[key] === undefined ? defaults[key] : data[key];
+        if (!Array.isArray(list)) {
+            this.errors.push(`${key} must be a list`);
+            return [];
+        }
+        if (list.length < minLength) {
+            this.errors.push(`${key} needs at least ${minLength} ${minLength === 1 ? 'entry' : 'entries'}`);
+        }
+        list.forEach((item, i) => this.isObject(item, `${key}[${i}]`));
+        return list.filter(item => item && typeof item === 'object');
+    }
+
+    // Count and ranges for scattering features at random, plus the exact list
+    checkScatter(section, path, sizeRanges) {
+        this.checkKeys(section, path, ['count', 'distance', 'list', ...sizeRanges]);
+        this.checkNumber(section.count, `${path}.count`, { min: 0, max: 2000, integer: true });
+        this.checkRange(section.distance, `${path}.distance`, { min: 0, max: this.radius });
+        for (const range of sizeRanges) {
+            this.checkRange(section[range], `${path}.${range}`, { min: 1, max: 2000 });
+        }
+    }
+
+    checkList(list, path, checkItem) {
+        if (!Array.isArray(list)) {
+            this.errors.push(`${path} must be a list`);
+            return;
+        }
+        list.forEach((item, i) => {
+            if (this.isObject(item, `${path}[${i}]`)) {
+                checkItem(item, `${path}[${i}]`);
+            }
+        });
+    }
+
+    isObject(value, path) {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            this.errors.push(`${path} must be an object`);
+            return false;
+        }
+        return true;
+    }
+
+    checkKeys(object, path, allowed) {
+        for (const key of Object.keys(object)) {
+            if (!allowed.includes(key)) {
+                this.errors.push(`${path} has an unknown setting "${key}" - expected ${allowed.join(', ')}`);
+            }
+        }
+    }
+
+    checkNumber(value, path, { min = -Infinity, max = Infinity, integer = false } = {}) {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            this.errors.push(`${path} must be a number`);
+        } else if (integer && !Number.isInteger(value)) {
+            this.errors.push(`${path} must be a whole number`);
+        } else if (value < min || value > max) {
+            this.errors.push(`${path} is ${value} - it must be between ${min} and ${max}`);
+        }
+    }
+
+    checkBoolean(value, path) {
+        if (typeof value !== 'boolean') {
+            this.errors.push(`${path} must be true or false`);
+        }
+    }
+
+    // [min, max] pair
+    checkRange(value, path, limits) {
+        if (!Array.isArray(value) || value.length !== 2) {
+            this.errors.push(`${path} must be a [min, max] pair`);
+            return;
+        }
+        this.checkNumber(value[0], `${path}[0]`, limits);
+        this.checkNumber(value[1], `${path}[1]`, limits);
+        if (value[0] > value[1]) {
+            this.errors.push(`${path} is [${value[0]}, ${value[1]}] - the minimum is bigger than the maximum`);
+        }
+    }
+
+    // x/z inside the world, with room for the feature's own size
+    checkPosition(item, path, size = 0) {
+        this.checkNumber(item.x, `${path}.x`);
+        this.checkNumber(item.z, `${path}.z`);
+        if (typeof item.x === 'number' && typeof item.z === 'number' &&
+            Math.hypot(item.x, item.z) + size > this.radius) {
+            this.errors.push(`${path} at (${item.x}, ${item.z}) is outside the world radius of ${this.radius}`);
+        }
+    }
+}
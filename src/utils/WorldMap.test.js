@@ -0,0 +1,132 @@
+import { WorldMap, WorldMapError, WORLD_MAP_VERSION } from './WorldMap';
+import { MAPS } from '../data/maps';
+
+// Everything WorldMap finds wrong with a map, or an empty list if it loads
+function errorsFor(data) {
+    try {
+        new WorldMap(data);
+        return [];
+    } catch (error) {
+        expect(error).toBeInstanceOf(WorldMapError);
+        return error.errors;
+    }
+}
+
+// The least a map file needs
+const MINIMAL = { version: WORLD_MAP_VERSION, radius: 845 };
+
+describe('WorldMap', () => {
+    test.each(Object.keys(MAPS))('the bundled %s map is valid', (key) => {
+        expect(errorsFor(MAPS[key])).toEqual([]);
+    });
+
+    test('a map with just a version and radius gets the classic settings', () => {
+        const map = new WorldMap(MINIMAL);
+        expect(map.radius).toBe(845);
+        expect(map.name).toBe('Untitled');
+        expect(map.runways).toEqual([{ x: 0, z: 0, width: 20, length: 100 }]);
+        expect(map.waves).toEqual([{ count: 40, respawn: true }]);
+        expect(map.winConditions).toEqual({ rescuedBirds: 100 });
+        expect(map.boss).toBeNull();
+    });
+
+    test('scatter distances are scaled to the map radius', () => {
+        const map = new WorldMap({ ...MINIMAL, radius: 1000 });
+        expect(map.mountains.distance).toEqual([210, 750]);
+    });
+
+    test('sections given only in part keep the rest of the defaults', () => {
+        const map = new WorldMap({ ...MINIMAL, terrain: { hillHeight: 50 } });
+        expect(map.terrain).toEqual({ hillHeight: 50, hillScale: 0.004, snowLine: 150, rivers: true });
+    });
+
+    test('maps survive a round trip through JSON', () => {
+        const map = WorldMap.fromJSON(JSON.stringify(MAPS.highlands));
+        expect(new WorldMap(map.toJSON()).toJSON()).toEqual(map.toJSON());
+    });
+
+    test('anything but an object is turned away', () => {
+        expect(errorsFor(null)).toEqual(['the map must be a JSON object']);
+        expect(errorsFor([])).toEqual(['the map must be a JSON object']);
+    });
+
+    test('broken JSON is reported as a map error', () => {
+        expect(() => WorldMap.fromJSON('{ "version": ')).toThrow(WorldMapError);
+        expect(() => WorldMap.fromJSON('{ "version": ')).toThrow(/the file isn't valid JSON/);
+    });
+
+    test('the version must be given and supported', () => {
+        expect(errorsFor({ radius: 845 })).toEqual([`version is missing - this game reads version ${WORLD_MAP_VERSION}`]);
+        expect(errorsFor({ version: 2, radius: 845 })).toEqual([`version 2 isn't supported - this game reads version ${WORLD_MAP_VERSION}`]);
+    });
+
+    test('unknown sections and settings are named', () => {
+        expect(errorsFor({ ...MINIMAL, clouds: true, terrain: { hills: 3 } })).toEqual([
+            'unknown section "clouds" - expected one of version, name, radius, terrain, runways, mountains, lakes, trees, forests, spawnZones, waves, boss, winConditions',
+            'terrain has an unknown setting "hills" - expected hillHeight, hillScale, snowLine, rivers, seed'
+        ]);
+    });
+
+    test('numbers out of range give the value and the limits', () => {
+        expect(errorsFor({ ...MINIMAL, radius: 6000 })).toEqual(['radius is 6000 - it must be between 200 and 5000']);
+        expect(errorsFor({ ...MINIMAL, radius: 'big' })).toEqual(['radius must be a number']);
+        expect(errorsFor({ ...MINIMAL, forests: [{ x: 0, z: 0, radius: 50, count: 2.5 }] }))
+            .toEqual(['forests[0].count must be a whole number']);
+    });
+
+    test('features have to fit inside the world', () => {
+        expect(errorsFor({
+            ...MINIMAL,
+            mountains: { list: [{ x: 900, z: 0, radius: 80, height: 200 }] }
+        })).toEqual(['mountains.list[0] at (900, 0) is outside the world radius of 845']);
+    });
+
+    test('ranges must run from the minimum to the maximum', () => {
+        expect(errorsFor({ ...MINIMAL, lakes: { radius: [70, 30] } }))
+            .toEqual(['lakes.radius is [70, 30] - the minimum is bigger than the maximum']);
+    });
+
+    test('waves are checked against the spawn zones, enemy types and formations', () => {
+        expect(errorsFor({
+            ...MINIMAL,
+            waves: [
+                { count: 5, zone: 'nowhere' },
+                { count: 5, types: { zeppelin: 1 } },
+                { count: 5, formation: { shape: 'v', size: 9 } },
+                { count: 5, formation: { shape: 'blob' } }
+            ]
+        })).toEqual([
+            'waves[0].zone "nowhere" doesn\'t match any spawn zone',
+            expect.stringMatching(/^waves\[1\]\.types has an unknown enemy type "zeppelin" - expected fighter, /),
+            'waves[2].formation.size is 9 - it must be between 2 and 5',
+            'waves[3].formation.shape "blob" isn\'t a formation - expected v, echelon, lineAbreast'
+        ]);
+    });
+
+    test('a respawning wave has to be the last one', () => {
+        expect(errorsFor({
+            ...MINIMAL,
+            waves: [{ count: 5, respawn: true }, { count: 5 }]
+        })).toEqual(['waves[0] respawns forever, so the waves after it would never come - make it the last wave']);
+    });
+
+    test('win conditions that can never be met are caught', () => {
+        expect(errorsFor({ ...MINIMAL, winConditions: { bossDestroyed: true, allWavesCleared: true } })).toEqual([
+            'winConditions.allWavesCleared can never happen - the last wave respawns forever',
+            'winConditions.bossDestroyed can never happen - the map has no boss'
+        ]);
+        expect(errorsFor({ ...MINIMAL, winConditions: {} }))
+            .toEqual(['winConditions needs at least one of rescuedBirds, enemiesDestroyed, allWavesCleared or bossDestroyed']);
+    });
+
+    test('every problem is listed at once', () => {
+        let error;
+        try {
+            new WorldMap({ version: 2, radius: 845, name: '' });
+        } catch (caught) {
+            error = caught;
+        }
+        expect(error.errors).toHaveLength(2);
+        expect(error.message).toBe(`Invalid world map:\n- version 2 isn't supported - this game reads version ${WORLD_MAP_VERSION}\n- name must be a non-empty string`);
+    });
+});